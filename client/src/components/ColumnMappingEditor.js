@@ -0,0 +1,99 @@
+import React from 'react';
+import {
+  Box,
+  Typography,
+  Grid,
+  TextField,
+  MenuItem,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+} from '@mui/material';
+
+const roles = [
+  { key: 'date', label: 'Date', required: true },
+  { key: 'description', label: 'Description / Narration' },
+  { key: 'amount', label: 'Amount (single signed column)' },
+  { key: 'type', label: 'Type (Dr/Cr)' },
+  { key: 'debit', label: 'Debit / Withdrawal' },
+  { key: 'credit', label: 'Credit / Deposit' },
+  { key: 'balance', label: 'Balance' },
+];
+
+const NOT_USED = '';
+
+// Lets the user confirm or fix which column holds each value in a CSV/Excel statement
+const ColumnMappingEditor = ({ preview, mapping, onChange }) => {
+  const handleRoleChange = (role) => (e) => {
+    onChange({ ...mapping, [role]: e.target.value === NOT_USED ? null : e.target.value });
+  };
+
+  return (
+    <Box mb={3}>
+      <Box display="flex" alignItems="center" gap={1} mb={1}>
+        <Typography variant="subtitle1">{preview.name}</Typography>
+        <Chip
+          size="small"
+          label={preview.mappingSource === 'saved' ? 'Saved mapping' : 'Suggested mapping'}
+          color={preview.mappingSource === 'saved' ? 'success' : 'default'}
+        />
+      </Box>
+      <Typography variant="body2" color="text.secondary" mb={2}>
+        Check which column holds each value. Use either one amount column or separate debit and credit columns.
+      </Typography>
+      <Grid container spacing={2} mb={2}>
+        {roles.map((role) => (
+          <Grid item xs={12} sm={6} md={4} key={role.key}>
+            <TextField
+              select
+              fullWidth
+              size="small"
+              label={role.label}
+              required={role.required}
+              value={mapping[role.key] || NOT_USED}
+              onChange={handleRoleChange(role.key)}
+            >
+              <MenuItem value={NOT_USED}>
+                <em>Not used</em>
+              </MenuItem>
+              {preview.headers.map((header) => (
+                <MenuItem key={header} value={header}>
+                  {header}
+                </MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        ))}
+      </Grid>
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              {preview.headers.map((header) => (
+                <TableCell key={header}>
+                  <strong>{header}</strong>
+                </TableCell>
+              ))}
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {preview.sampleRows.map((row, index) => (
+              <TableRow key={index}>
+                {preview.headers.map((header) => (
+                  <TableCell key={header}>{row[header]}</TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+    </Box>
+  );
+};
+
+export default ColumnMappingEditor;
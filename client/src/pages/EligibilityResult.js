@@ -21,6 +21,7 @@ import {
 import {
   CheckCircle,
   Cancel,
+  HourglassEmpty,
   ArrowBack,
   History,
   TrendingUp,
@@ -50,6 +51,14 @@ import {
   Radar,
 } from 'recharts';
 
+const RECURRING_KINDS = {
+  emi: 'EMI',
+  insurance: 'Insurance',
+  rent: 'Rent',
+  bill: 'Bill',
+  subscription: 'Subscription',
+};
+
 const EligibilityResult = () => {
   const navigate = useNavigate();
   const [result, setResult] = useState(null);
@@ -88,6 +97,7 @@ const EligibilityResult = () => {
 
   const { eligibility, analysis, personalInfo } = result;
   const isEligible = eligibility.eligible;
+  const needsReview = eligibility.decision === 'manual_review';
   const metrics = eligibility.metrics || {};
 
   const formatCurrency = (amount) => {
@@ -146,12 +156,89 @@ const EligibilityResult = () => {
     }
   };
 
+  // Per-factor waterfall: each bar starts where the previous factor ended.
+  // A transparent "base" bar lifts the visible "delta" bar to the running total.
+  const breakdown = eligibility.breakdown || [];
+  let runningScore = 0;
+  const waterfallData = breakdown.map(item => {
+    const start = runningScore;
+    runningScore += item.pointsEarned;
+    return {
+      name: item.label,
+      base: Math.min(start, runningScore),
+      delta: Math.abs(item.pointsEarned),
+      points: item.pointsEarned,
+      possible: item.pointsPossible,
+    };
+  });
+  if (waterfallData.length > 0) {
+    waterfallData.push({
+      name: 'Final Score',
+      base: 0,
+      delta: eligibility.score,
+      points: eligibility.score,
+      possible: 100,
+      isTotal: true,
+    });
+  }
+
+  const getWaterfallColor = (entry) => {
+    if (entry.isTotal) return '#1976d2';
+    if (entry.points > 0) return '#2e7d32';
+    if (entry.points < 0) return '#d32f2f';
+    return '#9e9e9e';
+  };
+
+  const formatMetric = (metric) => {
+    if (!metric || metric.value === null || metric.value === undefined) return 'n/a';
+    switch (metric.unit) {
+      case 'INR': return formatCurrency(metric.value);
+      case '%': return `${metric.value.toFixed(1)}%`;
+      case 'months': return `${metric.value.toFixed(1)} months`;
+      case 'events': return `${metric.value} event${metric.value === 1 ? '' : 's'}`;
+      default: return metric.value.toFixed(1);
+    }
+  };
+
   // Score breakdown pie chart
   const scoreData = [
     { name: 'Score', value: eligibility.score, color: isEligible ? '#2e7d32' : '#d32f2f' },
     { name: 'Remaining', value: 100 - eligibility.score, color: '#e0e0e0' },
   ];
 
+  // Spending by category pie chart; income categories are listed beside it
+  const categoryColors = ['#1976d2', '#d32f2f', '#ed6c02', '#2e7d32', '#9c27b0', '#0288d1', '#f9a825', '#6d4c41', '#00897b', '#757575'];
+  const categoryTotals = analysis.categoryTotals || [];
+  const expenseCategoryData = categoryTotals
+    .filter(c => c.type === 'expense')
+    .map((c, index) => ({
+      name: c.name,
+      value: Math.round(c.total),
+      share: c.share,
+      color: categoryColors[index % categoryColors.length],
+    }));
+  const incomeCategories = categoryTotals.filter(c => c.type === 'income');
+  const counterparties = analysis.counterparties || { incomeSources: [], payees: [] };
+  const counterpartyLists = [
+    { title: 'Top Income Sources', items: counterparties.incomeSources.slice(0, 5), color: 'success.main' },
+    { title: 'Top Payees', items: counterparties.payees.slice(0, 5), color: 'error.main' },
+  ].filter(list => list.items.length > 0);
+  const selfTransfers = analysis.selfTransfers;
+  const riskEvents = analysis.riskEvents;
+  const anomalies = analysis.anomalies ? analysis.anomalies.findings : [];
+  const balances = analysis.balances && analysis.balances.available ? analysis.balances : null;
+  const balanceChartData = balances
+    ? balances.months.map(item => ({
+      month: new Date(item.month + '-01').toLocaleDateString('en-US', { month: 'short' }),
+      Average: Math.round(item.average),
+      Minimum: Math.round(item.minimum),
+    }))
+    : [];
+  const incomeSources = analysis.incomeSources && analysis.incomeSources.archetype ? analysis.incomeSources : null;
+  const incomeClassLabels = incomeSources
+    ? Object.fromEntries(incomeSources.byClass.map(entry => [entry.incomeClass, entry.label]))
+    : {};
+
   return (
     <Container maxWidth="lg" sx={{ mt: 4, mb: 4 }}>
       {/* Header Section */}
@@ -159,12 +246,20 @@ const EligibilityResult = () => {
         <Box textAlign="center" mb={3}>
           {isEligible ? (
             <CheckCircle sx={{ fontSize: 80, color: 'success.main', mb: 2 }} />
+          ) : needsReview ? (
+            <HourglassEmpty sx={{ fontSize: 80, color: 'warning.main', mb: 2 }} />
           ) : (
             <Cancel sx={{ fontSize: 80, color: 'error.main', mb: 2 }} />
           )}
           <Typography variant="h3" component="h1" gutterBottom>
-            {isEligible ? 'Loan Approved' : 'Loan Not Approved'}
+            {isEligible ? 'Loan Approved' : needsReview ? 'Manual Review Required' : 'Loan Not Approved'}
           </Typography>
+          {needsReview && (
+            <Typography variant="body1" color="text.secondary">
+              Some transactions don't match your statement's running balance, so a loan officer will review this
+              application before a decision is made.
+            </Typography>
+          )}
           <Box display="flex" justifyContent="center" gap={2} mt={2}>
             <Chip
               label={`Credit Score: ${eligibility.score}/100`}
@@ -287,6 +382,91 @@ const EligibilityResult = () => {
         </Paper>
       )}
 
+      {/* Account Balances */}
+      {balances && (
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Account Balances
+          </Typography>
+          <Grid container spacing={2} mb={2}>
+            {[
+              { label: 'Average Daily Balance', value: formatCurrency(balances.averageDailyBalance) },
+              {
+                label: 'Average Month-End Balance',
+                value: balances.averageMonthEndBalance === null ? 'n/a' : formatCurrency(balances.averageMonthEndBalance),
+              },
+              { label: 'Lowest Balance', value: formatCurrency(balances.lowestBalance) },
+              {
+                label: 'Days Near Zero / Overdrawn',
+                value: `${balances.daysNearZero} / ${balances.daysOverdrawn} of ${balances.days}`,
+              },
+            ].map((item) => (
+              <Grid item xs={12} sm={6} md={3} key={item.label}>
+                <Typography variant="body2" color="text.secondary">
+                  {item.label}
+                </Typography>
+                <Typography variant="h6">{item.value}</Typography>
+              </Grid>
+            ))}
+          </Grid>
+          {balanceChartData.length > 0 && (
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={balanceChartData}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="month" />
+                <YAxis />
+                <Tooltip formatter={(value) => formatCurrency(value)} />
+                <Legend />
+                <Bar dataKey="Average" fill="#1976d2" />
+                <Bar dataKey="Minimum" fill="#ed6c02" />
+              </BarChart>
+            </ResponsiveContainer>
+          )}
+        </Paper>
+      )}
+
+      {/* Income Sources */}
+      {incomeSources && (
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Income Sources
+          </Typography>
+          <Box display="flex" flexWrap="wrap" alignItems="center" gap={1} mb={1}>
+            <Chip label={incomeSources.archetypeLabel} color="primary" />
+            <Typography variant="body2" color="text.secondary">
+              Source stability {incomeSources.stability}/100
+            </Typography>
+          </Box>
+          <Box display="flex" flexWrap="wrap" gap={1} mb={1}>
+            {incomeSources.byClass.map((entry) => (
+              <Chip
+                key={entry.incomeClass}
+                label={`${entry.label}: ${entry.share.toFixed(0)}%`}
+                variant="outlined"
+                size="small"
+              />
+            ))}
+          </Box>
+          <List dense>
+            {incomeSources.streams.map((stream) => (
+              <ListItem key={`${stream.incomeClass}-${stream.name}`} sx={{ py: 0.5 }}>
+                <ListItemText
+                  primary={stream.name}
+                  secondary={[
+                    incomeClassLabels[stream.incomeClass],
+                    `${stream.monthsActive} month${stream.monthsActive === 1 ? '' : 's'}`,
+                    `stability ${stream.stability}/100`,
+                  ].join(' · ')}
+                />
+                <Typography variant="body2" color="success.main">
+                  {formatCurrency(stream.total)} ({stream.share.toFixed(1)}%)
+                </Typography>
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
       {/* Advanced Analytics */}
       <Grid container spacing={3} mb={3}>
         {/* Metrics Radar Chart */}
@@ -341,6 +521,253 @@ const EligibilityResult = () => {
         </Grid>
       </Grid>
 
+      {/* Spending by Category */}
+      {expenseCategoryData.length > 0 && (
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Where the Money Goes
+          </Typography>
+          <Grid container spacing={3}>
+            <Grid item xs={12} md={7}>
+              <ResponsiveContainer width="100%" height={320}>
+                <PieChart>
+                  <Pie
+                    data={expenseCategoryData}
+                    cx="50%"
+                    cy="50%"
+                    outerRadius={110}
+                    dataKey="value"
+                    label={({ share }) => (share >= 5 ? `${share.toFixed(0)}%` : '')}
+                  >
+                    {expenseCategoryData.map((entry, index) => (
+                      <Cell key={`category-${index}`} fill={entry.color} />
+                    ))}
+                  </Pie>
+                  <Tooltip formatter={(value) => formatCurrency(value)} />
+                  <Legend />
+                </PieChart>
+              </ResponsiveContainer>
+            </Grid>
+            <Grid item xs={12} md={5}>
+              <Typography variant="subtitle1" gutterBottom>
+                Income Sources
+              </Typography>
+              <List dense>
+                {incomeCategories.map((c) => (
+                  <ListItem key={c.category} sx={{ py: 0.5 }}>
+                    <ListItemText
+                      primary={c.name}
+                      secondary={`${c.count} transaction(s) · ${c.share.toFixed(1)}% of income`}
+                    />
+                    <Typography variant="body2" fontWeight="bold" color="success.main">
+                      {formatCurrency(c.total)}
+                    </Typography>
+                  </ListItem>
+                ))}
+              </List>
+            </Grid>
+          </Grid>
+        </Paper>
+      )}
+
+      {/* Top Counterparties */}
+      {counterpartyLists.length > 0 && (
+        <Grid container spacing={3} mb={3}>
+          {counterpartyLists.map((list) => (
+            <Grid item xs={12} md={6} key={list.title}>
+              <Paper elevation={3} sx={{ p: 3, height: '100%' }}>
+                <Typography variant="h6" gutterBottom>
+                  {list.title}
+                </Typography>
+                <List dense>
+                  {list.items.map((c) => (
+                    <ListItem key={c.key} sx={{ py: 0.5 }}>
+                      <ListItemText
+                        primary={c.name}
+                        secondary={[c.channels.join(', '), c.vpa || c.ifsc, `${c.count} transaction(s)`]
+                          .filter(Boolean)
+                          .join(' · ')}
+                      />
+                      <Typography variant="body2" fontWeight="bold" color={list.color}>
+                        {formatCurrency(c.total)}
+                      </Typography>
+                    </ListItem>
+                  ))}
+                </List>
+              </Paper>
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      {/* Recurring Payments */}
+      {(analysis.recurringPayments || []).length > 0 && (
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Recurring Payments
+          </Typography>
+          <List dense>
+            {analysis.recurringPayments.map((payment) => (
+              <ListItem key={`${payment.key}-${payment.averageAmount}`} sx={{ py: 0.5 }}>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1}>
+                      {payment.name}
+                      <Chip label={RECURRING_KINDS[payment.kind] || payment.kind} size="small" variant="outlined" />
+                    </Box>
+                  }
+                  secondary={[
+                    `${payment.cadence}, ${payment.onTime} of ${payment.expectedOccurrences} on time`,
+                    payment.late > 0 && `${payment.late} late`,
+                    payment.missed > 0 && `${payment.missed} missed`,
+                    `next due ${payment.nextDueDate}`,
+                  ].filter(Boolean).join(' · ')}
+                />
+                <Typography variant="body2" fontWeight="bold">
+                  {formatCurrency(payment.averageAmount)}
+                </Typography>
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {/* Unusual Transactions */}
+      {anomalies.length > 0 && (
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Unusual Transactions
+          </Typography>
+          {analysis.anomalies.excludedIncome > 0 && (
+            <Alert severity="info" sx={{ mb: 1 }}>
+              {formatCurrency(analysis.anomalies.excludedIncome)} of income was left out of scoring
+              {analysis.anomalies.reviewedBy ? ' after review' : ' at your request'}.
+            </Alert>
+          )}
+          <List dense>
+            {anomalies.map((finding) => (
+              <ListItem key={finding.id} sx={{ py: 0.5 }}>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1}>
+                      {finding.label}
+                      <Chip
+                        label={finding.excluded ? 'Excluded' : 'Counted as income'}
+                        color={finding.excluded ? 'default' : 'warning'}
+                        size="small"
+                        variant="outlined"
+                      />
+                    </Box>
+                  }
+                  secondary={finding.explanation}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {/* Bounces & Penalties */}
+      {riskEvents && riskEvents.count > 0 && (
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Bounces & Penalties
+          </Typography>
+          <Alert severity="warning" sx={{ mb: 1 }}>
+            {riskEvents.count} bounce, return or penalty event{riskEvents.count === 1 ? '' : 's'} in{' '}
+            {riskEvents.monthsWithEvents} month{riskEvents.monthsWithEvents === 1 ? '' : 's'}, costing{' '}
+            {formatCurrency(riskEvents.totalCharges)} in all.
+          </Alert>
+          <Box display="flex" flexWrap="wrap" gap={1} mb={1}>
+            {riskEvents.byType.map((entry) => (
+              <Chip key={entry.type} label={`${entry.label}: ${entry.count}`} color="error" variant="outlined" size="small" />
+            ))}
+          </Box>
+          <List dense>
+            {riskEvents.events.map((event, index) => (
+              <ListItem key={`${event.date}-${event.type}-${index}`} sx={{ py: 0.5 }}>
+                <ListItemText primary={event.description} secondary={event.date} />
+                <Typography variant="body2" color="error.main">
+                  {formatCurrency(event.amount)}
+                </Typography>
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {/* Self-Transfers */}
+      {selfTransfers && selfTransfers.count > 0 && (
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            Transfers Between Your Own Accounts
+          </Typography>
+          <Alert severity="info" sx={{ mb: 1 }}>
+            {selfTransfers.count} transaction{selfTransfers.count === 1 ? '' : 's'} moved money between your own
+            accounts, wallets and deposits ({formatCurrency(selfTransfers.totalIn)} in,{' '}
+            {formatCurrency(selfTransfers.totalOut)} out). They are not counted as income or expenses.
+          </Alert>
+          <List dense>
+            {selfTransfers.byReason.map((entry) => (
+              <ListItem key={entry.reason} sx={{ py: 0.5 }}>
+                <ListItemText
+                  primary={entry.label}
+                  secondary={`${entry.count} transaction${entry.count === 1 ? '' : 's'}`}
+                />
+                <Typography variant="body2" color="text.secondary">
+                  {formatCurrency(entry.totalIn)} in · {formatCurrency(entry.totalOut)} out
+                </Typography>
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
+      {/* Per-Factor Score Waterfall */}
+      {waterfallData.length > 0 && (
+        <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+          <Typography variant="h6" gutterBottom>
+            How Your Score Was Calculated
+          </Typography>
+          <ResponsiveContainer width="100%" height={340}>
+            <BarChart data={waterfallData} margin={{ bottom: 40 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" interval={0} angle={-30} textAnchor="end" height={70} />
+              <YAxis domain={[0, 'dataMax']} />
+              <Tooltip
+                formatter={(value, name, props) => {
+                  const { points, possible, isTotal } = props.payload;
+                  if (isTotal) return [`${points} / 100`, 'Score'];
+                  return [`${points > 0 ? '+' : ''}${points} of ${possible} pts`, 'Points'];
+                }}
+              />
+              <Bar dataKey="base" stackId="waterfall" fill="transparent" tooltipType="none" />
+              <Bar dataKey="delta" stackId="waterfall">
+                {waterfallData.map((entry, index) => (
+                  <Cell key={`waterfall-${index}`} fill={getWaterfallColor(entry)} />
+                ))}
+              </Bar>
+            </BarChart>
+          </ResponsiveContainer>
+          <List dense>
+            {breakdown.map((item) => (
+              <ListItem key={item.factor} sx={{ py: 0.5 }}>
+                <ListItemText
+                  primary={`${item.label} (${formatMetric(item.metric)})`}
+                  secondary={item.reasons.map(r => r.message).join(' · ')}
+                  primaryTypographyProps={{ variant: 'body2', fontWeight: 'bold' }}
+                />
+                <Chip
+                  size="small"
+                  label={`${item.pointsEarned > 0 ? '+' : ''}${item.pointsEarned} / ${item.pointsPossible}`}
+                  color={item.pointsEarned < 0 ? 'error' : item.pointsEarned > 0 ? 'success' : 'default'}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Paper>
+      )}
+
       {/* Detailed Metrics */}
       <Grid container spacing={3} mb={3}>
         <Grid item xs={12} md={6}>
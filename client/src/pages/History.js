@@ -136,8 +136,8 @@ const History = () => {
                   <TableCell>{formatDate(app.createdAt)}</TableCell>
                   <TableCell align="center">
                     <Chip
-                      label={app.status}
-                      color={app.eligible ? 'success' : 'error'}
+                      label={app.status === 'manual_review' ? 'manual review' : app.status}
+                      color={app.eligible ? 'success' : app.status === 'manual_review' ? 'warning' : 'error'}
                       size="small"
                     />
                   </TableCell>
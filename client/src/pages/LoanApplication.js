@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import {
   Container,
@@ -9,12 +9,16 @@ import {
   Box,
   Alert,
   CircularProgress,
+  LinearProgress,
+  MenuItem,
   Stepper,
   Step,
   StepLabel,
   Grid,
   Card,
   CardContent,
+  Checkbox,
+  FormControlLabel,
 } from '@mui/material';
 import {
   CloudUpload,
@@ -22,16 +26,53 @@ import {
   Person,
 } from '@mui/icons-material';
 import { loanAPI } from '../services/api';
+import ColumnMappingEditor from '../components/ColumnMappingEditor';
 
 const steps = ['Personal Information', 'Upload Statement', 'Review & Submit'];
 
+// How often, and for how long, to ask the server how an upload job is getting on
+const JOB_POLL_INTERVAL_MS = 1000;
+const JOB_WAIT_MS = 10 * 60 * 1000;
+// How often, and for how long, to wait for the customer to approve an
+// Account Aggregator consent request in their AA app
+const CONSENT_POLL_INTERVAL_MS = 3000;
+const CONSENT_WAIT_MS = 2 * 60 * 1000;
+
+const JOB_STATUS_LABELS = {
+  queued: 'Waiting in queue',
+  parsing: 'Reading statements',
+  analyzing: 'Analyzing transactions',
+  done: 'Done',
+  failed: 'Failed',
+};
+
 const LoanApplication = () => {
   const navigate = useNavigate();
   const [activeStep, setActiveStep] = useState(0);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
-  const [file, setFile] = useState(null);
+  const [files, setFiles] = useState([]);
   const [analysis, setAnalysis] = useState(null);
+  const [uploadId, setUploadId] = useState(null);
+  const [template, setTemplate] = useState(null);
+  const [ocrPages, setOcrPages] = useState([]);
+  const [pdfPassword, setPdfPassword] = useState('');
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  // CSV/Excel previews awaiting mapping confirmation, and the mappings being edited
+  const [previews, setPreviews] = useState(null);
+  const [mappings, setMappings] = useState({});
+  // Background processing status of the current upload
+  const [job, setJob] = useState(null);
+  // Passbook number (1, 2, ...) of each photo, by file name, when several are selected
+  const [photoPassbooks, setPhotoPassbooks] = useState({});
+  // Language of photographed statements, from the languages the server can OCR
+  const [ocrLanguages, setOcrLanguages] = useState([]);
+  const [ocrLanguage, setOcrLanguage] = useState('eng');
+  // Account Aggregator ID (VUA) and the consent requested with it
+  const [aaVua, setAaVua] = useState('');
+  const [aaConsent, setAaConsent] = useState(null);
+  // Anomaly findings the applicant chose to leave out of scoring
+  const [excludedAnomalies, setExcludedAnomalies] = useState([]);
   const [personalInfo, setPersonalInfo] = useState({
     name: '',
     phone: '',
@@ -40,13 +81,40 @@ const LoanApplication = () => {
     monthlyIncome: '',
   });
 
+  // Set when the page is left, so polling stops
+  const unmounted = useRef(false);
+  useEffect(() => {
+    unmounted.current = false;
+    return () => {
+      unmounted.current = true;
+    };
+  }, []);
+
+  const isImage = (f) => /\.(jpe?g|png|gif|bmp|webp|tiff?)$/i.test(f.name);
+  const hasImages = files.some(isImage);
+  const photos = files.filter(isImage);
+  // Photos grouped by passbook, pages in the order selected
+  const imageGroups = [...new Set(photos.map((f) => photoPassbooks[f.name] || 1))]
+    .sort((a, b) => a - b)
+    .map((passbook) => photos.filter((f) => (photoPassbooks[f.name] || 1) === passbook).map((f) => f.name));
+
+  useEffect(() => {
+    if (!hasImages || ocrLanguages.length > 0) return;
+    loanAPI.getOcrLanguages()
+      .then((response) => {
+        setOcrLanguages(response.data.languages);
+        setOcrLanguage(response.data.default);
+      })
+      .catch(() => setOcrLanguages([]));
+  }, [hasImages, ocrLanguages.length]);
+
   const handlePersonalInfoChange = (e) => {
     setPersonalInfo({ ...personalInfo, [e.target.name]: e.target.value });
   };
 
   const handleFileChange = (e) => {
-    const selectedFile = e.target.files[0];
-    if (selectedFile) {
+    const selectedFiles = Array.from(e.target.files || []);
+    if (selectedFiles.length > 0) {
       const allowedTypes = [
         'text/csv',
         'application/vnd.ms-excel',
@@ -58,21 +126,38 @@ const LoanApplication = () => {
         'image/gif',
         'image/bmp',
         'image/webp',
+        'image/tiff',
+        'application/x-ofx',
+        'application/vnd.intu.qfx',
+        'application/xml',
+        'text/xml',
+        'application/json',
+      ];
+      const allowedExtensions = [
+        '.csv', '.xlsx', '.xls', '.pdf', '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tif', '.tiff',
+        '.ofx', '.qfx', '.sta', '.940', '.mt940', '.xml', '.txt', '.json',
       ];
-      const allowedExtensions = ['.csv', '.xlsx', '.xls', '.pdf', '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
-      const fileExt = selectedFile.name.toLowerCase().substring(selectedFile.name.lastIndexOf('.'));
+      const isAllowed = (selectedFile) => {
+        const fileExt = selectedFile.name.toLowerCase().substring(selectedFile.name.lastIndexOf('.'));
+        return allowedTypes.includes(selectedFile.type) || allowedExtensions.includes(fileExt);
+      };
       
-      if (allowedTypes.includes(selectedFile.type) || allowedExtensions.includes(fileExt)) {
-        setFile(selectedFile);
+      if (selectedFiles.every(isAllowed)) {
+        setFiles(selectedFiles);
         setError('');
+        setPdfPassword('');
+        setPasswordRequired(false);
+        setPreviews(null);
+        setMappings({});
+        setPhotoPassbooks({});
       } else {
-        setError('Please upload a CSV, Excel, PDF, or Image file (JPG, PNG, etc.)');
+        setError('Please upload a CSV, Excel, PDF, Image file (JPG, PNG, etc.) or bank export (OFX, MT940, CAMT.053, Account Aggregator data)');
       }
     }
   };
 
   const handleFileUpload = async () => {
-    if (!file) {
+    if (files.length === 0) {
       setError('Please select a file');
       return;
     }
@@ -81,18 +166,135 @@ const LoanApplication = () => {
     setError('');
 
     try {
-      const response = await loanAPI.uploadStatement(file);
-      setAnalysis(response.data.analysis);
-      setActiveStep(2);
+      // First pass for CSV/Excel: preview the columns so the user can confirm the
+      // mapping. Layouts confirmed before are mapped by the server automatically.
+      const isTabular = (f) => /\.(csv|xlsx|xls)$/i.test(f.name);
+      if (!previews && files.some(isTabular)) {
+        const previewResponse = await loanAPI.previewStatements(files);
+        const needsReview = previewResponse.data.files.filter(
+          (p) => p.tabular && p.mappingSource !== 'saved'
+        );
+        if (needsReview.length > 0) {
+          setPreviews(needsReview);
+          setMappings(needsReview.reduce((all, p) => ({ ...all, [p.name]: p.mapping }), {}));
+          return;
+        }
+      }
+
+      const response = await loanAPI.uploadStatements(
+        files, pdfPassword, previews ? mappings : null, hasImages ? ocrLanguage : null, imageGroups
+      );
+      setJob({ status: response.data.status, progress: 0 });
+      const result = await waitForUploadJob(response.data.jobId);
+      if (!result) return;
+      if (result.status === 'failed') {
+        showUploadError(result.error?.message, result.error?.code);
+        return;
+      }
+
+      setPasswordRequired(false);
+      showAnalysis(result);
+    } catch (err) {
+      showUploadError(err.response?.data?.error, err.response?.data?.code);
+    } finally {
+      setLoading(false);
+      setJob(null);
+    }
+  };
+
+  const handleAaFetch = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      // Reuse a consent that is still waiting for approval for the same VUA
+      let consent = aaConsent && aaConsent.customerVua === aaVua && !aaConsent.fetchedAt
+        ? aaConsent
+        : (await loanAPI.requestAaConsent(aaVua)).data.consent;
+      setAaConsent(consent);
+      consent = await waitForConsent(consent, Date.now() + CONSENT_WAIT_MS);
+      setAaConsent(consent);
+      if (consent.status !== 'ACTIVE') {
+        setError(consent.status === 'PENDING'
+          ? 'Approve the consent request in your Account Aggregator app, then fetch again.'
+          : `The consent request was ${consent.status.toLowerCase()}. Request it again or upload statements instead.`);
+        return;
+      }
+
+      const response = await loanAPI.fetchAaData(consent.id);
+      setJob({ status: response.data.status, progress: 0 });
+      const result = await waitForUploadJob(response.data.jobId);
+      if (!result) return;
+      if (result.status === 'failed') {
+        showUploadError(result.error?.message, result.error?.code);
+        return;
+      }
+      setAaConsent({ ...consent, fetchedAt: new Date().toISOString() });
+      showAnalysis(result);
     } catch (err) {
-      setError(err.response?.data?.error || 'File upload failed. Please try again.');
+      showUploadError(err.response?.data?.error, err.response?.data?.code);
     } finally {
       setLoading(false);
+      setJob(null);
     }
   };
 
+  // Poll a consent request until the customer approves or rejects it, or we stop waiting
+  const waitForConsent = async (consent, deadline) => {
+    if (consent.status !== 'PENDING' || Date.now() >= deadline || unmounted.current) {
+      return consent;
+    }
+    await new Promise((resolve) => setTimeout(resolve, CONSENT_POLL_INTERVAL_MS));
+    const { data } = await loanAPI.getAaConsent(consent.id);
+    return waitForConsent(data.consent, deadline);
+  };
+
+  const showAnalysis = (result) => {
+    setAnalysis(result.analysis);
+    setUploadId(result.uploadId);
+    setTemplate(result.template);
+    setOcrPages((result.fileSummaries || []).flatMap((f) => f.pages || []));
+    setExcludedAnomalies([]);
+    setActiveStep(2);
+  };
+
+  const toggleAnomaly = (id) => {
+    setExcludedAnomalies(excludedAnomalies.includes(id)
+      ? excludedAnomalies.filter((excluded) => excluded !== id)
+      : [...excludedAnomalies, id]);
+  };
+
+  // Poll the upload job until the server has finished with it. Resolves to
+  // null if the page is left first, and gives up after JOB_WAIT_MS.
+  const waitForUploadJob = async (jobId, deadline = Date.now() + JOB_WAIT_MS) => {
+    if (unmounted.current) {
+      return null;
+    }
+    if (Date.now() >= deadline) {
+      return {
+        status: 'failed',
+        error: { message: 'Your statements are taking too long to process. Please try again later.' },
+      };
+    }
+    const { data } = await loanAPI.getUploadJob(jobId);
+    setJob(data);
+    if (data.status === 'done' || data.status === 'failed') {
+      return data;
+    }
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+    return waitForUploadJob(jobId, deadline);
+  };
+
+  const showUploadError = (message, code) => {
+    if (code === 'PDF_PASSWORD_REQUIRED' || code === 'PDF_PASSWORD_INCORRECT') {
+      // Locked statement: ask for the password instead of failing the upload
+      setPasswordRequired(true);
+    }
+    setError(message || 'File upload failed. Please try again.');
+  };
+
   const handleSubmit = async () => {
-    if (!analysis) {
+    if (!analysis || !uploadId) {
       setError('Please upload and analyze your statement first');
       return;
     }
@@ -102,14 +304,15 @@ const LoanApplication = () => {
 
     try {
       const response = await loanAPI.checkEligibility({
-        analysis,
+        uploadId,
         personalInfo,
+        excludeAnomalies: excludedAnomalies,
       });
       
       // Store result in sessionStorage for result page
       sessionStorage.setItem('eligibilityResult', JSON.stringify({
         eligibility: response.data.eligibility,
-        analysis,
+        analysis: response.data.analysis,
         personalInfo,
         applicationId: response.data.applicationId,
       }));
@@ -245,35 +448,137 @@ const LoanApplication = () => {
               }}
             >
               <input
-                accept=".csv,.xlsx,.xls,.pdf,.jpg,.jpeg,.png,.gif,.bmp,.webp"
+                accept=".csv,.xlsx,.xls,.pdf,.jpg,.jpeg,.png,.gif,.bmp,.webp,.tif,.tiff,.ofx,.qfx,.sta,.940,.mt940,.xml,.txt,.json"
                 style={{ display: 'none' }}
                 id="file-upload"
                 type="file"
+                multiple
                 onChange={handleFileChange}
               />
               <label htmlFor="file-upload">
                 <Button variant="outlined" component="span" startIcon={<CloudUpload />}>
-                  Choose File
+                  Choose Files
                 </Button>
               </label>
-              {file && (
-                <Box mt={2}>
+              <Typography variant="body2" color="text.secondary" mt={1}>
+                Select several statements to combine months or accounts at different banks. Photos of
+                passbook pages are read together as one statement, in the order selected; if they come from
+                more than one passbook, say which passbook each photo belongs to.
+              </Typography>
+              {files.map((file) => (
+                <Box mt={2} key={file.name}>
                   <Description sx={{ mr: 1 }} />
                   <Typography variant="body1">{file.name}</Typography>
                   <Typography variant="body2" color="text.secondary">
                     {(file.size / 1024).toFixed(2)} KB
                   </Typography>
+                  {photos.length > 1 && isImage(file) && (
+                    <TextField
+                      select
+                      size="small"
+                      label="Passbook"
+                      value={photoPassbooks[file.name] || 1}
+                      onChange={(e) => setPhotoPassbooks({ ...photoPassbooks, [file.name]: e.target.value })}
+                      sx={{ mt: 1, minWidth: 140 }}
+                    >
+                      {photos.map((photo, index) => (
+                        <MenuItem key={photo.name} value={index + 1}>
+                          Passbook {index + 1}
+                        </MenuItem>
+                      ))}
+                    </TextField>
+                  )}
                 </Box>
-              )}
+              ))}
             </Box>
+            <Box mb={2}>
+              <Typography variant="subtitle1" gutterBottom>
+                Or share statements through an Account Aggregator
+              </Typography>
+              <Box display="flex" gap={2} alignItems="flex-start">
+                <TextField
+                  fullWidth
+                  label="Account Aggregator ID"
+                  placeholder="9876543210@finvu"
+                  value={aaVua}
+                  onChange={(e) => setAaVua(e.target.value.trim())}
+                  helperText={aaConsent && aaConsent.customerVua === aaVua
+                    ? `Consent ${aaConsent.status.toLowerCase()} for ${aaConsent.dataRange.from.slice(0, 10)} to ${aaConsent.dataRange.to.slice(0, 10)}`
+                    : 'We request your consent to read the last 6 months of your savings and current accounts'}
+                />
+                <Button
+                  variant="outlined"
+                  onClick={handleAaFetch}
+                  disabled={!aaVua || loading}
+                  sx={{ whiteSpace: 'nowrap', mt: 1 }}
+                >
+                  Fetch via Account Aggregator
+                </Button>
+              </Box>
+            </Box>
+            {previews && previews.map((preview) => (
+              <ColumnMappingEditor
+                key={preview.name}
+                preview={preview}
+                mapping={mappings[preview.name]}
+                onChange={(mapping) => setMappings({ ...mappings, [preview.name]: mapping })}
+              />
+            ))}
+            {hasImages && ocrLanguages.length > 1 && (
+              <Box mb={2}>
+                <TextField
+                  select
+                  fullWidth
+                  label="Statement Language"
+                  value={ocrLanguage}
+                  onChange={(e) => setOcrLanguage(e.target.value)}
+                  helperText="Language printed on the passbook or statement photos"
+                >
+                  {ocrLanguages.map((language) => (
+                    <MenuItem key={language.code} value={language.code}>
+                      {language.name}
+                    </MenuItem>
+                  ))}
+                </TextField>
+              </Box>
+            )}
+            {loading && job && (
+              <Box mb={2}>
+                <Box display="flex" justifyContent="space-between" mb={1}>
+                  <Typography variant="body2">{JOB_STATUS_LABELS[job.status] || job.status}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {Math.round(job.progress || 0)}%
+                  </Typography>
+                </Box>
+                <LinearProgress variant="determinate" value={job.progress || 0} />
+                {job.message && (
+                  <Typography variant="caption" color="text.secondary">
+                    {job.message}
+                  </Typography>
+                )}
+              </Box>
+            )}
+            {passwordRequired && (
+              <Box mb={2}>
+                <TextField
+                  fullWidth
+                  type="password"
+                  label="Statement Password"
+                  value={pdfPassword}
+                  onChange={(e) => setPdfPassword(e.target.value)}
+                  helperText="Banks usually derive this from your date of birth or customer ID"
+                  autoFocus
+                />
+              </Box>
+            )}
             <Box display="flex" justifyContent="space-between" mt={4}>
               <Button onClick={handleBack}>Back</Button>
               <Button
                 variant="contained"
                 onClick={handleFileUpload}
-                disabled={!file || loading}
+                disabled={files.length === 0 || loading || (passwordRequired && !pdfPassword)}
               >
-                {loading ? <CircularProgress size={24} /> : 'Upload & Analyze'}
+                {loading ? <CircularProgress size={24} /> : previews ? 'Confirm Columns & Analyze' : 'Upload & Analyze'}
               </Button>
             </Box>
           </Box>
@@ -285,6 +590,101 @@ const LoanApplication = () => {
               <Description sx={{ mr: 2, fontSize: 32 }} />
               <Typography variant="h6">Transaction Summary</Typography>
             </Box>
+            {template && (
+              <Typography variant="body2" color="text.secondary" mb={2}>
+                Statement format: {template.name}
+              </Typography>
+            )}
+            {analysis.accounts && analysis.accounts.length > 1 && (
+              <Grid container spacing={2} mb={2}>
+                {analysis.accounts.map((account) => (
+                  <Grid item xs={12} sm={6} key={account.accountId}>
+                    <Card variant="outlined">
+                      <CardContent>
+                        <Typography variant="subtitle1">{account.label}</Typography>
+                        <Typography variant="body2" color="text.secondary">
+                          {account.files.join(', ')} · {account.transactionCount} transactions
+                        </Typography>
+                        <Typography variant="body2" color="success.main">
+                          Income: {formatCurrency(account.totalIncome)}
+                        </Typography>
+                        <Typography variant="body2" color="error.main">
+                          Expenses: {formatCurrency(account.totalExpenses)}
+                        </Typography>
+                        {account.holder && account.holder.names.length > 0 && (
+                          <Typography variant="body2" color="text.secondary">
+                            Holder: {account.holder.names.join(', ')}
+                          </Typography>
+                        )}
+                        {account.currentBalance != null && (
+                          <Typography variant="body2" color="text.secondary">
+                            Balance: {formatCurrency(account.currentBalance)}
+                          </Typography>
+                        )}
+                      </CardContent>
+                    </Card>
+                  </Grid>
+                ))}
+              </Grid>
+            )}
+            {analysis.duplicatesRemoved > 0 && (
+              <Alert severity="info" sx={{ mb: 2 }}>
+                {analysis.duplicatesRemoved} duplicate transaction(s) from overlapping statement periods were removed.
+              </Alert>
+            )}
+            {analysis.reconciliation && analysis.reconciliation.failed > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {analysis.reconciliation.failed} of {analysis.reconciliation.checked} transaction(s) don't match the
+                statement's running balance ({analysis.reconciliation.score.toFixed(1)}% reconciled). They may have
+                been read incorrectly.
+              </Alert>
+            )}
+            {ocrPages.some((p) => p.lowConfidence) && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Some pages were hard to read:{' '}
+                {ocrPages
+                  .filter((p) => p.lowConfidence)
+                  .map((p) => `page ${p.page} (${p.file}, ${p.confidence}% confidence)`)
+                  .join(', ')}
+                . Re-take these photos in good light, flat and filling the frame, for a more accurate analysis.
+              </Alert>
+            )}
+            {analysis.unresolvedDates && analysis.unresolvedDates.count > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                {analysis.unresolvedDates.count} transaction date(s) could not be read and were left out of the
+                monthly figures (e.g. {analysis.unresolvedDates.examples
+                  .slice(0, 3)
+                  .map(u => `"${u.value || 'blank'}" in ${u.file} row ${u.row}`)
+                  .join(', ')}).
+              </Alert>
+            )}
+            {analysis.anomalies && analysis.anomalies.findings.length > 0 && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                <Typography variant="body2" gutterBottom>
+                  These transactions look unusual and are counted as income. Tick the ones to leave out when your
+                  eligibility is scored; a loan officer checks any unusual credits you leave in before a decision
+                  is made.
+                </Typography>
+                {analysis.anomalies.findings.map((finding) => (
+                  <FormControlLabel
+                    key={finding.id}
+                    sx={{ display: 'flex', alignItems: 'flex-start', mt: 1 }}
+                    control={
+                      <Checkbox
+                        size="small"
+                        checked={excludedAnomalies.includes(finding.id)}
+                        onChange={() => toggleAnomaly(finding.id)}
+                      />
+                    }
+                    label={
+                      <Typography variant="body2" sx={{ pt: 0.75 }}>
+                        <strong>{finding.label}:</strong> {finding.explanation}
+                      </Typography>
+                    }
+                  />
+                ))}
+              </Alert>
+            )}
             <Grid container spacing={2} mb={3}>
               <Grid item xs={12} sm={6}>
                 <Card>
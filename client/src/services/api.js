@@ -46,14 +46,41 @@ export const authAPI = {
 };
 
 export const loanAPI = {
-  uploadStatement: (file) => {
+  previewStatements: (files) => {
     const formData = new FormData();
-    formData.append('statement', file);
+    files.forEach((file) => formData.append('statements', file));
+    return api.post('/upload/preview', formData, {
+      timeout: 60000,
+    });
+  },
+  uploadStatements: (files, password, mappings, language, imageGroups) => {
+    const formData = new FormData();
+    files.forEach((file) => formData.append('statements', file));
+    if (password) {
+      formData.append('password', password);
+    }
+    if (mappings && Object.keys(mappings).length > 0) {
+      formData.append('mappings', JSON.stringify(mappings));
+    }
+    if (language) {
+      formData.append('language', language);
+    }
+    // Which photos are pages of which passbook, when there is more than one
+    if (imageGroups && imageGroups.length > 1) {
+      formData.append('imageGroups', JSON.stringify(imageGroups));
+    }
+    // Returns a job ID right away; processing happens in the background
     return api.post('/upload', formData, {
       // Don't set Content-Type - let axios set it automatically with boundary
-      timeout: 60000, // 60 second timeout for file uploads
+      timeout: 60000, // 60 second timeout for sending the files
     });
   },
+  getUploadJob: (jobId) => api.get(`/upload/jobs/${jobId}`),
+  getOcrLanguages: () => api.get('/ocr/languages'),
+  // Account Aggregator: ask for consent, then fetch the statements it covers
+  requestAaConsent: (customerVua, months) => api.post('/aa/consents', { customerVua, months }),
+  getAaConsent: (consentId) => api.get(`/aa/consents/${consentId}`),
+  fetchAaData: (consentId) => api.post(`/aa/consents/${consentId}/fetch`),
   checkEligibility: (data) => api.post('/check-eligibility', data),
   getHistory: () => api.get('/history'),
   getApplicationDetails: (id) => api.get(`/history/${id}`),
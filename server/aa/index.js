@@ -0,0 +1,19 @@
+const { createMockAggregator } = require('./mockAggregator');
+
+// Account Aggregator entry point. Routes only talk to the object returned
+// here: requestConsent, getConsentStatus, fetchConsentArtefact and
+// fetchFinancialInformation (see mockAggregator.js for their shapes). A
+// client for a real AA - which also decrypts the FI data FIPs send - can be
+// added by implementing the same methods and selecting it with AA_DRIVER.
+function createAggregator() {
+  const driver = process.env.AA_DRIVER || 'mock';
+
+  switch (driver) {
+    case 'mock':
+      return createMockAggregator();
+    default:
+      throw new Error(`Unknown AA_DRIVER "${driver}". Supported drivers: mock`);
+  }
+}
+
+module.exports = { createAggregator };
@@ -0,0 +1,237 @@
+const crypto = require('crypto');
+const { isoDay } = require('../analysis/dates');
+
+// Local stand-in for an Account Aggregator and the FIPs behind it, for
+// development without AA sandbox credentials. It follows the shape of the
+// real flow - consent request, the customer's approval, consent artefact, FI
+// fetch - but keeps everything in memory, approves consents straight away and
+// returns unencrypted FI documents generated from the customer's VUA.
+//
+// VUAs starting with "reject" (e.g. reject@mockaa) have their consent
+// rejected, to exercise that path. Every customer has two deposit accounts:
+// one served as JSON, one as XML.
+
+const MOCK_AA_ID = 'mockaa';
+// Signs mock consent artefacts; real artefacts are signed by the AA
+const SIGNING_KEY = 'mock-aa-signing-key';
+
+// Helper function to make a small deterministic random generator from a seed
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(seed).digest().readUInt32LE(0) || 1;
+  return () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    return ((state >>> 0) % 100000) / 100000;
+  };
+}
+
+// Helper function to encode JSON as base64url, as JWS segments are
+function base64url(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// Helper function to sign a consent detail the way an AA returns it (a JWS)
+function signConsent(detail) {
+  const header = base64url({ alg: 'HS256', typ: 'JWT', kid: MOCK_AA_ID });
+  const payload = base64url(detail);
+  const signature = crypto.createHmac('sha256', SIGNING_KEY).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+}
+
+// Helper function to generate a month-by-month transaction history between
+// two dates with a running balance
+function generateTransactions(random, { from, to, salary, rent, openingBalance }) {
+  const transactions = [];
+  let sequence = 0;
+
+  const add = (date, type, amount, mode, narration) => {
+    if (date < from || date > to) return;
+    sequence++;
+    transactions.push({
+      type,
+      mode,
+      amount: amount.toFixed(2),
+      transactionTimestamp: `${isoDay(date)}T10:${String(sequence % 60).padStart(2, '0')}:00+05:30`,
+      valueDate: isoDay(date),
+      txnId: `M${String(sequence).padStart(8, '0')}`,
+      narration,
+      reference: `REF${Math.floor(random() * 1e9)}`
+    });
+  };
+
+  const shops = ['BIGBASKET', 'SWIGGY', 'DMART', 'AMAZON', 'RELIANCE FRESH', 'ZOMATO', 'INDIAN OIL'];
+  for (let month = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), 1));
+    month <= to;
+    month = new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth() + 1, 1))) {
+    const day = d => new Date(Date.UTC(month.getUTCFullYear(), month.getUTCMonth(), d));
+    if (salary) add(day(1), 'CREDIT', salary, 'FT', 'NEFT-ACME TECHNOLOGIES PVT LTD-SALARY');
+    if (rent) add(day(3), 'DEBIT', rent, 'UPI', 'UPI/LANDLORD/RENT');
+    add(day(8), 'DEBIT', Math.round(800 + random() * 1200), 'OTHERS', 'BILLPAY/ELECTRICITY BOARD');
+    const spends = 4 + Math.floor(random() * 5);
+    for (let i = 0; i < spends; i++) {
+      const shop = shops[Math.floor(random() * shops.length)];
+      add(day(10 + Math.floor(random() * 18)), 'DEBIT', Math.round(150 + random() * 2500), 'UPI', `UPI/${shop}/PAYMENT`);
+    }
+    add(day(28), 'CREDIT', Math.round(random() * 300), 'OTHERS', 'INTEREST CREDIT');
+  }
+
+  // Statements list rows in date order, each with the balance after it
+  transactions.sort((a, b) => a.valueDate.localeCompare(b.valueDate) || a.txnId.localeCompare(b.txnId));
+  let balance = openingBalance;
+  transactions.forEach(t => {
+    balance = Math.round((balance + (t.type === 'CREDIT' ? 1 : -1) * Number(t.amount)) * 100) / 100;
+    t.currentBalance = balance.toFixed(2);
+  });
+  return { transactions, closingBalance: balance };
+}
+
+// Helper function to build the ReBIT deposit account for a mock FIP
+function depositAccount(random, { holderName, maskedAccNumber, ifscCode, from, to, salary, rent, openingBalance }) {
+  const { transactions, closingBalance } = generateTransactions(random, { from, to, salary, rent, openingBalance });
+  return {
+    type: 'deposit',
+    maskedAccNumber,
+    version: '1.1',
+    linkedAccRef: crypto.randomUUID(),
+    Profile: {
+      Holders: {
+        type: 'SINGLE',
+        Holder: [{ name: holderName, dob: '1990-01-01', mobile: 'XXXXXX0000', nominee: 'REGISTERED', email: '', pan: 'XXXXX0000X', ckycCompliance: 'true' }]
+      }
+    },
+    Summary: {
+      currentBalance: closingBalance.toFixed(2),
+      currency: 'INR',
+      balanceDateTime: `${isoDay(to)}T23:59:59+05:30`,
+      type: 'SAVINGS',
+      branch: 'MOCK BRANCH',
+      facility: 'OD',
+      ifscCode,
+      openingDate: '2018-06-15',
+      currentODLimit: '0',
+      drawingLimit: '0',
+      status: 'ACTIVE'
+    },
+    Transactions: { startDate: isoDay(from), endDate: isoDay(to), Transaction: transactions }
+  };
+}
+
+// Helper function to write an account as ReBIT XML
+function accountXml(account) {
+  const escape = value => String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const attributes = object => Object.entries(object)
+    .filter(([, value]) => typeof value !== 'object')
+    .map(([key, value]) => `${key}="${escape(value)}"`)
+    .join(' ');
+
+  return [
+    `<Account xmlns="http://api.rebit.org.in/FISchema/deposit" ${attributes(account)}>`,
+    `  <Profile><Holders type="${account.Profile.Holders.type}">`,
+    ...account.Profile.Holders.Holder.map(h => `    <Holder ${attributes(h)}/>`),
+    '  </Holders></Profile>',
+    `  <Summary ${attributes(account.Summary)}/>`,
+    `  <Transactions startDate="${account.Transactions.startDate}" endDate="${account.Transactions.endDate}">`,
+    ...account.Transactions.Transaction.map(t => `    <Transaction ${attributes(t)}/>`),
+    '  </Transactions>',
+    '</Account>'
+  ].join('\n');
+}
+
+function createMockAggregator() {
+  const consents = new Map();
+
+  // Helper function to look up a consent by handle or ID
+  function findConsent(key) {
+    const consent = consents.get(key) || [...consents.values()].find(c => c.consentId === key);
+    if (!consent) {
+      const err = new Error('Consent not found at the Account Aggregator');
+      err.code = 'CONSENT_NOT_FOUND';
+      throw err;
+    }
+    return consent;
+  }
+
+  return {
+    id: MOCK_AA_ID,
+    name: 'Mock Account Aggregator',
+
+    // Ask the AA to collect the customer's consent. Returns { consentHandle }.
+    async requestConsent(detail) {
+      const consentHandle = crypto.randomUUID();
+      const rejected = /^reject/i.test(detail.Customer.id);
+      consents.set(consentHandle, {
+        consentHandle,
+        // The customer answers in their AA app; the mock answers for them
+        status: rejected ? 'REJECTED' : 'ACTIVE',
+        consentId: rejected ? null : crypto.randomUUID(),
+        detail
+      });
+      return { consentHandle };
+    },
+
+    // Current state of a consent request: { status, consentId }
+    async getConsentStatus(consentHandle) {
+      const consent = findConsent(consentHandle);
+      return { status: consent.status, consentId: consent.consentId };
+    },
+
+    // The signed consent artefact for an approved consent
+    async fetchConsentArtefact(consentId) {
+      const consent = findConsent(consentId);
+      return {
+        consentId,
+        status: consent.status,
+        createTimestamp: consent.detail.consentStart,
+        signedConsent: signConsent({ ...consent.detail, consentId })
+      };
+    },
+
+    // Financial information the consent covers, one document per linked
+    // account: [{ fipId, maskedAccNumber, format: 'json' | 'xml', document }]
+    async fetchFinancialInformation(consentId) {
+      const consent = findConsent(consentId);
+      if (consent.status !== 'ACTIVE') {
+        const err = new Error(`Consent is ${consent.status}`);
+        err.code = 'CONSENT_NOT_ACTIVE';
+        throw err;
+      }
+
+      const vua = consent.detail.Customer.id;
+      const random = seededRandom(vua);
+      const from = new Date(`${consent.detail.FIDataRange.from.slice(0, 10)}T00:00:00Z`);
+      const to = new Date(`${consent.detail.FIDataRange.to.slice(0, 10)}T00:00:00Z`);
+      const holderName = vua.split('@')[0].replace(/[^a-z]/gi, ' ').trim().toUpperCase() || 'MOCK CUSTOMER';
+      const digits = String(Math.floor(random() * 9000) + 1000);
+
+      const salaryAccount = depositAccount(random, {
+        holderName,
+        maskedAccNumber: `XXXXXXXX${digits}`,
+        ifscCode: 'HDFC0000123',
+        from,
+        to,
+        salary: 40000 + Math.round(random() * 40) * 1000,
+        rent: 12000 + Math.round(random() * 10) * 500,
+        openingBalance: 25000
+      });
+      const savingsAccount = depositAccount(random, {
+        holderName,
+        maskedAccNumber: `XXXXXXXX${((Number(digits) + 1111) % 9000) + 1000}`,
+        ifscCode: 'SBIN0001234',
+        from,
+        to,
+        salary: 0,
+        rent: 0,
+        openingBalance: 150000
+      });
+
+      return [
+        { fipId: 'HDFC-FIP', maskedAccNumber: salaryAccount.maskedAccNumber, format: 'json', document: JSON.stringify({ Account: salaryAccount }) },
+        { fipId: 'SBI-FIP', maskedAccNumber: savingsAccount.maskedAccNumber, format: 'xml', document: accountXml(savingsAccount) }
+      ];
+    }
+  };
+}
+
+module.exports = { createMockAggregator };
@@ -0,0 +1,235 @@
+// Window-dressing and anomaly detection.
+//
+// Income is averaged over the statement period, so a large one-off deposit
+// just before applying makes an account look stronger than it is. Four
+// patterns are flagged, each transaction in at most one finding:
+//   - reversal: a credit debited again within a few days, by the same
+//     counterparty or marked as a reversal
+//   - round_trip: money sent to a counterparty and received back from it
+//     (or the other way round) within a month
+//   - balance_spike: an account's balance in the last weeks of the statement
+//     far above where it was before, and the unexplained credits behind it
+//   - large_credit: a credit much larger than the usual ones that isn't
+//     salary, interest, a refund or a regular income
+// Findings carry the indexes of their transactions so they can be left out
+// when the application is scored.
+
+const { DAY_MS, parseIsoDate } = require('./dates');
+const { mean, median } = require('./stats');
+const { counterpartyKey } = require('./narration');
+
+// A reversal follows the credit within this many days
+const REVERSAL_DAYS = 3;
+// Money sent out and back in within this many days is a round trip...
+const ROUND_TRIP_DAYS = 30;
+// ...when the amounts are within this share of each other
+const ROUND_TRIP_TOLERANCE = 0.05;
+// The last weeks of the statement, checked for a balance spike
+const SPIKE_WINDOW_DAYS = 21;
+// A spike is an average balance at least this many times the earlier one
+const SPIKE_MULTIPLE = 2;
+// A large credit is this many times the median credit...
+const LARGE_CREDIT_MULTIPLE = 3;
+// ...and at least this share of the median month's income
+const LARGE_CREDIT_INCOME_SHARE = 0.5;
+// Credits these categories explain
+const EXPLAINED_CATEGORIES = ['salary', 'interest', 'refund'];
+
+const REVERSAL_WORDS = /\b(?:rev|reversal|reversed|return(?:ed)?|rtn|recall(?:ed)?)\b/;
+
+const LABELS = {
+  reversal: 'Credit reversed',
+  round_trip: 'Round trip',
+  balance_spike: 'Balance spike before applying',
+  large_credit: 'Large unexplained credit'
+};
+
+// Helper function to format an amount for an explanation
+function rupees(amount) {
+  return `₹${amount.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+}
+
+// Helper function to name who a transaction was with, for an explanation
+function counterpartyName(t) {
+  return (t.narration && t.narration.counterparty) || t.description;
+}
+
+// Helper function to find where the first item dated at or after date sits
+// in a list sorted by date
+function firstOnOrAfter(list, date) {
+  let low = 0;
+  let high = list.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (list[middle].date < date) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+// Helper function to pair credits with the debits that take them back out.
+// Only debits sharing the credit's keyOf() value (e.g. its amount in cents)
+// and dated within maxDays of it are candidates, so each credit is checked
+// against a handful of debits rather than all of them; pairs(credit, debit)
+// decides among those. dated must be sorted by date.
+function findPairs(dated, used, maxDays, keyOf, pairs) {
+  const debitsByKey = new Map();
+  dated.filter(d => d.t.type === 'expense').forEach(debit => {
+    const key = keyOf(debit);
+    if (key === null || key === '') return;
+    if (!debitsByKey.has(key)) debitsByKey.set(key, []);
+    debitsByKey.get(key).push(debit);
+  });
+
+  const found = [];
+  dated.filter(c => c.t.type === 'income').forEach(credit => {
+    if (used.has(credit.index)) return;
+    const debits = debitsByKey.get(keyOf(credit)) || [];
+    const windowEnd = credit.date.getTime() + maxDays * DAY_MS;
+    let match = null;
+    for (let i = firstOnOrAfter(debits, credit.date.getTime() - maxDays * DAY_MS); i < debits.length; i++) {
+      const debit = debits[i];
+      if (debit.date > windowEnd) break;
+      if (used.has(debit.index) || !pairs(credit, debit)) continue;
+      // Closest date wins; on a tie, the earlier debit
+      if (!match || Math.abs(debit.date - credit.date) < Math.abs(match.date - credit.date)) match = debit;
+    }
+    if (!match) return;
+    used.add(credit.index);
+    used.add(match.index);
+    found.push({ credit, debit: match });
+  });
+  return found;
+}
+
+// Helper function to find accounts whose balance jumped in the last weeks:
+// [{ accountId, earlierAverage, windowAverage, windowStart }]. The rise has to
+// be at least minIncrease.
+function findBalanceSpikes(dated, periodEnd, minIncrease) {
+  const windowStart = new Date(periodEnd.getTime() - SPIKE_WINDOW_DAYS * DAY_MS);
+  const accounts = new Map();
+  dated.forEach(d => {
+    if (typeof d.t.balance !== 'number' || !Number.isFinite(d.t.balance)) return;
+    const accountId = d.t.accountId || 'unknown';
+    if (!accounts.has(accountId)) accounts.set(accountId, new Map());
+    // The last transaction of a day leaves that day's closing balance
+    accounts.get(accountId).set(d.t.date, d.t.balance);
+  });
+
+  const spikes = [];
+  accounts.forEach((days, accountId) => {
+    const earlier = [];
+    const recent = [];
+    days.forEach((balance, day) => {
+      (parseIsoDate(day) >= windowStart ? recent : earlier).push(balance);
+    });
+    if (earlier.length < 5 || recent.length === 0) return;
+    const earlierAverage = mean(earlier);
+    const windowAverage = mean(recent);
+    if (windowAverage >= SPIKE_MULTIPLE * Math.max(earlierAverage, 0) && windowAverage - earlierAverage >= minIncrease) {
+      spikes.push({ accountId, earlierAverage, windowAverage, windowStart });
+    }
+  });
+  return spikes;
+}
+
+// Find window-dressing patterns among merged transactions (as stored with an
+// upload). recurringIncome is the analysis' list of regular incomes, whose
+// payers explain their credits. Returns findings as
+// [{ id, type, label, explanation, date, amount, transactionIndexes,
+//    incomeAmount, expenseAmount }].
+function detectAnomalies(transactions, { recurringIncome = [] } = {}) {
+  // Self-transfers are already left out of income
+  const dated = transactions
+    .map((t, index) => ({ t, index, date: parseIsoDate(t.date), key: counterpartyKey(t) }))
+    .filter(d => d.date && !d.t.selfTransfer)
+    .sort((a, b) => a.date - b.date);
+  if (dated.length === 0) return [];
+
+  const periodEnd = dated[dated.length - 1].date;
+  const credits = dated.filter(d => d.t.type === 'income');
+  const incomeByMonth = {};
+  credits.forEach(d => {
+    const month = d.t.date.slice(0, 7);
+    incomeByMonth[month] = (incomeByMonth[month] || 0) + d.t.amount;
+  });
+  const typicalCredit = median(credits.map(d => d.t.amount));
+  const largeCredit = Math.max(
+    LARGE_CREDIT_MULTIPLE * typicalCredit,
+    LARGE_CREDIT_INCOME_SHARE * median(Object.values(incomeByMonth))
+  );
+  const regularPayers = new Set(recurringIncome.map(s => s.key));
+  const unexplained = d => !EXPLAINED_CATEGORIES.includes(d.t.category) && !regularPayers.has(d.key);
+
+  const findings = [];
+  const used = new Set();
+  const addFinding = (type, explanation, members) => {
+    const amount = members.find(d => d.t.type === 'income') || members[0];
+    findings.push({
+      id: `${type}-${findings.filter(f => f.type === type).length + 1}`,
+      type,
+      label: LABELS[type],
+      explanation,
+      date: amount.t.date,
+      amount: amount.t.amount,
+      transactionIndexes: members.map(d => d.index),
+      incomeAmount: members.filter(d => d.t.type === 'income').reduce((sum, d) => sum + d.t.amount, 0),
+      expenseAmount: members.filter(d => d.t.type === 'expense').reduce((sum, d) => sum + d.t.amount, 0)
+    });
+  };
+  const cents = d => Math.round(d.t.amount * 100);
+  const counterparty = d => d.key || null;
+
+  // Reversals are for the same amount
+  findPairs(dated, used, REVERSAL_DAYS, cents, (credit, debit) =>
+    debit.date >= credit.date &&
+    ((credit.key && credit.key === debit.key) || REVERSAL_WORDS.test(String(debit.t.description).toLowerCase()))
+  ).forEach(({ credit, debit }) => {
+    addFinding('reversal',
+      `${rupees(credit.t.amount)} credited on ${credit.t.date} from ${counterpartyName(credit.t)} was debited ` +
+      `again on ${debit.t.date}. Money that doesn't stay in the account isn't income.`,
+      [credit, debit]);
+  });
+
+  // Round trips are with the same counterparty. Small amounts going back and
+  // forth are bills being split, not window dressing
+  findPairs(dated, used, ROUND_TRIP_DAYS, counterparty, (credit, debit) =>
+    credit.t.amount >= typicalCredit &&
+    Math.abs(credit.t.amount - debit.t.amount) <= ROUND_TRIP_TOLERANCE * Math.max(credit.t.amount, debit.t.amount)
+  ).forEach(({ credit, debit }) => {
+    const name = counterpartyName(credit.t);
+    const trip = credit.date <= debit.date
+      ? `${rupees(credit.t.amount)} received from ${name} on ${credit.t.date} was paid back on ${debit.t.date}`
+      : `${rupees(debit.t.amount)} sent to ${name} on ${debit.t.date} came back on ${credit.t.date}`;
+    addFinding('round_trip',
+      `${trip}. Money moved out and back in with the same counterparty looks like income without being earned.`,
+      [credit, debit]);
+  });
+
+  findBalanceSpikes(dated, periodEnd, typicalCredit).forEach(spike => {
+    const behind = credits.filter(d =>
+      !used.has(d.index) && unexplained(d) && (d.t.accountId || 'unknown') === spike.accountId &&
+      d.date >= spike.windowStart && d.t.amount >= typicalCredit);
+    if (behind.length === 0) return;
+    behind.forEach(d => used.add(d.index));
+    addFinding('balance_spike',
+      `The average balance in the last ${SPIKE_WINDOW_DAYS} days of the statement was ${rupees(Math.round(spike.windowAverage))}, ` +
+      `against ${rupees(Math.round(spike.earlierAverage))} before, after ${behind.length} unexplained credit(s) totalling ` +
+      `${rupees(behind.reduce((sum, d) => sum + d.t.amount, 0))}. Deposits made just before applying can make an ` +
+      'account look stronger than it usually is.',
+      behind);
+  });
+
+  credits.filter(d => !used.has(d.index) && unexplained(d) && d.t.amount >= largeCredit).forEach(d => {
+    used.add(d.index);
+    addFinding('large_credit',
+      `${rupees(d.t.amount)} credited on ${d.t.date} from ${counterpartyName(d.t)} is ` +
+      `${(d.t.amount / typicalCredit).toFixed(1)} times the usual credit (${rupees(typicalCredit)}) and isn't salary, interest, ` +
+      'a refund or a regular income.',
+      [d]);
+  });
+
+  return findings;
+}
+
+module.exports = { detectAnomalies };
@@ -0,0 +1,100 @@
+// Balance-based metrics.
+//
+// Flow metrics (income, expenses, savings) say what passed through an account,
+// not what stayed in it. When statements print a running balance, each
+// account's closing balance is read for every day it has transactions and
+// carried over the days it has none. Accounts are added together day by day;
+// before an account's first transaction its earliest balance is assumed.
+// Statements listed newest-first are read in reverse so the closing balance
+// is the day's last.
+
+const { DAY_MS, isoDay, parseIsoDate } = require('./dates');
+const { balanceOf } = require('./reconciliation');
+const { mean } = require('./stats');
+
+// Balances below this (but not negative) count as near zero
+const NEAR_ZERO_BALANCE = 1000;
+
+// Helper function to read one account's closing balance per day:
+// a Map of day timestamp -> balance
+function closingBalances(transactions) {
+  const rows = transactions
+    .map(t => ({ date: parseIsoDate(t.date), balance: balanceOf(t) }))
+    .filter(row => row.date && row.balance !== null);
+  // Newest-first statements have more steps back in time than forward
+  const backward = rows.slice(1).filter((row, i) => row.date < rows[i].date).length;
+  const forward = rows.slice(1).filter((row, i) => row.date > rows[i].date).length;
+  const ordered = backward > forward ? [...rows].reverse() : rows;
+
+  const closing = new Map();
+  ordered.forEach(row => closing.set(row.date.getTime(), row.balance));
+  return closing;
+}
+
+// Work out balance metrics from merged transactions (each with accountId and,
+// where the statement prints one, balance). Returns { available: false } when
+// no account has at least two balances, otherwise:
+// { available, days, averageDailyBalance, averageMonthEndBalance,
+//   lowestBalance, latestBalance, daysNearZero, daysOverdrawn,
+//   nearZeroBelow, months: [{ month, average, minimum, monthEnd }] }
+function summarizeBalances(transactions) {
+  const byAccount = new Map();
+  transactions.forEach(t => {
+    const accountId = t.accountId || 'unknown';
+    if (!byAccount.has(accountId)) byAccount.set(accountId, []);
+    byAccount.get(accountId).push(t);
+  });
+  const accounts = [...byAccount.values()]
+    .map(closingBalances)
+    .filter(closing => closing.size >= 2);
+  if (accounts.length === 0) return { available: false };
+
+  const days = accounts.flatMap(closing => [...closing.keys()]);
+  const first = Math.min(...days);
+  const last = Math.max(...days);
+
+  // Total closing balance of every day from the first to the last
+  const daily = [];
+  const carried = accounts.map(closing => closing.get(Math.min(...closing.keys())));
+  for (let time = first; time <= last; time += DAY_MS) {
+    accounts.forEach((closing, i) => {
+      if (closing.has(time)) carried[i] = closing.get(time);
+    });
+    daily.push({ date: new Date(time), balance: carried.reduce((sum, b) => sum + b, 0) });
+  }
+
+  const months = new Map();
+  daily.forEach(day => {
+    const month = isoDay(day.date).slice(0, 7);
+    if (!months.has(month)) months.set(month, []);
+    months.get(month).push(day.balance);
+  });
+  const round = value => Math.round(value * 100) / 100;
+  const monthly = [...months.entries()].map(([month, balances]) => ({
+    month,
+    average: round(mean(balances)),
+    minimum: Math.min(...balances),
+    monthEnd: balances[balances.length - 1]
+  }));
+  // A month the statements end partway through has no month-end yet
+  const lastDay = daily[daily.length - 1].date;
+  const complete = new Date(lastDay.getTime() + DAY_MS).getUTCDate() === 1
+    ? monthly
+    : monthly.slice(0, -1);
+  const balances = daily.map(day => day.balance);
+
+  return {
+    available: true,
+    days: daily.length,
+    averageDailyBalance: round(mean(balances)),
+    averageMonthEndBalance: complete.length > 0 ? round(mean(complete.map(m => m.monthEnd))) : null,
+    lowestBalance: Math.min(...balances),
+    latestBalance: balances[balances.length - 1],
+    daysNearZero: balances.filter(b => b >= 0 && b < NEAR_ZERO_BALANCE).length,
+    daysOverdrawn: balances.filter(b => b < 0).length,
+    nearZeroBelow: NEAR_ZERO_BALANCE,
+    months: monthly
+  };
+}
+
+module.exports = { summarizeBalances };
@@ -0,0 +1,238 @@
+// Rule-based transaction categorization.
+//
+// Narrations are matched against a dictionary of merchants and keywords, in
+// the order the categories are listed - so "LIC PREMIUM NACH" is insurance
+// before any generic rule can call it something else. Each category applies
+// to money coming in, going out or both; a transaction nothing matches falls
+// into other_income or other_expense.
+//
+// The same dictionary tells parsers which way money moved when a statement
+// line doesn't say: salary comes in, an EMI goes out. Explicit markers
+// ("/DR/", "/CR/", a loan disbursement, interest charged) win over the
+// dictionary, and the generic words below ('purchase', 'deposit', ...) are
+// used last.
+
+const { EVENT_TYPES } = require('./riskEvents');
+
+const CATEGORIES = [
+  {
+    // Bounce charges, returns and penalties (see riskEvents.js) come first so
+    // "EMI RETURN CHG" or "OD INTEREST" isn't taken for an EMI or interest earned
+    id: 'penalties',
+    name: 'Bounces & Penalties',
+    type: 'expense',
+    patterns: EVENT_TYPES.flatMap(e => e.patterns)
+  },
+  {
+    id: 'salary',
+    name: 'Salary',
+    type: 'income',
+    patterns: [/\bsalary\b/, /\bsal\b/, /\bpayroll\b/, /\bwages?\b/, /\bstipend\b/]
+  },
+  {
+    id: 'business_receipts',
+    name: 'Business Receipts',
+    type: 'income',
+    patterns: [
+      /\bsettle?ment\b/, /\bsettl\b/, /\bmerchant\s+(?:credit|payout)\b/, /\binvoice\b/, /\binv\s*no\b/,
+      /\brazorpay\b/, /\bcashfree\b/, /\bpayu\b/, /\bbilldesk\b/, /\bccavenue\b/, /\bpine\s*labs\b/,
+      /\bpaytm\s+(?:settl|payout)/, /\bbharatpe\b/, /\bcash\s*dep(?:osit)?\b/, /\bby\s+cash\b/, /\bcdm\b/
+    ]
+  },
+  {
+    id: 'interest',
+    name: 'Interest',
+    type: 'income',
+    patterns: [/\binterest\b/, /\bint\.?\s*(?:pd|paid|cr|credit)\b/, /\bsb\s*int\b/]
+  },
+  {
+    id: 'refund',
+    name: 'Refunds',
+    type: 'income',
+    patterns: [/\brefund\b/, /\breversal\b/, /\bcash\s*back\b/, /\bcashback\b/]
+  },
+  {
+    id: 'insurance',
+    name: 'Insurance',
+    type: 'expense',
+    patterns: [
+      /\binsurance\b/, /\blic\b/, /\blife\s+ins/, /\bpremium\b/, /\bpolicy\b/, /\bstar\s+health\b/,
+      /\bhdfc\s+ergo\b/, /\bicici\s+(?:lombard|pru)/, /\bbajaj\s+allianz\b/, /\bmax\s+life\b/, /\bsbi\s+life\b/,
+      /\btata\s+aia\b/, /\bniva\s+bupa\b/, /\bcare\s+health\b/
+    ]
+  },
+  {
+    id: 'emi',
+    name: 'EMI & Loan Repayments',
+    type: 'expense',
+    patterns: [
+      /\bemi\b/, /\bloan\b/, /\brepayment\b/, /\binstal+ment\b/, /\bcredit\s+card\b/, /\bcc\s+(?:payment|bill)\b/,
+      /\bdebt\b/, /\bbajaj\s+fin/, /\bhome\s+credit\b/, /\bmuthoot\b/, /\bmanappuram\b/
+    ]
+  },
+  {
+    id: 'rent',
+    name: 'Rent',
+    type: 'expense',
+    patterns: [/\brent\b/, /\brental\b/, /\blandlord\b/, /\bnobroker\b/, /\bhouse\s*owner\b/]
+  },
+  {
+    id: 'utilities',
+    name: 'Utilities',
+    type: 'expense',
+    patterns: [
+      /\butilit(?:y|ies)\b/, /\belectricity\b/, /\belec\b/, /\bpower\b/, /\bwater\s+(?:bill|board|tax)\b/,
+      /\bbescom\b/, /\bmsedcl\b/, /\btneb\b/, /\btangedco\b/, /\bbses\b/, /\bcesc\b/, /\btorrent\s+power\b/,
+      /\badani\s+(?:elec|energy)/, /\bbill\s*pay\b/, /\bbillpay\b/, /\brecharge\b/, /\bpostpaid\b/, /\bprepaid\b/, /\bbroadband\b/,
+      /\bairtel\b/, /\bjio\b/, /\bvodafone\b/, /\bbsnl\b/, /\bdth\b/, /\btata\s+(?:sky|play)\b/,
+      /\bindane\b/, /\bhp\s+gas\b/, /\bbharat\s+gas\b/, /\blpg\b/, /\bpiped\s+gas\b/, /\bmahanagar\s+gas\b/
+    ]
+  },
+  {
+    id: 'fuel',
+    name: 'Fuel',
+    type: 'expense',
+    patterns: [
+      /\bpetrol\b/, /\bdiesel\b/, /\bfuel\b/, /\bindian\s+oil\b/, /\biocl?\b/, /\bhpcl\b/, /\bbpcl\b/,
+      /\bbharat\s+petroleum\b/, /\bhindustan\s+petroleum\b/, /\bpetroleum\b/, /\bnayara\b/, /\bshell\b/,
+      /\bfilling\s+station\b/, /\bservice\s+station\b/
+    ]
+  },
+  {
+    id: 'groceries',
+    name: 'Groceries',
+    type: 'expense',
+    patterns: [
+      /\bgrocer(?:y|ies)\b/, /\bsupermarket\b/, /\bkirana\b/, /\bprovision\b/, /\bbig\s*basket\b/, /\bd\s*mart\b/,
+      /\bavenue\s+supermarts\b/, /\breliance\s+(?:fresh|smart|retail)\b/, /\bjiomart\b/, /\bmore\s+retail\b/,
+      /\bspencers?\b/, /\bblinkit\b/, /\bgrofers\b/, /\bzepto\b/, /\binstamart\b/, /\bnature'?s?\s+basket\b/,
+      /\bstar\s+bazaar\b/, /\bvegetables?\b/
+    ]
+  },
+  {
+    id: 'cash_withdrawal',
+    name: 'Cash Withdrawals',
+    type: 'expense',
+    patterns: [/\batm\b/, /\bcash\s*(?:withdrawal|wdl|wd)\b/, /\bnfs\b/, /\b(?:nwd|awd|atw)\b/, /\bself\s+chq\b/]
+  },
+  {
+    // Person-to-person UPI transfers, in either direction. Anything paid to or
+    // from a business is left for the other rules (or other_*).
+    id: 'upi_p2p',
+    name: 'UPI Transfers (P2P)',
+    type: null,
+    patterns: [/\bupi\b/]
+  }
+];
+
+// Counterparties that are businesses, not people, in UPI narrations
+const MERCHANT_MARKERS = [
+  /\bpvt\b/, /\bprivate\b/, /\bltd\b/, /\blimited\b/, /\bllp\b/, /\bstores?\b/, /\bmart\b/, /\bshop\b/,
+  /\benterprises?\b/, /\btraders?\b/, /\bservices\b/, /\brestaurant\b/, /\bhotel\b/, /\bfoods?\b/,
+  /\bswiggy\b/, /\bzomato\b/, /\bamazon\b/, /\bflipkart\b/, /\bmyntra\b/, /\bmerchant\b/,
+  /paytmqr/, /\.rzp@/
+];
+
+const FALLBACK = {
+  income: { id: 'other_income', name: 'Other Income' },
+  expense: { id: 'other_expense', name: 'Other Expenses' }
+};
+
+// Loans and interest move money both ways - a loan is paid out to the
+// account and repaid from it, interest is earned on savings and charged on
+// loans - so the emi and interest categories can't tell the direction of
+// these. They are checked before the categories are.
+const TWO_WAY_MARKERS = {
+  credit: [/\bdisburs(?:al|ed|ement)\b/, /\bloan\s+(?:credit|cr)\b/],
+  debit: [
+    /\binterest\s+(?:charged?|debited|dr|recovered|due)\b/, /\bint\.?\s*(?:chgd?|charged|dr|debited)\b/,
+    /\b(?:loan|od|cc)\s+int(?:erest)?\b/, /\binterest\s+on\s+(?:loan|od|overdraft)\b/
+  ]
+};
+
+// Generic words that give away the direction of a narration no category matched
+const DIRECTION_HINTS = {
+  debitHints: [/\bpurchase\b/, /\bcheck\b/, /\bwithdrawal\b/, /\bcharges?\b/, /\bdebit\b/, /\bpayment\b/, /\bfees?\b/],
+  creditHints: [/\bcredit\b/, /\bdeposit\b/, /\bincome\b/, /\bby\s+transfer\b/, /\bpreauthorized\b/]
+};
+
+// Helper function to lower-case and tidy a narration for matching
+function narrationText(description) {
+  return String(description || '').toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Helper function to test a narration against a list of patterns
+function matchesAny(text, patterns) {
+  return patterns.some(pattern => pattern.test(text));
+}
+
+// Categorize one normalized transaction ({ type: 'income' | 'expense', description }).
+// Returns a category id.
+function categorizeTransaction(transaction) {
+  const text = narrationText(transaction.description);
+  const category = CATEGORIES.find(c => (!c.type || c.type === transaction.type) && matchesAny(text, c.patterns));
+
+  if (category && category.id === 'upi_p2p' && matchesAny(text, MERCHANT_MARKERS)) {
+    return FALLBACK[transaction.type].id;
+  }
+  return category ? category.id : FALLBACK[transaction.type].id;
+}
+
+// Work out which way money moved from a narration: 'credit', 'debit' or null.
+// extraHints ({ debitHints, creditHints } word lists) add words in other
+// languages, matched anywhere in the narration.
+function narrationDirection(description, extraHints = null) {
+  const text = narrationText(description);
+  if (/\/dr\//.test(text)) return 'debit';
+  if (/\/cr\//.test(text)) return 'credit';
+  if (matchesAny(text, TWO_WAY_MARKERS.debit)) return 'debit';
+  if (matchesAny(text, TWO_WAY_MARKERS.credit)) return 'credit';
+
+  const category = CATEGORIES.find(c => c.type && matchesAny(text, c.patterns));
+  if (category) return category.type === 'income' ? 'credit' : 'debit';
+
+  if (matchesAny(text, DIRECTION_HINTS.debitHints)) return 'debit';
+  if (matchesAny(text, DIRECTION_HINTS.creditHints)) return 'credit';
+  if (extraHints) {
+    if (extraHints.debitHints.some(hint => text.includes(hint))) return 'debit';
+    if (extraHints.creditHints.some(hint => text.includes(hint))) return 'credit';
+  }
+  return null;
+}
+
+// Helper function to look up a category's display name
+function categoryName(id) {
+  const category = CATEGORIES.find(c => c.id === id) ||
+    Object.values(FALLBACK).find(c => c.id === id);
+  return category ? category.name : id;
+}
+
+// Total categorized transactions per category, largest first:
+// [{ category, name, type, total, count, share }] where share is the
+// percentage of that type's total (income or expenses)
+function summarizeCategories(transactions) {
+  const totals = new Map();
+  const typeTotals = { income: 0, expense: 0 };
+
+  transactions.forEach(t => {
+    const id = t.category || FALLBACK[t.type].id;
+    const key = `${t.type}|${id}`;
+    if (!totals.has(key)) {
+      totals.set(key, { category: id, name: categoryName(id), type: t.type, total: 0, count: 0 });
+    }
+    const entry = totals.get(key);
+    entry.total += t.amount;
+    entry.count++;
+    typeTotals[t.type] += t.amount;
+  });
+
+  return [...totals.values()]
+    .map(entry => ({
+      ...entry,
+      total: Math.round(entry.total * 100) / 100,
+      share: typeTotals[entry.type] > 0 ? (entry.total / typeTotals[entry.type]) * 100 : 0
+    }))
+    .sort((a, b) => b.total - a.total);
+}
+
+module.exports = { CATEGORIES, categorizeTransaction, narrationDirection, summarizeCategories };
@@ -0,0 +1,201 @@
+// Statement date normalization.
+//
+// Indian statements write dates day-first (01/04/2024, 01-Apr-24, 1 Apr 2024),
+// which `new Date()` either rejects or reads month-first. This module reads the
+// date of every transaction in a statement and rewrites it as YYYY-MM-DD:
+//   - day/month order is inferred per statement from values that can only be
+//     read one way (13/04/2024 is day-first, 04/13/2024 month-first), falling
+//     back to day-first when nothing disambiguates
+//   - Excel serial day numbers (45383) and two-digit years are expanded
+//   - OCR rows that only carry a day and month (01/04) get the latest year that
+//     doesn't put them after the statement's last known date
+// Dates that can't be read are left as they were and reported as unresolved;
+// downstream metrics skip them.
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+  january: 1, february: 2, march: 3, april: 4, june: 6, july: 7, august: 8,
+  september: 9, october: 10, november: 11, december: 12
+};
+
+// Excel's day 0 is 1899-12-30 (its calendar wrongly includes 29 Feb 1900)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+// Serial numbers we accept as dates: 1954-09-26 to 2119-01-10
+const EXCEL_SERIAL_MIN = 20000;
+const EXCEL_SERIAL_MAX = 80000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ISO_DATE = /^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})(?:[T\s].*)?$/;
+const NUMERIC_DATE = /^(\d{1,2})[-\/.](\d{1,2})(?:[-\/.](\d{4}|\d{2}))?(?:\s+\d{1,2}:\d{2}.*)?$/;
+const DAY_MONTH_NAME = /^(\d{1,2})(?:st|nd|rd|th)?[-\s\/.]*([a-z]{3,9})\.?(?:[-\s\/.,]*(\d{4}|\d{2}))?$/i;
+const MONTH_NAME_DAY = /^([a-z]{3,9})\.?[-\s]+(\d{1,2})(?:st|nd|rd|th)?(?:[,\s]+(\d{4}))?$/i;
+const EXCEL_SERIAL = /^\d{5}(?:\.\d+)?$/;
+
+// Helper function to expand a two-digit year. Statements are recent, so a
+// year more than one year ahead of today belongs to the previous century.
+function expandYear(year, today) {
+  if (year >= 100) return year;
+  const candidate = 2000 + year;
+  return candidate <= today.getUTCFullYear() + 1 ? candidate : 1900 + year;
+}
+
+// Helper function to format a Date as YYYY-MM-DD
+function isoDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// Helper function to build a YYYY-MM-DD string, or null for impossible dates
+function toIsoDate(year, month, day) {
+  if (!(month >= 1 && month <= 12 && day >= 1 && day <= 31)) return null;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+  return isoDay(date);
+}
+
+// Helper function to split a raw date value into its parts.
+// Returns null when the value doesn't look like a date at all.
+//   { kind: 'exact', iso }                       - nothing left to infer
+//   { kind: 'named', day, month, year }          - month given by name
+//   { kind: 'numeric', first, second, year }     - day/month order unknown
+// year is null when the value doesn't carry one.
+function readDateParts(value, today) {
+  if (value === undefined || value === null) return null;
+
+  if (typeof value === 'number' || EXCEL_SERIAL.test(String(value).trim())) {
+    const serial = Number(value);
+    if (serial >= EXCEL_SERIAL_MIN && serial <= EXCEL_SERIAL_MAX) {
+      const iso = isoDay(new Date(EXCEL_EPOCH + Math.floor(serial) * DAY_MS));
+      return { kind: 'exact', iso };
+    }
+    return null;
+  }
+
+  const text = String(value).trim();
+  let match = text.match(ISO_DATE);
+  if (match) {
+    const iso = toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    return iso ? { kind: 'exact', iso } : null;
+  }
+
+  match = text.match(NUMERIC_DATE);
+  if (match) {
+    return {
+      kind: 'numeric',
+      first: Number(match[1]),
+      second: Number(match[2]),
+      year: match[3] ? expandYear(Number(match[3]), today) : null
+    };
+  }
+
+  match = text.match(DAY_MONTH_NAME);
+  if (match && MONTHS[match[2].toLowerCase()]) {
+    return {
+      kind: 'named',
+      day: Number(match[1]),
+      month: MONTHS[match[2].toLowerCase()],
+      year: match[3] ? expandYear(Number(match[3]), today) : null
+    };
+  }
+
+  match = text.match(MONTH_NAME_DAY);
+  if (match && MONTHS[match[1].toLowerCase()]) {
+    return {
+      kind: 'named',
+      day: Number(match[2]),
+      month: MONTHS[match[1].toLowerCase()],
+      year: match[3] ? Number(match[3]) : null
+    };
+  }
+
+  return null;
+}
+
+// Decide whether a statement's numeric dates are day-first ('DMY') or
+// month-first ('MDY'). Returns null when it has no numeric dates.
+function inferDayOrder(partsList, dayFirst = true) {
+  const numeric = partsList.filter(p => p && p.kind === 'numeric');
+  if (numeric.length === 0) return null;
+
+  const dayFirstOnly = numeric.filter(p => p.first > 12 && p.second <= 12).length;
+  const monthFirstOnly = numeric.filter(p => p.second > 12 && p.first <= 12).length;
+  if (dayFirstOnly > monthFirstOnly) return 'DMY';
+  if (monthFirstOnly > dayFirstOnly) return 'MDY';
+  return dayFirst ? 'DMY' : 'MDY';
+}
+
+// Helper function to read day and month from parts using the statement's order
+function dayAndMonth(parts, order) {
+  if (parts.kind === 'named') return { day: parts.day, month: parts.month };
+  return order === 'MDY'
+    ? { day: parts.second, month: parts.first }
+    : { day: parts.first, month: parts.second };
+}
+
+// Normalize the `date` of every transaction in one statement.
+// options.hints: extra date strings from the same document (e.g. the
+//   statement period printed in the header) used for inference only
+// options.dayFirst: order to assume when nothing disambiguates (default true)
+// options.today: reference "now" for year expansion and year inference
+// Returns { transactions, dayOrder, unresolved: [{ index, value }], yearsInferred }
+// where transactions are copies whose resolved dates are YYYY-MM-DD.
+function normalizeStatementDates(transactions, options = {}) {
+  const today = options.today || new Date();
+  const hints = options.hints || [];
+  const dayFirst = options.dayFirst !== undefined ? options.dayFirst : true;
+
+  const parts = transactions.map(t => readDateParts(t.date, today));
+  const hintParts = hints.map(h => readDateParts(h, today));
+  const dayOrder = inferDayOrder([...parts, ...hintParts], dayFirst);
+
+  // Helper function to resolve parts that carry their own year
+  const resolveExact = p => {
+    if (!p) return null;
+    if (p.kind === 'exact') return p.iso;
+    if (p.year === null) return null;
+    const { day, month } = dayAndMonth(p, dayOrder);
+    return toIsoDate(p.year, month, day);
+  };
+
+  const resolved = parts.map(resolveExact);
+
+  // Rows without a year are placed no later than the latest full date we know
+  // of - the statement's own rows or its header - or today when there is none
+  const knownDates = [...resolved, ...hintParts.map(resolveExact)].filter(Boolean).sort();
+  const todayIso = isoDay(today);
+  const anchor = knownDates.length > 0 ? knownDates[knownDates.length - 1] : todayIso;
+  const anchorYear = Number(anchor.slice(0, 4));
+
+  let yearsInferred = 0;
+  const unresolved = [];
+  const normalized = transactions.map((t, index) => {
+    let iso = resolved[index];
+    const p = parts[index];
+
+    if (!iso && p && p.kind !== 'exact' && p.year === null) {
+      const { day, month } = dayAndMonth(p, dayOrder);
+      iso = toIsoDate(anchorYear, month, day);
+      if (iso && iso > anchor) iso = toIsoDate(anchorYear - 1, month, day);
+      if (iso) yearsInferred++;
+    }
+
+    if (!iso) {
+      unresolved.push({ index, value: t.date === undefined || t.date === null ? '' : String(t.date) });
+      return { ...t };
+    }
+    return { ...t, date: iso };
+  });
+
+  return { transactions: normalized, dayOrder, unresolved, yearsInferred };
+}
+
+// Parse a normalized YYYY-MM-DD date into a Date at UTC midnight.
+// Returns null for anything else, including dates left unresolved.
+function parseIsoDate(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = { DAY_MS, isoDay, readDateParts, inferDayOrder, normalizeStatementDates, parseIsoDate };
@@ -0,0 +1,197 @@
+// Income source classification and stability.
+//
+// One consistency figure over monthly totals can't tell a salaried employee
+// from a delivery rider or a shop owner. Credits are sorted into classes:
+//   - salary: salary credits, one stream per employer
+//   - platform: payouts from gig and marketplace platforms, one per platform
+//   - business: merchant settlements, cash deposits and, when many different
+//     people pay the borrower small amounts, UPI receipts from customers
+//   - family: transfers from a few people, or narrations that say so
+//   - interest: interest on deposits
+//   - other: refunds and anything else
+// Each stream gets a stability score: 100 minus the coefficient of variation
+// of its monthly totals over the whole statement period, so months it paid
+// nothing count against it. The borrower's archetype follows from the class
+// most of their income comes from.
+
+const { parseIsoDate } = require('./dates');
+const { counterpartyKey } = require('./narration');
+const { mean } = require('./stats');
+
+const CLASSES = {
+  salary: 'Salary',
+  platform: 'Platform payouts',
+  business: 'Business receipts',
+  family: 'Family transfers',
+  interest: 'Interest',
+  other: 'Other credits'
+};
+
+const ARCHETYPES = {
+  salaried: { label: 'Salaried', code: 'SALARIED_INCOME', incomeClass: 'salary' },
+  gigWorker: { label: 'Gig worker', code: 'GIG_INCOME', incomeClass: 'platform' },
+  selfEmployed: { label: 'Self-employed / business owner', code: 'BUSINESS_INCOME', incomeClass: 'business' },
+  familySupported: { label: 'Supported by family', code: 'FAMILY_SUPPORTED_INCOME', incomeClass: 'family' },
+  investmentIncome: { label: 'Living on interest', code: 'INTEREST_INCOME', incomeClass: 'interest' },
+  mixed: { label: 'Mixed income', code: 'MIXED_INCOME', incomeClass: null }
+};
+
+// A class this share of income (or more) decides the archetype
+const ARCHETYPE_MIN_SHARE = 50;
+// This many different people paying the borrower makes them customers...
+const BUSINESS_MIN_PAYERS = 8;
+// ...except the few who send this share of person-to-person credits or more
+const FAMILY_MIN_SHARE = 20;
+
+const PLATFORMS = [
+  { name: 'Swiggy', pattern: /\bswiggy\b/ },
+  { name: 'Zomato', pattern: /\bzomato\b/ },
+  { name: 'Uber', pattern: /\buber\b/ },
+  { name: 'Ola', pattern: /\bola\s*(?:cabs|fleet|driver)\b|\bani\s+technologies\b/ },
+  { name: 'Rapido', pattern: /\brapido\b|\broppen\b/ },
+  { name: 'Urban Company', pattern: /\burban\s*(?:company|clap)\b/ },
+  { name: 'Dunzo', pattern: /\bdunzo\b/ },
+  { name: 'Zepto', pattern: /\bzepto\b|\bkiranakart\b/ },
+  { name: 'Blinkit', pattern: /\bblinkit\b|\bgrofers\b/ },
+  { name: 'Porter', pattern: /\bporter\b|\bsmartshift\b/ },
+  { name: 'Shadowfax', pattern: /\bshadowfax\b/ },
+  { name: 'Delhivery', pattern: /\bdelhivery\b/ },
+  { name: 'Amazon', pattern: /\bamazon\s+(?:flex|seller|seller\s+services)\b/ },
+  { name: 'Flipkart', pattern: /\bflipkart\b|\bekart\b/ },
+  { name: 'Meesho', pattern: /\bmeesho\b|\bfashnear\b/ },
+  { name: 'Upwork', pattern: /\bupwork\b/ },
+  { name: 'Fiverr', pattern: /\bfiverr\b/ },
+  { name: 'YouTube / Google', pattern: /\byoutube\b|\bgoogle\s+(?:adsense|india\s+digital)\b/ }
+];
+
+const FAMILY_WORDS = /\b(?:papa|mummy|mumma|mom|dad|father|mother|bhai|bhaiya|brother|sister|didi|behen|family|pocket\s+money)\b/;
+
+// Helper function to score how steady monthly amounts are (0-100)
+function stabilityScore(monthly) {
+  const average = mean(monthly);
+  if (average <= 0) return 0;
+  const deviation = Math.sqrt(mean(monthly.map(v => Math.pow(v - average, 2))));
+  return Math.max(0, Math.min(100, 100 - (deviation / average) * 100));
+}
+
+// Helper function to name who paid a credit
+function payerName(t) {
+  return (t.narration && t.narration.counterparty) || t.description;
+}
+
+// Helper function to decide the class and stream of each credit:
+// [{ t, incomeClass, key, name }]
+function classifyCredits(credits) {
+  const classified = credits.map(t => {
+    const text = String(t.description || '').toLowerCase();
+    const platform = PLATFORMS.find(p => p.pattern.test(text));
+    if (t.category === 'salary') return { t, incomeClass: 'salary', key: counterpartyKey(t), name: payerName(t) };
+    if (t.category === 'interest') return { t, incomeClass: 'interest', key: 'interest', name: CLASSES.interest };
+    // A platform refunding an order isn't paying the borrower
+    if (t.category === 'refund') return { t, incomeClass: 'other', key: 'other', name: CLASSES.other };
+    if (platform) return { t, incomeClass: 'platform', key: platform.name, name: platform.name };
+    if (t.category === 'business_receipts') {
+      return { t, incomeClass: 'business', key: counterpartyKey(t), name: payerName(t) };
+    }
+    if (FAMILY_WORDS.test(text)) return { t, incomeClass: 'family', key: counterpartyKey(t), name: payerName(t) };
+    if (t.category === 'upi_p2p' || (t.category === 'other_income' && t.narration && t.narration.counterparty)) {
+      return { t, incomeClass: 'p2p', key: counterpartyKey(t), name: payerName(t) };
+    }
+    return { t, incomeClass: 'other', key: 'other', name: CLASSES.other };
+  });
+
+  // Person-to-person credits: many small payers are customers, a few large
+  // ones are family
+  const p2p = classified.filter(c => c.incomeClass === 'p2p');
+  const p2pTotal = p2p.reduce((sum, c) => sum + c.t.amount, 0);
+  const byPayer = new Map();
+  p2p.forEach(c => byPayer.set(c.key, (byPayer.get(c.key) || 0) + c.t.amount));
+  const customers = byPayer.size >= BUSINESS_MIN_PAYERS;
+  p2p.forEach(c => {
+    if (customers && (byPayer.get(c.key) / p2pTotal) * 100 < FAMILY_MIN_SHARE) {
+      c.incomeClass = 'business';
+      c.key = 'upi_customers';
+      c.name = 'UPI receipts from customers';
+    } else {
+      c.incomeClass = 'family';
+    }
+  });
+  return classified;
+}
+
+// Group credits among normalized transactions into income streams by source
+// and tag the borrower with an archetype. Returns
+// { archetype, archetypeLabel, stability, byClass: [{ incomeClass, label, total, share }],
+//   streams: [{ incomeClass, name, total, share, count, monthsActive, averageMonthly, stability }] }
+// where stability is the streams' scores weighted by their share of income.
+function summarizeIncomeSources(transactions) {
+  const credits = transactions.filter(t => t.type === 'income' && parseIsoDate(t.date));
+  const total = credits.reduce((sum, t) => sum + t.amount, 0);
+  if (credits.length === 0 || total <= 0) {
+    return { archetype: null, archetypeLabel: null, stability: null, byClass: [], streams: [] };
+  }
+
+  // Every month of the statement period, including ones a stream paid nothing in
+  const dates = transactions.map(t => parseIsoDate(t.date)).filter(Boolean);
+  const first = new Date(Math.min(...dates.map(d => d.getTime())));
+  const last = new Date(Math.max(...dates.map(d => d.getTime())));
+  const months = [];
+  for (let d = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), 1)); d <= last;
+    d = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1))) {
+    months.push(d.toISOString().slice(0, 7));
+  }
+
+  const streams = new Map();
+  classifyCredits(credits).forEach(c => {
+    const id = `${c.incomeClass}|${c.key}`;
+    if (!streams.has(id)) {
+      streams.set(id, { incomeClass: c.incomeClass, name: c.name, total: 0, count: 0, monthly: {} });
+    }
+    const stream = streams.get(id);
+    const month = c.t.date.slice(0, 7);
+    stream.total += c.t.amount;
+    stream.count++;
+    stream.monthly[month] = (stream.monthly[month] || 0) + c.t.amount;
+  });
+
+  const round = value => Math.round(value * 100) / 100;
+  const summarized = [...streams.values()]
+    .map(stream => {
+      const monthly = months.map(month => stream.monthly[month] || 0);
+      return {
+        incomeClass: stream.incomeClass,
+        name: stream.name,
+        total: round(stream.total),
+        share: (stream.total / total) * 100,
+        count: stream.count,
+        monthsActive: monthly.filter(amount => amount > 0).length,
+        averageMonthly: round(mean(monthly)),
+        stability: Math.round(stabilityScore(monthly))
+      };
+    })
+    .sort((a, b) => b.total - a.total);
+
+  const byClass = Object.keys(CLASSES)
+    .map(incomeClass => {
+      const classTotal = summarized
+        .filter(s => s.incomeClass === incomeClass)
+        .reduce((sum, s) => sum + s.total, 0);
+      return { incomeClass, label: CLASSES[incomeClass], total: round(classTotal), share: (classTotal / total) * 100 };
+    })
+    .filter(entry => entry.total > 0)
+    .sort((a, b) => b.total - a.total);
+
+  const main = byClass[0];
+  const archetype = Object.keys(ARCHETYPES).find(id =>
+    ARCHETYPES[id].incomeClass === main.incomeClass && main.share >= ARCHETYPE_MIN_SHARE) || 'mixed';
+
+  return {
+    archetype,
+    archetypeLabel: ARCHETYPES[archetype].label,
+    stability: Math.round(summarized.reduce((sum, s) => sum + s.stability * s.share, 0) / 100),
+    byClass,
+    streams: summarized.slice(0, 20)
+  };
+}
+
+module.exports = { ARCHETYPES, summarizeIncomeSources };
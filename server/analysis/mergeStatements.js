@@ -0,0 +1,68 @@
+// Merge normalized transactions from several statement files into one stream.
+//
+// Borrowers often upload consecutive monthly statements whose periods overlap
+// (e.g. a March statement that also lists 1-5 April). Within one account a
+// transaction is identified by date, direction, amount and narration; when two
+// files of the same account both list it, only one copy is kept. Identical
+// transactions inside a single file (two ₹20 tea payments on the same day) are
+// genuine and are always kept, so the merged count for a key is the highest
+// count seen in any one file.
+
+// Helper function to build the identity key of a transaction
+// (dates are already normalized to YYYY-MM-DD, see dates.js)
+function transactionKey(t) {
+  const date = String(t.date).trim();
+  const description = String(t.description || '').toLowerCase().replace(/\s+/g, ' ').trim();
+  return `${date}|${t.type}|${Math.round(t.amount * 100)}|${description}`;
+}
+
+// sources: [{ fileName, accountId, accountLabel, transactions }]
+// Returns { transactions, accounts, duplicatesRemoved } where every merged
+// transaction carries the accountId it came from.
+function mergeStatements(sources) {
+  const accounts = new Map();
+  const transactions = [];
+  let duplicatesRemoved = 0;
+
+  sources.forEach(source => {
+    if (!accounts.has(source.accountId)) {
+      accounts.set(source.accountId, {
+        accountId: source.accountId,
+        label: source.accountLabel,
+        files: [],
+        transactions: [],
+        keptCounts: new Map()
+      });
+    }
+    const account = accounts.get(source.accountId);
+    account.files.push(source.fileName);
+
+    const seenInFile = new Map();
+    source.transactions.forEach(t => {
+      const key = transactionKey(t);
+      const seen = (seenInFile.get(key) || 0) + 1;
+      seenInFile.set(key, seen);
+
+      if (seen <= (account.keptCounts.get(key) || 0)) {
+        duplicatesRemoved++;
+        return;
+      }
+
+      const merged = { ...t, accountId: source.accountId };
+      account.transactions.push(merged);
+      transactions.push(merged);
+    });
+
+    seenInFile.forEach((count, key) => {
+      account.keptCounts.set(key, Math.max(count, account.keptCounts.get(key) || 0));
+    });
+  });
+
+  return {
+    transactions,
+    duplicatesRemoved,
+    accounts: [...accounts.values()].map(({ keptCounts, ...account }) => account)
+  };
+}
+
+module.exports = { mergeStatements, transactionKey };
@@ -0,0 +1,186 @@
+// Narration parsing for Indian payment rails.
+//
+// Banks pack the details of a transfer into the narration, separated by "/"
+// or "-", in an order that differs by bank and channel:
+//
+//   UPI/DR/412345678901/RAMESH K/okaxis/ramesh@okaxis/Rent
+//   UPI-RAMESH KUMAR-RAMESH@OKAXIS-SBIN0001234-412345678901-PAYMENT
+//   IMPS/P2A/412345678901/SURESH/SBIN0001234
+//   NEFT-HDFC0001234-ACME PVT LTD
+//   NEFT/N123456789012/ACME TECHNOLOGIES PVT LTD/SALARY
+//   ACH D- BAJAJ FINANCE-P400PHL1234567
+//
+// Rather than one pattern per bank, each part is recognised by its shape: the
+// channel from the first part, DR/CR markers, VPAs (name@handle), IFSC codes,
+// reference numbers (UTR/RRN), bank names and UPI handles. The first remaining
+// part with letters is the counterparty; the rest are remarks.
+
+const CHANNELS = [
+  { id: 'UPI', pattern: /^upi\b/ },
+  { id: 'IMPS', pattern: /^(?:mmt\W*)?imps\b/ },
+  { id: 'NEFT', pattern: /^neft\b/ },
+  { id: 'RTGS', pattern: /^rtgs\b/ },
+  { id: 'NACH', pattern: /^(?:n?ach|ecs)\b/ },
+  { id: 'ATM', pattern: /^(?:atm|nwd|awd|atw|nfs)\b/ },
+  { id: 'POS', pattern: /^(?:pos|pcd|vps|vpd)\b/ },
+  { id: 'CHEQUE', pattern: /^(?:chq|cheque|clg|clearing|inward\s+clg)\b/ }
+];
+
+// Parts that only describe the transfer, not who it was with
+const NOISE_PARTS = /^(?:upi|imps|mmt|neft|rtgs|n?ach|ecs|p2a|p2p|p2m|inb|mob|ib|net|d|c|cr|dr|to|by|from|transfer|trf|payment|collect|pay|reversal|ach d|ach c|nach dr|nach cr|neft cr|neft dr|rtgs cr|rtgs dr|imps cr|imps dr|upi cr|upi dr)$/;
+
+// UPI app handles that sometimes appear on their own, without the name@ part
+const UPI_HANDLES = /^(?:ok(?:axis|sbi|hdfcbank|icici)|ybl|ibl|axl|paytm|upi|apl|yapl|ikwik|fbl|waicici|wahdfcbank|wasbi|jupiteraxis|freecharge|slice|kotak|icici|sbi|hdfcbank|axisbank|barodampay|allbank|aubank|idfcbank|indus|pnb|rbl|sib|uco|unionbank|yesbank|federal|kbl|citi|dbs|hsbc|sc|airtel|jio)$/;
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const VPA_PATTERN = /^[\w.-]+@[a-z][\w.-]*$/i;
+// UTR/RRN/mandate numbers: 6+ digits, or codes of 8+ letters and digits with
+// at least 6 digits (HDFCN52024..., N123456789012, P400PHL1234567)
+const REFERENCE_PATTERN = /^(?:\d{6,}|(?=(?:[A-Z]*\d){6})[A-Z0-9]{8,})$/;
+const MASKED_ACCOUNT_PATTERN = /^[X*]+\d{2,}$/i;
+// Bank names and the bank part of IFSC codes (SBIN, UTIB, ...)
+const BANK_NAME_PATTERN = new RegExp('\\bbank\\b|^(?:sbi|hdfc|icici|axis|kotak|pnb|bob|canara|idbi|yes|indusind|federal|' +
+  'sbin|icic|utib|kkbk|punb|barb|cnrb|idib|ubin|yesb|indb|fdrl|ioba|mahb|cbin|ucba)$', 'i');
+
+// Helper function to tidy a part for display and comparison
+function cleanPart(part) {
+  return part.replace(/\s+/g, ' ').trim();
+}
+
+// Parse a narration into what it says about the transfer:
+// { channel, direction ('debit' | 'credit' | null), reference, counterparty,
+//   vpa, ifsc, remarks }. Fields the narration doesn't carry are null.
+function parseNarration(description) {
+  const text = cleanPart(String(description || ''));
+  const lower = text.toLowerCase();
+  const channel = CHANNELS.find(c => c.pattern.test(lower));
+  const result = {
+    channel: channel ? channel.id : null,
+    direction: null,
+    reference: null,
+    counterparty: null,
+    vpa: null,
+    ifsc: null,
+    remarks: null
+  };
+  if (!channel) return result;
+
+  const parts = text.split(/\s*\/\s*|\s*-\s*/).map(cleanPart).filter(Boolean);
+  // "POS 4111XXXX1234 DMART" or "ATM WDL 1234 MG ROAD": whatever follows the
+  // channel in the first part is a part of its own
+  const rest = parts[0].slice(lower.match(channel.pattern)[0].length)
+    .split(' ')
+    .filter(word => /[a-z]/i.test(word) && !MASKED_ACCOUNT_PATTERN.test(word) && !/\d{3,}/.test(word))
+    .filter(word => !/^(?:wdl|wd|cash|withdrawal|txn|dr|cr|d|c)$/i.test(word))
+    .join(' ');
+  if (rest) parts.splice(1, 0, rest);
+  const remarks = [];
+
+  parts.forEach((part, index) => {
+    const lowerPart = part.toLowerCase();
+    // The first part names the channel, sometimes with the direction in it ("NEFT CR")
+    if (index === 0 || NOISE_PARTS.test(lowerPart)) {
+      if (/\b(?:dr|d|debit)$/.test(lowerPart)) result.direction = 'debit';
+      if (/\b(?:cr|c|credit)$/.test(lowerPart)) result.direction = 'credit';
+      return;
+    }
+    if (VPA_PATTERN.test(part)) {
+      if (!result.vpa) result.vpa = lowerPart;
+      return;
+    }
+    if (IFSC_PATTERN.test(part.toUpperCase()) && /\d/.test(part)) {
+      if (!result.ifsc) result.ifsc = part.toUpperCase();
+      return;
+    }
+    if (REFERENCE_PATTERN.test(part.toUpperCase())) {
+      if (!result.reference) result.reference = part.toUpperCase();
+      return;
+    }
+    if (MASKED_ACCOUNT_PATTERN.test(part) || UPI_HANDLES.test(lowerPart) || BANK_NAME_PATTERN.test(part)) {
+      return;
+    }
+    if (!/[a-z]{2,}/i.test(part)) return;
+
+    if (!result.counterparty) {
+      result.counterparty = part.toUpperCase();
+    } else {
+      remarks.push(part);
+    }
+  });
+
+  // Without a name, the VPA is the best handle on who the transfer was with
+  if (!result.counterparty && result.vpa) {
+    result.counterparty = result.vpa.split('@')[0].toUpperCase();
+  }
+  result.remarks = remarks.length > 0 ? remarks.join(' ') : null;
+  return result;
+}
+
+// Key that identifies who a transaction was with, so payments to the same
+// person or business group together whatever their reference numbers.
+// Falls back to the narration with numbers stripped.
+function counterpartyKey(transaction) {
+  const narration = transaction.narration || parseNarration(transaction.description);
+  if (narration.vpa) return narration.vpa;
+  if (narration.counterparty) {
+    return narration.counterparty.toLowerCase().replace(/^(?:mr|mrs|ms|m\/s|shri|smt)\.?\s+/, '');
+  }
+  return String(transaction.description || '')
+    .toLowerCase()
+    .replace(/\d+/g, '')
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+// Total transactions per counterparty, separately for money in and money out.
+// Returns { incomeSources, payees }, each the largest `limit` counterparties
+// as [{ key, name, vpa, ifsc, channels, total, count, share, firstDate, lastDate }].
+function summarizeCounterparties(transactions, limit = 10) {
+  const groups = { income: new Map(), expense: new Map() };
+  const typeTotals = { income: 0, expense: 0 };
+
+  transactions.forEach(t => {
+    const narration = t.narration || parseNarration(t.description);
+    const key = counterpartyKey(t);
+    if (!key) return;
+    typeTotals[t.type] += t.amount;
+
+    const group = groups[t.type];
+    if (!group.has(key)) {
+      group.set(key, {
+        key,
+        name: narration.counterparty || t.description,
+        vpa: narration.vpa,
+        ifsc: narration.ifsc,
+        channels: [],
+        total: 0,
+        count: 0,
+        firstDate: null,
+        lastDate: null
+      });
+    }
+    const entry = group.get(key);
+    entry.total += t.amount;
+    entry.count++;
+    if (narration.channel && !entry.channels.includes(narration.channel)) entry.channels.push(narration.channel);
+    if (!entry.vpa && narration.vpa) entry.vpa = narration.vpa;
+    if (!entry.ifsc && narration.ifsc) entry.ifsc = narration.ifsc;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(t.date)) {
+      if (!entry.firstDate || t.date < entry.firstDate) entry.firstDate = t.date;
+      if (!entry.lastDate || t.date > entry.lastDate) entry.lastDate = t.date;
+    }
+  });
+
+  const top = type => [...groups[type].values()]
+    .map(entry => ({
+      ...entry,
+      total: Math.round(entry.total * 100) / 100,
+      share: typeTotals[type] > 0 ? (entry.total / typeTotals[type]) * 100 : 0
+    }))
+    .sort((a, b) => b.total - a.total)
+    .slice(0, limit);
+
+  return { incomeSources: top('income'), payees: top('expense') };
+}
+
+module.exports = { parseNarration, counterpartyKey, summarizeCounterparties };
@@ -0,0 +1,143 @@
+// Running-balance reconciliation.
+//
+// Statements that print a balance after every row let us check the parser:
+// the previous balance plus a credit (or minus a debit) must give the row's
+// balance. Rows where it doesn't were most likely mis-parsed - a wrong amount,
+// a swapped direction or a balance read as an amount - and are flagged.
+//
+// Rows that share a date and a printed balance (a debit and a credit split
+// from one statement line) are checked together after the last of them. After
+// a mismatch the walk continues from the printed balance, so one bad row
+// doesn't fail every row after it. Statements listed newest-first are walked
+// in both directions and the better fit is used.
+
+// Differences below this (in rupees) are rounding, not mismatches
+const TOLERANCE = 0.01;
+
+// Helper function to read a transaction's printed balance, or null
+function balanceOf(t) {
+  if (t.balance === undefined || t.balance === null || t.balance === '') return null;
+  const value = Number(t.balance);
+  return Number.isFinite(value) ? value : null;
+}
+
+// Helper function to walk rows (given as indices, in statement order) and
+// return the indices that were checked and the ones that failed
+function walk(transactions, order) {
+  const checked = [];
+  const failed = [];
+  let previous = null;
+  let group = [];
+  let running = 0;
+
+  order.forEach((index, position) => {
+    const t = transactions[index];
+    const balance = balanceOf(t);
+    running += t.type === 'income' ? t.amount : -t.amount;
+    group.push(index);
+
+    if (balance === null) return;
+
+    // Defer the check while the next row continues the same statement line
+    const next = order[position + 1] !== undefined ? transactions[order[position + 1]] : null;
+    if (next && balanceOf(next) === balance && next.date === t.date) return;
+
+    if (previous !== null) {
+      const expected = previous + running;
+      checked.push(...group);
+      if (Math.abs(expected - balance) > TOLERANCE) {
+        failed.push({ indices: group, expectedBalance: Math.round(expected * 100) / 100, balance });
+      }
+    }
+
+    previous = balance;
+    running = 0;
+    group = [];
+  });
+
+  return { checked, failed };
+}
+
+// Reconcile one statement's normalized transactions ({ amount, type, date,
+// balance? }) in the order the statement lists them.
+// Returns { transactions, reconciliation } where transactions are copies and
+// failing rows carry balanceMismatch: true plus the balance we expected.
+// reconciliation.score is the percentage of checked rows that reconciled, or
+// null when the statement has no usable balance column.
+function reconcileBalances(transactions) {
+  const withBalance = transactions.filter(t => balanceOf(t) !== null).length;
+  if (withBalance < 2) {
+    return {
+      transactions,
+      reconciliation: { hasBalances: false, checked: 0, passed: 0, failed: 0, score: null, failedRows: [] }
+    };
+  }
+
+  const forward = transactions.map((t, i) => i);
+  const backward = [...forward].reverse();
+  const forwardResult = walk(transactions, forward);
+  const backwardResult = walk(transactions, backward);
+  const failures = r => r.failed.reduce((sum, f) => sum + f.indices.length, 0);
+  const result = failures(backwardResult) < failures(forwardResult) ? backwardResult : forwardResult;
+
+  const flagged = new Map();
+  result.failed.forEach(f => {
+    f.indices.forEach(index => flagged.set(index, f.expectedBalance));
+  });
+
+  const reconciled = transactions.map((t, index) => (
+    flagged.has(index) ? { ...t, balanceMismatch: true, expectedBalance: flagged.get(index) } : t
+  ));
+
+  const checked = result.checked.length;
+  const failed = flagged.size;
+  return {
+    transactions: reconciled,
+    reconciliation: {
+      hasBalances: true,
+      checked,
+      passed: checked - failed,
+      failed,
+      score: checked > 0 ? ((checked - failed) / checked) * 100 : null,
+      failedRows: [...flagged.keys()].map(index => {
+        const t = transactions[index];
+        return {
+          row: index + 1,
+          date: t.date,
+          description: t.description,
+          amount: t.amount,
+          type: t.type,
+          balance: balanceOf(t),
+          expectedBalance: flagged.get(index)
+        };
+      })
+    }
+  };
+}
+
+// Combine per-statement results ({ fileName, reconciliation }) into one summary
+function combineReconciliations(statements) {
+  const withBalances = statements.filter(s => s.reconciliation.hasBalances);
+  const checked = withBalances.reduce((sum, s) => sum + s.reconciliation.checked, 0);
+  const failed = withBalances.reduce((sum, s) => sum + s.reconciliation.failed, 0);
+
+  return {
+    hasBalances: withBalances.length > 0,
+    checked,
+    passed: checked - failed,
+    failed,
+    score: checked > 0 ? ((checked - failed) / checked) * 100 : null,
+    statements: statements.map(s => ({
+      file: s.fileName,
+      hasBalances: s.reconciliation.hasBalances,
+      checked: s.reconciliation.checked,
+      failed: s.reconciliation.failed,
+      score: s.reconciliation.score
+    })),
+    failedRows: withBalances
+      .flatMap(s => s.reconciliation.failedRows.map(row => ({ file: s.fileName, ...row })))
+      .slice(0, 20)
+  };
+}
+
+module.exports = { balanceOf, reconcileBalances, combineReconciliations };
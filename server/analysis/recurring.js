@@ -0,0 +1,243 @@
+// Recurring payment detection.
+//
+// A payment is recurring when the same counterparty is paid about the same
+// amount on a regular cadence. Transactions are grouped in three steps:
+//   1. by counterparty (see narration.js), merging keys that differ only by
+//      small spelling differences ("ACME TECH PVT LTD" / "ACME TECH PVT LT")
+//   2. by amount, within a tolerance - utility bills vary month to month and
+//      are kept together whatever their amount
+//   3. by cadence, read from the median gap between payments
+//
+// Each series is then laid against the schedule its cadence implies: every
+// due date gets the nearest payment, which is on time within the cadence's
+// grace period and late after it. Due dates that passed without a payment
+// before the statement ends are missed.
+
+const { DAY_MS, isoDay, parseIsoDate } = require('./dates');
+const { counterpartyKey } = require('./narration');
+const { median } = require('./stats');
+
+// days: period length; minGap/maxGap: median gap that identifies the cadence;
+// grace: days after the due date a payment still counts as on time
+const CADENCES = [
+  { id: 'weekly', days: 7, minGap: 5, maxGap: 9, grace: 2, minOccurrences: 3 },
+  { id: 'monthly', days: 30, minGap: 26, maxGap: 35, grace: 5, minOccurrences: 2 },
+  { id: 'quarterly', days: 91, minGap: 80, maxGap: 100, grace: 10, minOccurrences: 2 }
+];
+
+// Amounts within this share of the smallest in a group count as the same payment
+const AMOUNT_TOLERANCE = 0.15;
+// Counterparty keys at least this similar (Dice coefficient) are the same counterparty
+const MIN_KEY_SIMILARITY = 0.8;
+// Categories whose amount changes every period
+const VARIABLE_AMOUNT_CATEGORIES = ['utilities'];
+// Cash withdrawals aren't paid to anyone and penalty charges aren't bills,
+// however regular they are
+const EXCLUDED_CATEGORIES = ['cash_withdrawal', 'penalties'];
+
+const KINDS = {
+  emi: 'emi',
+  insurance: 'insurance',
+  rent: 'rent',
+  utilities: 'bill'
+};
+
+// Helper function to compare two strings by their character pairs (0-1)
+function similarity(a, b) {
+  if (a === b) return 1;
+  if (a.length < 2 || b.length < 2) return 0;
+  const pairs = text => {
+    const counts = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const pair = text.slice(i, i + 2);
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+    return counts;
+  };
+  const left = pairs(a);
+  const right = pairs(b);
+  let shared = 0;
+  left.forEach((count, pair) => {
+    shared += Math.min(count, right.get(pair) || 0);
+  });
+  return (2 * shared) / (a.length - 1 + b.length - 1);
+}
+
+// Helper function to group transactions by counterparty, merging near-identical keys
+function groupByCounterparty(transactions) {
+  const groups = [];
+  transactions.forEach(t => {
+    const key = counterpartyKey(t);
+    if (!key) return;
+    const group = groups.find(g => g.type === t.type && similarity(g.key, key) >= MIN_KEY_SIMILARITY);
+    if (group) {
+      group.transactions.push(t);
+    } else {
+      groups.push({ key, type: t.type, transactions: [t] });
+    }
+  });
+  return groups;
+}
+
+// Helper function to split a counterparty's transactions into runs of about
+// the same amount
+function splitByAmount(transactions) {
+  const sorted = [...transactions].sort((a, b) => a.amount - b.amount);
+  const bands = [];
+  sorted.forEach(t => {
+    const band = bands[bands.length - 1];
+    if (band && t.amount <= band[0].amount * (1 + AMOUNT_TOLERANCE)) {
+      band.push(t);
+    } else {
+      bands.push([t]);
+    }
+  });
+  return bands;
+}
+
+// Helper function to list a series' due dates from its first payment to the
+// end of the statement, plus the next one after it. Monthly payments fall due
+// on the same day each month.
+function dueDates(cadence, dates, periodEnd) {
+  const first = dates[0];
+  const due = [];
+  let nextDue;
+  if (cadence.id === 'monthly') {
+    const anchorDay = Math.round(median(dates.map(d => d.getUTCDate())));
+    // Start in the month whose due date is nearest the first payment
+    const year = first.getUTCFullYear();
+    let month = first.getUTCMonth();
+    if (first.getUTCDate() - anchorDay > 15) month++;
+    if (anchorDay - first.getUTCDate() > 15) month--;
+    for (;; month++) {
+      const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+      const date = new Date(Date.UTC(year, month, Math.min(anchorDay, daysInMonth)));
+      if (date > periodEnd) {
+        nextDue = date;
+        break;
+      }
+      due.push(date);
+    }
+  } else {
+    let time = first.getTime();
+    for (; time <= periodEnd.getTime(); time += cadence.days * DAY_MS) {
+      due.push(new Date(time));
+    }
+    nextDue = new Date(time);
+  }
+  return { due, nextDue };
+}
+
+// Helper function to match payments to due dates: [{ due, paid, delay }]
+function matchSchedule(cadence, dates, due) {
+  const unused = [...dates];
+  const window = (cadence.days / 2) * DAY_MS;
+  return due.map(dueDate => {
+    let best = -1;
+    unused.forEach((date, index) => {
+      const distance = Math.abs(date - dueDate);
+      if (distance < window && (best < 0 || distance < Math.abs(unused[best] - dueDate))) best = index;
+    });
+    if (best < 0) return { due: dueDate, paid: null, delay: null };
+    const paid = unused.splice(best, 1)[0];
+    return { due: dueDate, paid, delay: Math.round((paid - dueDate) / DAY_MS) };
+  });
+}
+
+// Helper function to turn one run of similar payments into a recurring series, or null
+function buildSeries(key, type, transactions, periodEnd) {
+  const dated = transactions
+    .map(t => ({ t, date: parseIsoDate(t.date) }))
+    .filter(d => d.date)
+    .sort((a, b) => a.date - b.date);
+  if (dated.length < 2) return null;
+
+  const dates = dated.map(d => d.date);
+  const gaps = dates.slice(1).map((date, i) => (date - dates[i]) / DAY_MS);
+  const gap = median(gaps);
+  const cadence = CADENCES.find(c => gap >= c.minGap && gap <= c.maxGap);
+  if (!cadence || dates.length < cadence.minOccurrences) return null;
+  // Most gaps should be one period (or a whole number of periods, when a payment was missed)
+  const regularGaps = gaps.filter(g => {
+    const periods = Math.max(1, Math.round(g / cadence.days));
+    return g / periods >= cadence.minGap && g / periods <= cadence.maxGap;
+  });
+  if (regularGaps.length < gaps.length / 2) return null;
+
+  const { due, nextDue } = dueDates(cadence, dates, periodEnd);
+  const schedule = matchSchedule(cadence, dates, due);
+  // A due date still inside its grace period at the end of the statement isn't missed yet
+  const settled = schedule.filter(s => s.paid || s.due.getTime() + cadence.grace * DAY_MS <= periodEnd.getTime());
+  const onTime = settled.filter(s => s.paid && s.delay <= cadence.grace);
+  const late = settled.filter(s => s.paid && s.delay > cadence.grace);
+  const missed = settled.filter(s => !s.paid);
+  // Two payments a month apart among months without any aren't a pattern
+  if (missed.length * 2 > settled.length) return null;
+
+  const amounts = dated.map(d => d.t.amount);
+  // The series takes the category most of its payments have
+  const counts = {};
+  dated.forEach(d => {
+    if (d.t.category) counts[d.t.category] = (counts[d.t.category] || 0) + 1;
+  });
+  const category = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+
+  return {
+    key,
+    name: (dated[0].t.narration && dated[0].t.narration.counterparty) || dated[0].t.description,
+    type,
+    category,
+    kind: type === 'income' ? 'income' : (KINDS[category] || 'subscription'),
+    cadence: cadence.id,
+    averageAmount: Math.round((amounts.reduce((sum, a) => sum + a, 0) / amounts.length) * 100) / 100,
+    minAmount: Math.min(...amounts),
+    maxAmount: Math.max(...amounts),
+    occurrences: dates.length,
+    expectedOccurrences: settled.length,
+    onTime: onTime.length,
+    late: late.length,
+    missed: missed.length,
+    onTimeRatio: settled.length > 0 ? (onTime.length / settled.length) * 100 : 100,
+    firstDate: isoDay(dates[0]),
+    lastDate: isoDay(dates[dates.length - 1]),
+    nextDueDate: isoDay(nextDue),
+    lateDates: late.map(s => ({ due: isoDay(s.due), paid: isoDay(s.paid), daysLate: s.delay })),
+    missedDates: missed.map(s => isoDay(s.due))
+  };
+}
+
+// Find recurring series among normalized transactions, money in and out.
+// periodEnd (a Date) is when the statements end; defaults to the last
+// transaction. Returns series sorted by amount, largest first.
+function detectRecurringSeries(transactions, periodEnd = null) {
+  const dates = transactions.map(t => parseIsoDate(t.date)).filter(Boolean);
+  if (dates.length === 0) return [];
+  const end = periodEnd || new Date(Math.max(...dates.map(d => d.getTime())));
+
+  const series = [];
+  const candidates = transactions.filter(t => !EXCLUDED_CATEGORIES.includes(t.category));
+  groupByCounterparty(candidates).forEach(group => {
+    const variable = group.transactions.some(t => VARIABLE_AMOUNT_CATEGORIES.includes(t.category));
+    const bands = variable ? [group.transactions] : splitByAmount(group.transactions);
+    bands.forEach(band => {
+      const found = buildSeries(group.key, group.type, band, end);
+      if (!found) return;
+      // A few same-sized orders among many at a shop or app are coincidence:
+      // the series has to be most of what was paid to the counterparty meanwhile
+      const meanwhile = group.transactions.filter(t => t.date >= found.firstDate && t.date <= found.lastDate);
+      if (found.occurrences * 2 >= meanwhile.length) series.push(found);
+    });
+  });
+  return series.sort((a, b) => b.averageAmount - a.averageAmount);
+}
+
+// Bill payment regularity: the share of due payments (0-100) made on time
+// across recurring outgoing payments, or null when there are none
+function onTimeRatio(series) {
+  const payments = series.filter(s => s.type === 'expense');
+  const due = payments.reduce((sum, s) => sum + s.expectedOccurrences, 0);
+  if (due === 0) return null;
+  return (payments.reduce((sum, s) => sum + s.onTime, 0) / due) * 100;
+}
+
+module.exports = { CADENCES, detectRecurringSeries, onTimeRatio };
@@ -0,0 +1,128 @@
+// Bounce, return and penalty events.
+//
+// Returned cheques and mandates, "insufficient funds" charges, overdraft
+// interest and minimum-balance penalties are the clearest signs in a
+// statement that an account has run short. They are recognised from the
+// narration, in the order listed - "NACH RTN CHG BAJAJ FIN EMI" is an EMI
+// bounce rather than any mandate return. A bounce usually shows up as the
+// return entry plus its charge on the same day, so each type is counted once
+// per day.
+
+const { parseIsoDate } = require('./dates');
+
+// Words banks use for a returned instrument
+const RETURNED = '(?:return(?:ed)?|rtn|ret|bounced?|dishonou?r(?:ed)?|unpaid|reject(?:ed)?|fail(?:ed|ure)?)\\b';
+
+const EVENT_TYPES = [
+  {
+    id: 'emiBounce',
+    label: 'EMI bounces',
+    code: 'EMI_BOUNCES',
+    patterns: [
+      new RegExp(`\\b(?:emi|loan)\\b.*\\b${RETURNED}`), new RegExp(`\\b${RETURNED}.*\\b(?:emi|loan)\\b`),
+      /\bbounce\s*(?:chgs?|chrg|charges?)\b/, /\bpenal\s*(?:int|interest|chgs?|charges?)\b/, /\b(?:emi|loan)\s+overdue\b/
+    ]
+  },
+  {
+    id: 'nachReturn',
+    label: 'ECS/NACH returns',
+    code: 'MANDATE_RETURNS',
+    patterns: [
+      new RegExp(`\\b(?:n?ach|ecs|mandate|si)\\b.*\\b${RETURNED}`), new RegExp(`\\b${RETURNED}.*\\b(?:n?ach|ecs)\\b`)
+    ]
+  },
+  {
+    id: 'chequeReturn',
+    label: 'Cheque returns',
+    code: 'CHEQUE_RETURNS',
+    patterns: [
+      new RegExp(`\\b(?:chq|cheque|check|clg|clearing)\\b.*\\b${RETURNED}`),
+      new RegExp(`\\b(?:i\\/w|o\\/w|inward|outward)?\\s*${RETURNED}.*\\b(?:chq|cheque|clg)\\b`)
+    ]
+  },
+  {
+    id: 'insufficientFunds',
+    label: 'Insufficient funds charges',
+    code: 'INSUFFICIENT_FUNDS',
+    patterns: [/\binsuf+(?:icient)?\.?\s*(?:funds?|bal(?:ance)?)\b/, /\bfunds?\s+insuf/, /\bnsf\b/, /\bexceeds?\s+arrangement\b/]
+  },
+  {
+    id: 'overdraftInterest',
+    label: 'Overdraft interest',
+    code: 'OVERDRAFT_INTEREST',
+    patterns: [
+      /\b(?:od|tod|overdraft|over\s*draft)\s*(?:int|interest)\b/, /\bint(?:erest)?\.?\s+on\s+(?:od|tod|overdraft)\b/,
+      /\bexcess\s+drawing\b/
+    ]
+  },
+  {
+    id: 'minBalancePenalty',
+    label: 'Minimum balance penalties',
+    code: 'MIN_BALANCE_PENALTIES',
+    patterns: [
+      /\bmin(?:imum)?\.?\s*(?:avg\.?\s*|average\s+)?bal(?:ance)?\b.*\b(?:chgs?|chrg|charges?|penalty|fee)\b/,
+      /\bnon[\s-]*maint(?:enance)?\b/, /\b(?:mab|amb|qab)\s*(?:chgs?|chrg|charges?|penalty)\b/
+    ]
+  }
+];
+
+// Recognise the event a narration records: an EVENT_TYPES id, or null
+function detectRiskEvent(description) {
+  const text = String(description || '').toLowerCase().replace(/\s+/g, ' ');
+  const type = EVENT_TYPES.find(e => e.patterns.some(pattern => pattern.test(text)));
+  return type ? type.id : null;
+}
+
+// Find the events among normalized transactions and count them per type and
+// per month: { count, totalCharges, monthsWithEvents, byType, byMonth, events }.
+// totalCharges is what the debits among them cost; events lists up to 20.
+function summarizeRiskEvents(transactions) {
+  const seen = new Set();
+  const events = [];
+  let totalCharges = 0;
+
+  transactions.forEach(t => {
+    const type = detectRiskEvent(t.description);
+    if (!type) return;
+    if (t.type === 'expense') totalCharges += t.amount;
+    const key = `${type}|${t.date}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    events.push({ date: t.date, type, description: t.description, amount: t.amount, direction: t.type });
+  });
+
+  const monthOf = event => {
+    const date = parseIsoDate(event.date);
+    return date ? event.date.slice(0, 7) : null;
+  };
+  const months = new Map();
+  events.forEach(event => {
+    const month = monthOf(event);
+    if (!month) return;
+    if (!months.has(month)) months.set(month, { month, count: 0, counts: {} });
+    const entry = months.get(month);
+    entry.count++;
+    entry.counts[event.type] = (entry.counts[event.type] || 0) + 1;
+  });
+
+  return {
+    count: events.length,
+    totalCharges: Math.round(totalCharges * 100) / 100,
+    monthsWithEvents: months.size,
+    byType: EVENT_TYPES
+      .map(e => {
+        const matching = events.filter(event => event.type === e.id);
+        return {
+          type: e.id,
+          label: e.label,
+          count: matching.length,
+          months: new Set(matching.map(monthOf).filter(Boolean)).size
+        };
+      })
+      .filter(entry => entry.count > 0),
+    byMonth: [...months.values()].sort((a, b) => a.month.localeCompare(b.month)),
+    events: events.slice(0, 20)
+  };
+}
+
+module.exports = { EVENT_TYPES, detectRiskEvent, summarizeRiskEvents };
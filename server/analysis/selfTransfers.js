@@ -0,0 +1,177 @@
+// Self-transfer detection.
+//
+// Money the borrower moves between their own accounts shows up as an expense
+// in one statement and income in another; counted as such it inflates both
+// totals and the savings rate. A transaction is a self-transfer when:
+//   - own_account: a debit in one uploaded account is matched by a credit of
+//     the same amount in another within a few days
+//   - own_name: it was paid to or received from the borrower by name (the
+//     applicant's name, or the holder names an Account Aggregator reports)
+//   - wallet: it tops up or withdraws from a payment wallet
+//   - deposit_sweep: it moves money into or out of a fixed/recurring deposit,
+//     including automatic sweeps
+// Flagged transactions get a `selfTransfer` field and are left out of the
+// income and expense metrics.
+
+const { DAY_MS, parseIsoDate } = require('./dates');
+
+// A transfer credit can arrive this many days after the debit
+const MAX_PAIR_DAYS = 3;
+
+const REASONS = {
+  own_account: 'Between your accounts',
+  own_name: 'To or from your own name',
+  wallet: 'Wallet top-ups and withdrawals',
+  deposit_sweep: 'Fixed deposit sweeps'
+};
+
+// UPI IDs (VPAs) are taken out of the narration before looking for wallet
+// loads: a handle like shop@freecharge only names the merchant's payment app
+const VPA = /[\w.-]+@[\w.-]+/g;
+
+const WALLET_PATTERNS = [
+  /\bwallet\b/, /\badd\s*money\b/, /\bwallet\s*(?:load|top\s*-?up)\b/, /\bmobikwik\b/, /\bfreecharge\b/,
+  /\bamazon\s*pay\s*(?:balance|wallet|load)\b/, /\bpaytm\s*(?:wallet|add\s*money)\b/, /\bairtel\s*money\b/,
+  /\bola\s*money\b/, /\bjiomoney\b/
+];
+
+const DEPOSIT_SWEEP_PATTERNS = [
+  /\bsweep\b/, /\bfd\b/, /\bfixed\s+deposit\b/, /\bterm\s+deposit\b/, /\btd\s+(?:booking|closure|premat)/,
+  /\bflexi\s*deposit\b/, /\bmod\s+(?:creation|closure|deposit)\b/, /\brd\s+inst/, /\brecurring\s+deposit\b/,
+  /\bauto\s*(?:fd|sweep)\b/
+];
+
+const NAME_TITLES = /^(?:mr|mrs|ms|miss|m\/s|shri|sri|smt|dr|kumari)$/;
+
+// Helper function to split a name into comparable lower-case words
+function nameWords(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !NAME_TITLES.test(word));
+}
+
+// Helper function to check whether a counterparty name is one of the
+// borrower's names. Initials count ("RAMESH K" is Ramesh Kumar), but a lone
+// first name is too common to count.
+function isOwnName(counterparty, ownNames) {
+  const words = nameWords(counterparty);
+  if (words.length === 0) return false;
+  return ownNames.some(ownName => {
+    const own = nameWords(ownName);
+    if (own.length === 0) return false;
+    const unmatched = [...own];
+    let fullMatches = 0;
+    const allMatch = words.every(word => {
+      const index = unmatched.findIndex(o => o === word || (word.length === 1 && o.startsWith(word)));
+      if (index < 0) return false;
+      if (unmatched[index] === word && word.length >= 2) fullMatches++;
+      unmatched.splice(index, 1);
+      return true;
+    });
+    return allMatch && fullMatches >= 1 && words.length >= Math.min(2, own.length);
+  });
+}
+
+// Helper function to check whether a narration names the borrower in full
+function narrationNamesOwner(description, ownNames) {
+  const text = ` ${nameWords(description).join(' ')} `;
+  return ownNames.some(ownName => {
+    const own = nameWords(ownName);
+    return own.length >= 2 && text.includes(` ${own.join(' ')} `);
+  });
+}
+
+// Helper function to pair debits in one account with credits of the same
+// amount in another, closest dates first
+function pairAcrossAccounts(transactions) {
+  const dated = transactions
+    .map(t => ({ t, date: parseIsoDate(t.date) }))
+    .filter(d => d.date && d.t.accountId);
+  const cents = t => Math.round(t.amount * 100);
+  const creditsByAmount = new Map();
+  dated.filter(d => d.t.type === 'income').forEach(credit => {
+    if (!creditsByAmount.has(cents(credit.t))) creditsByAmount.set(cents(credit.t), []);
+    creditsByAmount.get(cents(credit.t)).push(credit);
+  });
+
+  const candidates = [];
+  dated.filter(d => d.t.type === 'expense').forEach(debit => {
+    (creditsByAmount.get(cents(debit.t)) || []).forEach(credit => {
+      if (credit.t.accountId === debit.t.accountId) return;
+      const days = (credit.date - debit.date) / DAY_MS;
+      // Statements can date the two sides a day apart either way
+      if (days < -1 || days > MAX_PAIR_DAYS) return;
+      candidates.push({ debit: debit.t, credit: credit.t, days: Math.abs(days) });
+    });
+  });
+
+  candidates.sort((a, b) => a.days - b.days);
+  candidates.forEach(({ debit, credit }) => {
+    if (debit.selfTransfer || credit.selfTransfer) return;
+    debit.selfTransfer = { reason: 'own_account', pairedAccountId: credit.accountId };
+    credit.selfTransfer = { reason: 'own_account', pairedAccountId: debit.accountId };
+  });
+}
+
+// Flag self-transfers among merged transactions (as mergeStatements returns
+// them, with accountId). ownNames are the borrower's names. Sets
+// t.selfTransfer = { reason, pairedAccountId? } on the transactions found and
+// returns how many there were.
+function markSelfTransfers(transactions, { ownNames = [] } = {}) {
+  pairAcrossAccounts(transactions);
+
+  const names = ownNames.filter(Boolean);
+  transactions.forEach(t => {
+    if (t.selfTransfer) return;
+    const text = String(t.description || '').toLowerCase();
+    const counterparty = t.narration ? t.narration.counterparty : null;
+    const withoutVpas = text.replace(VPA, ' ');
+
+    if (names.length > 0 && ((counterparty && isOwnName(counterparty, names)) || narrationNamesOwner(t.description, names))) {
+      t.selfTransfer = { reason: 'own_name' };
+    } else if (WALLET_PATTERNS.some(pattern => pattern.test(withoutVpas))) {
+      t.selfTransfer = { reason: 'wallet' };
+    } else if (DEPOSIT_SWEEP_PATTERNS.some(pattern => pattern.test(text))) {
+      t.selfTransfer = { reason: 'deposit_sweep' };
+    }
+  });
+
+  return transactions.filter(t => t.selfTransfer).length;
+}
+
+// Report flagged self-transfers: { count, totalIn, totalOut, byReason, examples }
+function summarizeSelfTransfers(transactions) {
+  const flagged = transactions.filter(t => t.selfTransfer);
+  const round = value => Math.round(value * 100) / 100;
+  const total = (list, type) => round(list.filter(t => t.type === type).reduce((sum, t) => sum + t.amount, 0));
+
+  return {
+    count: flagged.length,
+    totalIn: total(flagged, 'income'),
+    totalOut: total(flagged, 'expense'),
+    byReason: Object.keys(REASONS)
+      .map(reason => {
+        const matching = flagged.filter(t => t.selfTransfer.reason === reason);
+        return {
+          reason,
+          label: REASONS[reason],
+          count: matching.length,
+          totalIn: total(matching, 'income'),
+          totalOut: total(matching, 'expense')
+        };
+      })
+      .filter(entry => entry.count > 0),
+    examples: flagged.slice(0, 20).map(t => ({
+      date: t.date,
+      description: t.description,
+      amount: t.amount,
+      type: t.type,
+      accountId: t.accountId,
+      reason: t.selfTransfer.reason
+    }))
+  };
+}
+
+module.exports = { markSelfTransfers, summarizeSelfTransfers };
@@ -0,0 +1,16 @@
+// Small statistics helpers shared by the analysis modules
+
+// Helper function to take the mean of a list of numbers (0 when empty)
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : 0;
+}
+
+// Helper function to take the median of a list of numbers (0 when empty)
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+module.exports = { mean, median };
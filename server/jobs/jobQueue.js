@@ -0,0 +1,41 @@
+// In-process queue for background work (statement uploads).
+// Tasks are async functions; at most `concurrency` run at the same time and
+// the rest wait in arrival order. A task that throws is logged and doesn't
+// stop the queue - tasks are expected to record their own failures.
+function createJobQueue({ concurrency = 1 } = {}) {
+  const waiting = [];
+  let running = 0;
+
+  // Helper function to start waiting tasks while there is capacity
+  function drain() {
+    while (running < concurrency && waiting.length > 0) {
+      const task = waiting.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .catch(error => console.error('Background job failed:', error))
+        .finally(() => {
+          running--;
+          drain();
+        });
+    }
+  }
+
+  return {
+    push(task) {
+      waiting.push(task);
+      drain();
+    },
+
+    // Number of tasks waiting for a free slot
+    get pending() {
+      return waiting.length;
+    },
+
+    get running() {
+      return running;
+    }
+  };
+}
+
+module.exports = { createJobQueue };
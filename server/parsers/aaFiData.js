@@ -0,0 +1,202 @@
+const fs = require('fs');
+const { templates } = require('./pdfTemplates');
+const { sniffHead, sniffFile, decodeEntities, lastFourDigits } = require('./textHelpers');
+
+// Financial information (FI) delivered through India's Account Aggregator
+// framework, in the ReBIT deposit-account schema. FIPs send it as JSON or XML:
+//
+//   Account (type="deposit", maskedAccNumber, linkedAccRef)
+//     Profile  > Holders (type SINGLE/JOINT) > Holder (name, dob, mobile, pan, ckycCompliance, ...)
+//     Summary  (currentBalance, balanceDateTime, type, ifscCode, status, openingDate, ...)
+//     Transactions (startDate, endDate) > Transaction (type CREDIT/DEBIT, mode,
+//       amount, currentBalance, transactionTimestamp, valueDate, txnId, narration, reference)
+//
+// JSON field names are matched case-insensitively because AA SDKs differ
+// ("Account" vs "account"), and accounts are found wherever they sit in the
+// document, so a bare Account, a list of them or a whole decrypted FI
+// response can be read. Each account becomes one statement with the same
+// row shape as the file parsers, keeping the printed running balance.
+
+const AA_TEMPLATE = { id: 'aa', name: 'Account Aggregator' };
+
+// Work out whether text (the start of a file) is AA FI data.
+// Returns 'json', 'xml' or null.
+function sniffFiData(text) {
+  const head = sniffHead(text);
+  if (!/maskedAccNumber/i.test(head)) return null;
+  if (/^\s*[{[]/.test(head)) return 'json';
+  if (/<(?:\w+:)?Account\b/.test(head)) return 'xml';
+  return null;
+}
+
+// Helper function to read the start of a file and sniff it
+function detectFiData(filePath) {
+  return sniffFile(filePath, sniffFiData);
+}
+
+// Helper function to read a JSON field whatever its capitalisation
+function field(object, name) {
+  if (!object || typeof object !== 'object') return undefined;
+  const key = Object.keys(object).find(k => k.toLowerCase() === name.toLowerCase());
+  return key === undefined ? undefined : object[key];
+}
+
+// Helper function to treat a single object or a list the same way
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Helper function to find every Account object in a JSON document
+function findJsonAccounts(node, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(item => findJsonAccounts(item, found));
+  } else if (node && typeof node === 'object') {
+    const account = field(node, 'Account');
+    if (account && typeof account === 'object' && !Array.isArray(account) &&
+        (field(account, 'Transactions') || field(account, 'Summary'))) {
+      found.push(account);
+    } else {
+      Object.values(node).forEach(value => findJsonAccounts(value, found));
+    }
+  }
+  return found;
+}
+
+// Helper function to bring a JSON account into the shape the XML reader
+// produces: plain attribute objects for the account, holders, summary and
+// transactions
+function jsonAccount(account) {
+  const profile = field(account, 'Profile');
+  const holders = field(profile, 'Holders');
+  const transactions = field(account, 'Transactions');
+  const attributes = value => Object.fromEntries(
+    Object.entries(value || {}).filter(([, v]) => v === null || typeof v !== 'object')
+  );
+  return {
+    account: attributes(account),
+    holdersType: field(holders, 'type'),
+    holders: asList(field(holders, 'Holder')).map(attributes),
+    summary: attributes(field(account, 'Summary')),
+    transactions: asList(field(transactions, 'Transaction')).map(attributes)
+  };
+}
+
+// Helper function to read the attributes of every <name ...> start tag in xml
+function xmlElements(xml, name) {
+  const pattern = new RegExp(`<(?:\\w+:)?${name}\\b([^>]*?)\\/?>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => {
+    const attributes = {};
+    for (const [, key, quoted, single] of match[1].matchAll(/([\w:]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+      attributes[key.replace(/^\w+:/, '')] = decodeEntities(quoted !== undefined ? quoted : single);
+    }
+    return attributes;
+  });
+}
+
+// Helper function to read every Account in an XML document
+function xmlAccounts(xml) {
+  const blocks = xml.match(/<(?:\w+:)?Account\b[\s\S]*?<\/(?:\w+:)?Account>/g) || [];
+  return blocks.map(block => {
+    const holders = xmlElements(block, 'Holders')[0] || {};
+    return {
+      account: xmlElements(block, 'Account')[0] || {},
+      holdersType: holders.type,
+      holders: xmlElements(block, 'Holder'),
+      summary: xmlElements(block, 'Summary')[0] || {},
+      transactions: xmlElements(block, 'Transaction')
+    };
+  });
+}
+
+// Helper function to read a money value, or null
+function money(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+// Helper function to find the bank from an IFSC code (e.g. HDFC0001234), so
+// AA data and PDF statements of the same account are recognised as one
+function bankFromIfsc(ifsc) {
+  if (!ifsc) return null;
+  const template = templates.find(t => t.detect.some(pattern => pattern.test(ifsc)));
+  return template ? { id: template.id, name: template.name } : null;
+}
+
+// Helper function to turn one account into a parsed statement.
+// Only the holder details used in underwriting are kept; PAN, mobile, email
+// and address stay with the FIP.
+function statementFromAccount({ account, holdersType, holders, summary, transactions }) {
+  const rows = transactions
+    .map(t => {
+      const amount = money(t.amount);
+      if (amount === null || amount === 0) return null;
+      const type = String(t.type || '').toUpperCase();
+      return {
+        date: t.valueDate || String(t.transactionTimestamp || '').slice(0, 10),
+        description: (t.narration || '').trim() || 'Transaction',
+        amount: Math.abs(amount).toFixed(2),
+        type: type === 'CREDIT' ? 'credit' : 'debit',
+        balance: money(t.currentBalance) === null ? '' : String(money(t.currentBalance)),
+        reference: t.txnId || t.reference || '',
+        mode: t.mode || ''
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    rows,
+    template: AA_TEMPLATE,
+    bank: bankFromIfsc(summary.ifscCode),
+    accountNumber: lastFourDigits(account.maskedAccNumber),
+    holder: {
+      type: holdersType || null,
+      names: holders.map(h => h.name).filter(Boolean),
+      ckycCompliance: holders.length > 0 && holders.every(h => String(h.ckycCompliance) === 'true')
+    },
+    summary: {
+      currentBalance: money(summary.currentBalance),
+      balanceDateTime: summary.balanceDateTime || null,
+      accountType: summary.type || null,
+      status: summary.status || null,
+      ifscCode: summary.ifscCode || null,
+      openingDate: summary.openingDate || null,
+      currentODLimit: money(summary.currentODLimit)
+    }
+  };
+}
+
+// Parse an FI document (JSON or XML text) into one statement per deposit account
+function parseFiData(text) {
+  const content = String(text).replace(/^\uFEFF/, '');
+  const trimmed = content.trim();
+
+  let accounts;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let document;
+    try {
+      document = JSON.parse(trimmed);
+    } catch (error) {
+      throw new Error(`Account Aggregator data is not valid JSON: ${error.message}`);
+    }
+    accounts = findJsonAccounts(document).map(jsonAccount);
+  } else {
+    accounts = xmlAccounts(content);
+  }
+
+  const deposits = accounts.filter(a => !a.account.type || String(a.account.type).toLowerCase() === 'deposit');
+  if (deposits.length === 0) {
+    const err = new Error('No deposit accounts found in the Account Aggregator data');
+    err.code = 'UNSUPPORTED_FORMAT';
+    throw err;
+  }
+  return deposits.map(statementFromAccount);
+}
+
+// Parse an FI file uploaded instead of fetched through an aggregator
+function parseFiDataFile(filePath) {
+  return { accounts: parseFiData(fs.readFileSync(filePath, 'utf8')) };
+}
+
+module.exports = { AA_TEMPLATE, sniffFiData, detectFiData, parseFiData, parseFiDataFile };
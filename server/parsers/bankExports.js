@@ -0,0 +1,262 @@
+const fs = require('fs');
+const { sniffHead, sniffFile, decodeEntities, lastFourDigits } = require('./textHelpers');
+
+// Structured statement exports from banks and accounting tools:
+//   OFX / QFX   - Open Financial Exchange, SGML (v1) or XML (v2)
+//   MT940       - SWIFT customer statement message
+//   CAMT.053    - ISO 20022 bank-to-customer statement (XML)
+//
+// Files are recognised by their content, since banks save these with all
+// sorts of extensions (.ofx, .qfx, .sta, .940, .txt, .xml). Every parser
+// returns rows in the shape the other statement parsers produce:
+// { date (YYYY-MM-DD), description, amount (positive, as text), type
+// ('debit' | 'credit'), reference }.
+
+const FORMATS = {
+  ofx: { id: 'ofx', name: 'OFX' },
+  mt940: { id: 'mt940', name: 'SWIFT MT940' },
+  camt053: { id: 'camt053', name: 'ISO 20022 CAMT.053' }
+};
+
+// Work out which export format a piece of text (the start of a file) is in.
+// Returns 'ofx', 'mt940', 'camt053' or null.
+function sniffBankExport(text) {
+  const head = sniffHead(text);
+  if (/^\s*OFXHEADER\s*:/i.test(head) || /<\?OFX\b/i.test(head) || /<OFX>/i.test(head)) {
+    return 'ofx';
+  }
+  if (/camt\.053\./i.test(head) || /<(?:\w+:)?BkToCstmrStmt>/.test(head)) {
+    return 'camt053';
+  }
+  if (/(^|[\r\n]):20:/.test(head) && /(^|[\r\n]):25:/.test(head) && /(^|[\r\n]):6[01][FM]?:/.test(head)) {
+    return 'mt940';
+  }
+  return null;
+}
+
+// Helper function to read the start of a file and sniff its format
+function detectBankExport(filePath) {
+  return sniffFile(filePath, sniffBankExport);
+}
+
+// Helper function to tidy a description built from several fields
+function joinDescription(parts) {
+  const text = parts
+    .map(part => (part || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .filter((part, index, all) => all.indexOf(part) === index)
+    .join(' - ');
+  return text || 'Transaction';
+}
+
+// Helper function to build a row from a signed or directed amount
+function exportRow(date, description, amount, type, reference) {
+  return {
+    date,
+    description,
+    amount: Math.abs(amount).toFixed(2),
+    type,
+    reference: reference || ''
+  };
+}
+
+// --- OFX / QFX ---
+
+// Helper function to read an OFX element's value. OFX 1.x is SGML and leaves
+// leaf elements unclosed, so the value runs to the next tag or line break.
+function ofxValue(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+}
+
+// Helper function to turn an OFX date (YYYYMMDD[HHMMSS[.XXX]][[offset:TZ]]) into YYYY-MM-DD
+function ofxDate(value) {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+}
+
+function parseOFX(text) {
+  const rows = [];
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  blocks.forEach(block => {
+    const amount = parseFloat(ofxValue(block, 'TRNAMT').replace(',', '.'));
+    if (!Number.isFinite(amount) || amount === 0) return;
+    rows.push(exportRow(
+      ofxDate(ofxValue(block, 'DTPOSTED')),
+      joinDescription([ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE'), ofxValue(block, 'MEMO')]),
+      amount,
+      amount < 0 ? 'debit' : 'credit',
+      ofxValue(block, 'FITID') || ofxValue(block, 'CHECKNUM')
+    ));
+  });
+  return { rows, accountNumber: lastFourDigits(ofxValue(text, 'ACCTID')) };
+}
+
+// --- SWIFT MT940 ---
+
+// Helper function to split an MT940 message into [tag, value] fields.
+// A field runs until the next line that starts with a :tag:.
+function mt940Fields(text) {
+  const fields = [];
+  text.split(/\r?\n/).forEach(line => {
+    const match = line.match(/^:(\d{2}[A-Z]?):(.*)$/);
+    if (match) {
+      fields.push([match[1], match[2]]);
+    } else if (fields.length > 0 && !/^-\}?$/.test(line.trim())) {
+      fields[fields.length - 1][1] += `\n${line}`;
+    }
+  });
+  return fields;
+}
+
+// Helper function to read an MT940 :86: field. Structured narratives
+// ("166?00TRANSFER?20text?21text?32name") keep the booking text, the
+// remittance lines and the counterparty name; anything else is used as is.
+function mt940Narrative(value) {
+  const text = value.replace(/\r?\n/g, '');
+  if (!/^\d{3}\?/.test(text)) return value.replace(/\s*\r?\n\s*/g, ' ');
+
+  const subfields = {};
+  text.split('?').slice(1).forEach(part => {
+    const key = part.slice(0, 2);
+    subfields[key] = (subfields[key] || '') + part.slice(2);
+  });
+  const remittance = Object.keys(subfields)
+    .filter(key => key >= '20' && key <= '29')
+    .sort()
+    .map(key => subfields[key])
+    .join('');
+  return joinDescription([subfields['32'] ? `${subfields['32']}${subfields['33'] || ''}` : '', remittance, subfields['00']]);
+}
+
+// Helper function to turn an MT940 YYMMDD date into YYYY-MM-DD
+function mt940Date(value) {
+  const year = Number(value.slice(0, 2));
+  return `${year >= 80 ? 1900 + year : 2000 + year}-${value.slice(2, 4)}-${value.slice(4, 6)}`;
+}
+
+// :61: statement line: value date YYMMDD, optional entry date MMDD, mark
+// (C, D, RC = reversal of credit, RD = reversal of debit), optional funds
+// code, amount with a decimal comma, then type code and references
+const MT940_LINE = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d{0,2})([NFS][A-Z0-9]{3})?([^/\n]*)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?/;
+
+function parseMT940(text) {
+  const rows = [];
+  let accountNumber = null;
+  let pending = null;
+
+  const flush = narrative => {
+    if (!pending) return;
+    rows.push(exportRow(
+      pending.date,
+      joinDescription([narrative || pending.details]),
+      pending.amount,
+      pending.type,
+      pending.reference
+    ));
+    pending = null;
+  };
+
+  mt940Fields(text).forEach(([tag, value]) => {
+    if (tag === '25' && !accountNumber) {
+      accountNumber = lastFourDigits(value.split('/').pop());
+    } else if (tag === '61') {
+      flush('');
+      const match = value.match(MT940_LINE);
+      if (!match) return;
+      const amount = parseFloat(match[5].replace(',', '.'));
+      if (!Number.isFinite(amount) || amount === 0) return;
+      // A reversed credit takes money out again, a reversed debit puts it back
+      const credit = match[3] === 'C' || match[3] === 'RD';
+      pending = {
+        date: mt940Date(match[1]),
+        amount,
+        type: credit ? 'credit' : 'debit',
+        reference: (match[7] || '').trim() === 'NONREF' ? '' : (match[7] || '').trim(),
+        details: [match[8], match[9]].filter(Boolean).join(' ')
+      };
+    } else if (tag === '86') {
+      flush(mt940Narrative(value));
+    }
+  });
+  flush('');
+
+  return { rows, accountNumber };
+}
+
+// --- ISO 20022 CAMT.053 ---
+
+// Helper function to read the text of the first element at an XML path
+// ('BookgDt/Dt'). Namespace prefixes on element names are ignored.
+function xmlValue(xml, elementPath) {
+  let scope = xml;
+  for (const name of elementPath.split('/')) {
+    const match = scope.match(new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`));
+    if (!match) return '';
+    scope = match[1];
+  }
+  return decodeEntities(scope.trim());
+}
+
+// Helper function to read every text value of an element
+function xmlValues(xml, name) {
+  const pattern = new RegExp(`<(?:\\w+:)?${name}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${name}>`, 'g');
+  return [...xml.matchAll(pattern)].map(match => decodeEntities(match[1].trim()));
+}
+
+function parseCAMT053(text) {
+  const rows = [];
+  const entries = text.match(/<(?:\w+:)?Ntry>[\s\S]*?<\/(?:\w+:)?Ntry>/g) || [];
+  entries.forEach(entry => {
+    // Pending and informational entries haven't moved money yet
+    const status = xmlValue(entry, 'Sts/Cd') || xmlValue(entry, 'Sts');
+    if (status && status !== 'BOOK') return;
+
+    const amount = parseFloat(xmlValue(entry, 'Amt'));
+    if (!Number.isFinite(amount) || amount === 0) return;
+    const credit = xmlValue(entry, 'CdtDbtInd') === 'CRDT';
+    const date = (xmlValue(entry, 'BookgDt/Dt') || xmlValue(entry, 'BookgDt/DtTm') ||
+      xmlValue(entry, 'ValDt/Dt') || xmlValue(entry, 'ValDt/DtTm')).slice(0, 10);
+
+    // The counterparty is the debtor of money coming in, the creditor of money going out
+    const counterparty = xmlValue(entry, credit ? 'RltdPties/Dbtr/Nm' : 'RltdPties/Cdtr/Nm') ||
+      xmlValue(entry, credit ? 'RltdPties/Dbtr/Pty/Nm' : 'RltdPties/Cdtr/Pty/Nm');
+    const remittance = xmlValues(entry, 'Ustrd').join(' ');
+
+    rows.push(exportRow(
+      date,
+      joinDescription([counterparty, remittance || xmlValue(entry, 'AddtlNtryInf') || xmlValue(entry, 'AddtlTxInf')]),
+      amount,
+      credit ? 'credit' : 'debit',
+      xmlValue(entry, 'AcctSvcrRef') || xmlValue(entry, 'NtryRef') || xmlValue(entry, 'EndToEndId')
+    ));
+  });
+
+  const account = xmlValue(text, 'Stmt/Acct/Id');
+  return { rows, accountNumber: lastFourDigits(account) };
+}
+
+const PARSERS = {
+  ofx: parseOFX,
+  mt940: parseMT940,
+  camt053: parseCAMT053
+};
+
+// Parse an OFX/QFX, MT940 or CAMT.053 file.
+// Returns { rows, template, accountNumber } like the PDF parser, where
+// template names the export format.
+function parseBankExport(filePath) {
+  const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+  const format = sniffBankExport(text);
+  if (!format) {
+    const err = new Error('File is not an OFX, QFX, MT940 or CAMT.053 statement');
+    err.code = 'UNSUPPORTED_FORMAT';
+    throw err;
+  }
+
+  const { rows, accountNumber } = PARSERS[format](text);
+  console.log(`Parsed ${rows.length} transactions from ${FORMATS[format].name} export`);
+  return { rows, template: FORMATS[format], accountNumber };
+}
+
+module.exports = { FORMATS, sniffBankExport, detectBankExport, parseBankExport };
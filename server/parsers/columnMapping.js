@@ -0,0 +1,233 @@
+const crypto = require('crypto');
+
+// Column mapping for tabular (CSV/Excel) statements.
+//
+// A mapping tells us which header holds each role:
+//   { date, description, amount, type, debit, credit, balance }
+// Unused roles are null. Statements either have one signed "amount" column
+// (optionally with a type column) or separate debit/credit columns.
+const ROLES = ['date', 'description', 'amount', 'type', 'debit', 'credit', 'balance'];
+
+// Header names we recognise for each role, already normalized (see normalizeHeader)
+const ROLE_SYNONYMS = {
+  date: [
+    'date', 'txn date', 'txn dt', 'tran date', 'transaction date', 'transaction dt',
+    'value date', 'value dt', 'posting date', 'date time', 'date of transaction'
+  ],
+  description: [
+    'description', 'narration', 'particulars', 'details', 'remarks',
+    'transaction description', 'transaction remarks', 'transaction details', 'transaction particulars'
+  ],
+  amount: [
+    'amount', 'amt', 'transaction amount', 'txn amount', 'amount inr', 'transaction value', 'value'
+  ],
+  type: [
+    'type', 'transaction type', 'txn type', 'dr cr', 'cr dr', 'debit credit', 'credit debit'
+  ],
+  debit: [
+    'debit', 'debit amount', 'debit amt', 'dr', 'dr amount', 'withdrawal', 'withdrawals',
+    'withdrawal amt', 'withdrawal amount'
+  ],
+  credit: [
+    'credit', 'credit amount', 'credit amt', 'cr', 'cr amount', 'deposit', 'deposits',
+    'deposit amt', 'deposit amount'
+  ],
+  balance: [
+    'balance', 'bal', 'closing balance', 'running balance', 'available balance', 'balance amount', 'balance amt'
+  ]
+};
+
+// Helper function to normalize a header: "Withdrawal Amt. (INR)" -> "withdrawal amt"
+function normalizeHeader(header) {
+  return String(header)
+    .toLowerCase()
+    .replace(/\((?:inr|rs\.?|₹)\)|₹|\binr\b/g, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Stable identifier for a header layout, used to remember confirmed mappings
+function headerSignature(headers) {
+  const normalized = headers.map(normalizeHeader).join('|');
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+}
+
+// Helper function to parse a money cell: "1,234.50", "₹ 500", "(200.00)", "300 Dr"
+function parseAmount(value) {
+  if (value === undefined || value === null) return NaN;
+  let text = String(value).trim();
+  if (text.length === 0) return NaN;
+  const negative = /^\(.*\)$/.test(text) || /\bdr\.?$/i.test(text);
+  text = text.replace(/^\((.*)\)$/, '$1').replace(/\b(cr|dr)\.?$/i, '').replace(/[,₹\s]|rs\.?/gi, '');
+  const amount = parseFloat(text);
+  if (isNaN(amount)) return NaN;
+  return negative ? -Math.abs(amount) : amount;
+}
+
+// Helper function to score how well a header matches a role
+function matchScore(normalized, synonyms) {
+  let best = 0;
+  synonyms.forEach(synonym => {
+    if (normalized === synonym) {
+      best = Math.max(best, 3);
+    } else if (normalized.startsWith(`${synonym} `)) {
+      best = Math.max(best, 2);
+    } else if (normalized.split(' ').includes(synonym)) {
+      best = Math.max(best, 1);
+    }
+  });
+  return best;
+}
+
+// Helper function to check whether a column's sample values look like amounts
+function looksNumeric(rows, header) {
+  const values = rows.map(row => row[header]).filter(v => v !== undefined && String(v).trim() !== '');
+  if (values.length === 0) return false;
+  const numeric = values.filter(v => !isNaN(parseAmount(v)) && !/^\d{1,4}[\/-]\d{1,2}[\/-]\d{1,4}$/.test(String(v).trim()));
+  return numeric.length / values.length >= 0.8;
+}
+
+// Propose a mapping for the given headers. Each header is used for at most one
+// role; exact name matches win over partial ones.
+function proposeMapping(headers, sampleRows = []) {
+  const mapping = ROLES.reduce((m, role) => ({ ...m, [role]: null }), {});
+
+  const candidates = [];
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    ROLES.forEach((role, rolePriority) => {
+      const score = matchScore(normalized, ROLE_SYNONYMS[role]);
+      if (score > 0) candidates.push({ header, role, score, rolePriority });
+    });
+  });
+  candidates.sort((a, b) => b.score - a.score || a.rolePriority - b.rolePriority);
+
+  const usedHeaders = new Set();
+  candidates.forEach(({ header, role }) => {
+    if (mapping[role] === null && !usedHeaders.has(header)) {
+      mapping[role] = header;
+      usedHeaders.add(header);
+    }
+  });
+
+  // A signed amount column is redundant when debit and credit are both present
+  if (mapping.debit && mapping.credit && mapping.amount) {
+    mapping.amount = null;
+  }
+
+  // Last resort: the first numeric column that isn't a date, id or balance
+  if (!mapping.amount && !mapping.debit && !mapping.credit) {
+    const fallback = headers.find(header => {
+      if (usedHeaders.has(header)) return false;
+      if (/\b(date|id|no|number|ref|cheque|chq)\b/.test(normalizeHeader(header))) return false;
+      return looksNumeric(sampleRows, header);
+    });
+    if (fallback) mapping.amount = fallback;
+  }
+
+  return mapping;
+}
+
+// Validate a mapping against the file's headers. Returns a list of problems.
+function validateMapping(mapping, headers) {
+  const errors = [];
+  if (!mapping || typeof mapping !== 'object') {
+    return ['Mapping must be an object'];
+  }
+
+  Object.keys(mapping).forEach(role => {
+    if (!ROLES.includes(role)) {
+      errors.push(`Unknown mapping role "${role}"`);
+    } else if (mapping[role] !== null && mapping[role] !== undefined && !headers.includes(mapping[role])) {
+      errors.push(`Column "${mapping[role]}" mapped to ${role} is not in the file`);
+    }
+  });
+
+  // Each column fills one role, as in proposeMapping: a column read as both
+  // debit and credit would turn every row into two opposite transactions
+  const rolesByHeader = new Map();
+  ROLES.forEach(role => {
+    if (!mapping[role]) return;
+    rolesByHeader.set(mapping[role], [...(rolesByHeader.get(mapping[role]) || []), role]);
+  });
+  rolesByHeader.forEach((roles, header) => {
+    if (roles.length > 1) errors.push(`Column "${header}" is mapped to more than one role (${roles.join(', ')})`);
+  });
+
+  if (!mapping.date) errors.push('A date column is required');
+  if (!mapping.amount && !mapping.debit && !mapping.credit) {
+    errors.push('Map either an amount column or debit/credit columns');
+  }
+  return errors;
+}
+
+// Helper function to read a type cell ("Cr", "DEBIT", "income", ...) as a direction
+function directionFromType(value) {
+  const text = String(value || '').toLowerCase().trim();
+  if (/^(cr|c)$|credit|deposit|income|receipt/.test(text)) return 'credit';
+  if (/^(dr|d)$|debit|withdraw|expense|payment/.test(text)) return 'debit';
+  return null;
+}
+
+// Convert raw rows into { date, description, amount, type, balance } rows using
+// a mapping. amount is always positive; type is 'credit' or 'debit'.
+function applyMapping(rows, mapping) {
+  const result = [];
+
+  rows.forEach(row => {
+    const date = mapping.date ? String(row[mapping.date] || '').trim() : '';
+    const description = mapping.description ? String(row[mapping.description] || '').trim() : '';
+    const balance = mapping.balance ? parseAmount(row[mapping.balance]) : NaN;
+    const base = {
+      date: date || 'N/A',
+      description: description || 'Transaction'
+    };
+    if (!isNaN(balance)) base.balance = balance.toString();
+
+    if (mapping.debit || mapping.credit) {
+      const debit = mapping.debit ? parseAmount(row[mapping.debit]) : NaN;
+      const credit = mapping.credit ? parseAmount(row[mapping.credit]) : NaN;
+      if (!isNaN(credit) && credit !== 0) {
+        result.push({ ...base, amount: Math.abs(credit).toString(), type: credit > 0 ? 'credit' : 'debit' });
+      }
+      if (!isNaN(debit) && debit !== 0) {
+        result.push({ ...base, amount: Math.abs(debit).toString(), type: debit > 0 ? 'debit' : 'credit' });
+      }
+      return;
+    }
+
+    const amount = parseAmount(row[mapping.amount]);
+    if (isNaN(amount) || amount === 0) return;
+
+    const typed = mapping.type ? directionFromType(row[mapping.type]) : null;
+    result.push({
+      ...base,
+      amount: Math.abs(amount).toString(),
+      type: typed || (amount < 0 ? 'debit' : 'credit')
+    });
+  });
+
+  return result;
+}
+
+// Helper function to list the headers of parsed rows in column order
+function collectHeaders(rows) {
+  const headers = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!headers.includes(key)) headers.push(key);
+    });
+  });
+  return headers;
+}
+
+module.exports = {
+  ROLES,
+  normalizeHeader,
+  headerSignature,
+  parseAmount,
+  proposeMapping,
+  validateMapping,
+  applyMapping,
+  collectHeaders
+};
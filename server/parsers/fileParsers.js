@@ -0,0 +1,206 @@
+const fs = require('fs');
+const xlsx = require('xlsx');
+const csv = require('csv-parser');
+const pdfParse = require('pdf-parse');
+const { detectTemplate, detectAccountNumber, parseWithTemplate } = require('./pdfTemplates');
+
+// Statement file parsers for CSV, Excel and PDF. They are CPU-bound, so the
+// server runs them on worker threads (see parserThreads.js) rather than on
+// the thread that answers requests.
+
+// Helper function to parse CSV
+function parseCSV(filePath) {
+  return new Promise((resolve, reject) => {
+    const results = [];
+    fs.createReadStream(filePath)
+      .pipe(csv({
+        skipEmptyLines: true,
+        skipLinesWithError: true,
+        mapHeaders: ({ header }) => header.trim() // Trim whitespace from headers
+      }))
+      .on('data', (data) => {
+        // Only add rows that have at least one non-empty value
+        const hasData = Object.values(data).some(val => val && String(val).trim().length > 0);
+        if (hasData) {
+          results.push(data);
+        }
+      })
+      .on('end', () => {
+        if (results.length === 0) {
+          reject(new Error('CSV file appears to be empty or has no valid data rows'));
+        } else {
+          resolve(results);
+        }
+      })
+      .on('error', reject);
+  });
+}
+
+// Helper function to parse Excel
+function parseExcel(filePath) {
+  // Cells in Excel's default date format come out as ISO dates instead of US m/d/yy
+  const workbook = xlsx.readFile(filePath, { dateNF: 'yyyy-mm-dd' });
+  if (workbook.SheetNames.length === 0) {
+    throw new Error('Excel file has no sheets');
+  }
+  const sheetName = workbook.SheetNames[0];
+  const worksheet = workbook.Sheets[sheetName];
+  const data = xlsx.utils.sheet_to_json(worksheet, {
+    defval: '', // Default value for empty cells
+    raw: false // Convert all values to strings
+  });
+  
+  // Filter out completely empty rows
+  const filteredData = data.filter(row => {
+    return Object.values(row).some(val => val && String(val).trim().length > 0);
+  });
+  
+  if (filteredData.length === 0) {
+    throw new Error('Excel file appears to be empty or has no valid data rows');
+  }
+  
+  return filteredData;
+}
+
+// Template reported when no bank layout matched
+const GENERIC_PDF_TEMPLATE = { id: 'generic', name: 'Generic (last number on each line)' };
+
+// pdf.js reports locked documents with a PasswordException carrying one of these codes
+const PDF_PASSWORD_ERRORS = {
+  1: { code: 'PDF_PASSWORD_REQUIRED', message: 'This PDF is password protected. Please enter the statement password.' },
+  2: { code: 'PDF_PASSWORD_INCORRECT', message: 'Incorrect PDF password. Please try again.' }
+};
+
+// Helper function to parse PDF.
+// Returns { rows, template, accountNumber } where template names the bank layout
+// that was used and accountNumber holds the last four digits found in the header.
+// Pass options.password for statements locked with a document password.
+async function parsePDF(filePath, options = {}) {
+  try {
+    const dataBuffer = fs.readFileSync(filePath);
+    // pdf-parse hands its first argument straight to pdf.js getDocument, so a
+    // { data, password } source object lets pdf.js decrypt the document.
+    // A plain Uint8Array copy also avoids pdf.js reading past the slice of a pooled Buffer.
+    const data = await pdfParse({
+      data: new Uint8Array(dataBuffer),
+      password: options.password || undefined
+    });
+    const text = data.text;
+    
+    // Split text into lines
+    const lines = text.split('\n').filter(line => line.trim().length > 0);
+
+    const accountNumber = detectAccountNumber(lines);
+
+    // Prefer the issuing bank's column layout when we recognise the header
+    const template = detectTemplate(lines);
+    if (template) {
+      const rows = parseWithTemplate(lines, template);
+      if (rows.length > 0) {
+        console.log(`Parsed ${rows.length} transactions with the ${template.name} template`);
+        return { rows, template: { id: template.id, name: template.name }, accountNumber };
+      }
+      console.log(`${template.name} header found but no rows matched its layout, using generic parser`);
+    }
+    
+    const transactions = [];
+    const datePattern = /(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/;
+    const amountPattern = /([+-]?[\d,]+\.?\d*)/g;
+    
+    // Try to extract transaction data from PDF text
+    // This is a basic parser - can be enhanced based on specific bank statement formats
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim();
+      
+      // Skip header lines and empty lines
+      if (line.toLowerCase().includes('date') || 
+          line.toLowerCase().includes('description') ||
+          line.toLowerCase().includes('amount') ||
+          line.toLowerCase().includes('balance') ||
+          line.length < 5) {
+        continue;
+      }
+      
+      // Try to find date in the line
+      const dateMatch = line.match(datePattern);
+      const date = dateMatch ? dateMatch[1] : '';
+      
+      // Try to find amounts in the line
+      const amounts = line.match(amountPattern);
+      
+      if (amounts && amounts.length > 0) {
+        // Usually the last number is the amount or balance
+        const amountStr = amounts[amounts.length - 1].replace(/,/g, '');
+        const amount = parseFloat(amountStr);
+        
+        if (!isNaN(amount) && Math.abs(amount) > 0 && Math.abs(amount) < 10000000) {
+          // Extract description (text before the amount)
+          let description = line;
+          if (dateMatch) {
+            description = line.replace(dateMatch[0], '').trim();
+          }
+          // Remove amount from description
+          amounts.forEach(amt => {
+            description = description.replace(amt, '').trim();
+          });
+          description = description.replace(/\s+/g, ' ').trim();
+          
+          if (description.length > 0) {
+            transactions.push({
+              date: date || 'N/A',
+              description: description || 'Transaction',
+              amount: amount,
+              type: amount > 0 ? 'credit' : 'debit'
+            });
+          }
+        }
+      }
+    }
+    
+    // If we didn't find structured data, try a different approach
+    // Look for common patterns in bank statements
+    if (transactions.length === 0) {
+      // Try to find table-like structures
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const nextLine = i < lines.length - 1 ? lines[i + 1] : '';
+        
+        // Look for lines with dates and amounts
+        if (datePattern.test(line)) {
+          const amounts = line.match(amountPattern);
+          if (amounts && amounts.length > 0) {
+            const amount = parseFloat(amounts[amounts.length - 1].replace(/,/g, ''));
+            if (!isNaN(amount) && Math.abs(amount) > 0) {
+              transactions.push({
+                date: line.match(datePattern)[1],
+                description: line.replace(datePattern, '').replace(amountPattern, '').trim() || 'Transaction',
+                amount: amount,
+                type: amount > 0 ? 'credit' : 'debit'
+              });
+            }
+          }
+        }
+      }
+    }
+    
+    // Convert to format expected by analyzeTransactions
+    const rows = transactions.map(t => ({
+      date: t.date,
+      description: t.description,
+      amount: t.amount.toString(),
+      type: t.type
+    }));
+    return { rows, template: GENERIC_PDF_TEMPLATE, accountNumber };
+    
+  } catch (error) {
+    if (error.name === 'PasswordException') {
+      const passwordError = PDF_PASSWORD_ERRORS[error.code] || PDF_PASSWORD_ERRORS[1];
+      const err = new Error(passwordError.message);
+      err.code = passwordError.code;
+      throw err;
+    }
+    throw new Error(`Failed to parse PDF: ${error.message}`);
+  }
+}
+
+module.exports = { parseCSV, parseExcel, parsePDF };
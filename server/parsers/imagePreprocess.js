@@ -0,0 +1,214 @@
+const sharp = require('sharp');
+
+// Clean-up of photographed statement pages before OCR.
+//
+// Passbook photos are usually taken at a slight angle, in uneven light and
+// with the table or hand around the page. Each page is:
+//   1. turned upright (EXIF orientation), greyscaled and contrast-stretched
+//   2. binarized with Otsu's threshold, which adapts to the lighting; large dark
+//      areas touching the edge of the photo (table, shadows) are whitened
+//   3. deskewed - the angle whose horizontal projection of dark pixels has the
+//      sharpest peaks is the angle of the text lines
+//   4. cropped to the area that actually holds text
+// Multi-page TIFFs are split into their pages.
+
+// Pages are scaled to this width for OCR; skew is estimated on a smaller copy
+const OCR_WIDTH = 2000;
+const ANALYSIS_WIDTH = 800;
+const MAX_SKEW_DEGREES = 10;
+const SKEW_STEP_DEGREES = 0.5;
+// Cap on dark pixels sampled when scoring skew angles
+const MAX_SKEW_SAMPLES = 20000;
+const CROP_MARGIN = 20;
+// Dark areas touching the edge are background once they cover this share of
+// the page; smaller ones are characters at the edge of a tightly cropped scan
+const MIN_BACKGROUND_SHARE = 0.002;
+
+// Helper function to compute Otsu's threshold from a greyscale histogram
+function otsuThreshold(pixels) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < pixels.length; i++) histogram[pixels[i]]++;
+
+  const total = pixels.length;
+  let sumAll = 0;
+  for (let t = 0; t < 256; t++) sumAll += t * histogram[t];
+
+  let sumBackground = 0;
+  let weightBackground = 0;
+  let best = { threshold: 128, variance: -1 };
+  for (let t = 0; t < 256; t++) {
+    weightBackground += histogram[t];
+    if (weightBackground === 0) continue;
+    const weightForeground = total - weightBackground;
+    if (weightForeground === 0) break;
+    sumBackground += t * histogram[t];
+    const meanBackground = sumBackground / weightBackground;
+    const meanForeground = (sumAll - sumBackground) / weightForeground;
+    const variance = weightBackground * weightForeground * (meanBackground - meanForeground) ** 2;
+    if (variance > best.variance) best = { threshold: t, variance };
+  }
+  return best.threshold;
+}
+
+// Helper function to whiten dark areas connected to the edge of a binarized
+// raster (0 = ink, 255 = paper). Modifies and returns pixels.
+function clearEdgeBackground(pixels, width, height) {
+  const seen = new Uint8Array(width * height);
+  const minSize = width * height * MIN_BACKGROUND_SHARE;
+
+  const fill = seed => {
+    if (pixels[seed] !== 0 || seen[seed]) return;
+    const component = [seed];
+    seen[seed] = 1;
+    for (let i = 0; i < component.length; i++) {
+      const index = component[i];
+      const x = index % width;
+      const neighbours = [
+        x > 0 ? index - 1 : -1,
+        x < width - 1 ? index + 1 : -1,
+        index - width,
+        index + width
+      ];
+      neighbours.forEach(n => {
+        if (n >= 0 && n < pixels.length && pixels[n] === 0 && !seen[n]) {
+          seen[n] = 1;
+          component.push(n);
+        }
+      });
+    }
+    if (component.length >= minSize) {
+      component.forEach(index => { pixels[index] = 255; });
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    fill(x);
+    fill((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    fill(y * width);
+    fill(y * width + width - 1);
+  }
+  return pixels;
+}
+
+// Helper function to binarize a greyscale raster (0 = ink, 255 = paper)
+function binarize(pixels, threshold) {
+  return Uint8Array.from(pixels, value => (value < threshold ? 0 : 255));
+}
+
+// Helper function to estimate text skew (degrees, positive = clockwise) from
+// a binarized raster by projection-profile search
+function estimateSkew(pixels, width, height) {
+  const dark = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] === 0) dark.push(x, y);
+    }
+  }
+  if (dark.length === 0) return 0;
+
+  // Sample evenly so large pages cost the same as small ones
+  const step = Math.max(1, Math.floor(dark.length / 2 / MAX_SKEW_SAMPLES));
+  const diagonal = Math.ceil(Math.sqrt(width * width + height * height));
+
+  let best = { angle: 0, score: -1 };
+  for (let angle = -MAX_SKEW_DEGREES; angle <= MAX_SKEW_DEGREES; angle += SKEW_STEP_DEGREES) {
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const bins = new Float64Array(diagonal * 2);
+    for (let i = 0; i < dark.length; i += 2 * step) {
+      const projected = Math.round(dark[i + 1] * cos - dark[i] * sin) + diagonal;
+      bins[projected]++;
+    }
+    let score = 0;
+    for (let b = 0; b < bins.length; b++) score += bins[b] * bins[b];
+    if (score > best.score) best = { angle, score };
+  }
+  return best.angle;
+}
+
+// Helper function to find the box holding text on a binarized raster.
+// Rows/columns need a few dark pixels to count, so specks don't widen the box.
+function contentBox(pixels, width, height) {
+  const rowCounts = new Array(height).fill(0);
+  const colCounts = new Array(width).fill(0);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[y * width + x] === 0) {
+        rowCounts[y]++;
+        colCounts[x]++;
+      }
+    }
+  }
+
+  const minRow = Math.max(2, width * 0.005);
+  const minCol = Math.max(2, height * 0.005);
+  const rows = rowCounts.map((c, i) => (c >= minRow ? i : -1)).filter(i => i >= 0);
+  const cols = colCounts.map((c, i) => (c >= minCol ? i : -1)).filter(i => i >= 0);
+  if (rows.length === 0 || cols.length === 0) return null;
+
+  const left = Math.max(0, cols[0] - CROP_MARGIN);
+  const top = Math.max(0, rows[0] - CROP_MARGIN);
+  const right = Math.min(width, cols[cols.length - 1] + CROP_MARGIN + 1);
+  const bottom = Math.min(height, rows[rows.length - 1] + CROP_MARGIN + 1);
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+// Helper function to clean up one page (a sharp input + options)
+async function preparePage(input, inputOptions) {
+  // Upright, grey, contrast-stretched and scaled to a size Tesseract reads well
+  const grey = await sharp(input, inputOptions)
+    .rotate()
+    .greyscale()
+    .normalise()
+    .resize({ width: OCR_WIDTH, withoutEnlargement: false })
+    .png()
+    .toBuffer();
+
+  const small = await sharp(grey)
+    .resize({ width: ANALYSIS_WIDTH })
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const threshold = otsuThreshold(small.data);
+  const { width: smallWidth, height: smallHeight } = small.info;
+  const ink = clearEdgeBackground(binarize(small.data, threshold), smallWidth, smallHeight);
+  const skewAngle = estimateSkew(ink, smallWidth, smallHeight);
+
+  // Rotating leaves white corners; the background removal runs after it
+  const straightened = await sharp(grey)
+    .rotate(-skewAngle, { background: '#ffffff' })
+    .extractChannel(0)
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = straightened.info;
+  const mono = clearEdgeBackground(binarize(straightened.data, threshold), width, height);
+
+  const box = contentBox(mono, width, height);
+  let page = sharp(mono, { raw: { width, height, channels: 1 } });
+  if (box) page = page.extract(box);
+
+  return {
+    image: await page.png().toBuffer(),
+    skewAngle,
+    threshold,
+    cropped: box
+  };
+}
+
+// Prepare every page of an image file for OCR. Returns
+// [{ image (PNG buffer), skewAngle, threshold, cropped }] in page order.
+async function prepareImagePages(filePath) {
+  const metadata = await sharp(filePath).metadata();
+  const pageCount = metadata.format === 'tiff' && metadata.pages ? metadata.pages : 1;
+
+  const pages = [];
+  for (let page = 0; page < pageCount; page++) {
+    pages.push(await preparePage(filePath, pageCount > 1 ? { page } : {}));
+  }
+  return pages;
+}
+
+module.exports = { prepareImagePages };
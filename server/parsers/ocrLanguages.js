@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+
+// OCR languages and the words parseImage uses to read passbook pages in them.
+//
+// Passbooks from cooperative and regional banks print column headings and
+// narrations in the local language, while amounts and dates are usually in
+// Latin digits. Pages are therefore always read with English plus the chosen
+// language (e.g. 'eng+hin'), and the keyword lists of both are used together.
+//
+//   debitHeaders / creditHeaders - column headings for money out / in
+//   dateHeaders / descriptionHeaders - other headings, to skip header lines
+//   debitHints / creditHints - narration words that give away the direction,
+//     on top of the English dictionary in analysis/categories.js
+const LANGUAGES = {
+  eng: {
+    name: 'English',
+    debitHeaders: ['debit', 'withdrawal'],
+    creditHeaders: ['credit', 'deposit'],
+    dateHeaders: ['date'],
+    descriptionHeaders: ['description', 'particulars', 'narration'],
+    debitHints: [],
+    creditHints: []
+  },
+  hin: {
+    name: 'Hindi',
+    debitHeaders: ['नामे', 'निकासी', 'आहरण'],
+    creditHeaders: ['जमा'],
+    dateHeaders: ['दिनांक', 'तारीख'],
+    descriptionHeaders: ['विवरण', 'ब्यौरा'],
+    debitHints: ['नामे', 'निकासी', 'आहरण', 'भुगतान', 'शुल्क', 'खरीद', 'प्रभार'],
+    creditHints: ['जमा', 'ब्याज', 'वेतन', 'प्राप्ति']
+  },
+  mar: {
+    name: 'Marathi',
+    debitHeaders: ['नावे', 'काढणे'],
+    creditHeaders: ['जमा'],
+    dateHeaders: ['दिनांक', 'तारीख'],
+    descriptionHeaders: ['तपशील', 'विवरण'],
+    debitHints: ['नावे', 'काढणे', 'काढले', 'खर्च', 'शुल्क', 'खरेदी'],
+    creditHints: ['जमा', 'भरणा', 'व्याज', 'पगार']
+  },
+  tam: {
+    name: 'Tamil',
+    debitHeaders: ['பற்று', 'எடுப்பு'],
+    creditHeaders: ['வரவு', 'வைப்பு'],
+    dateHeaders: ['தேதி'],
+    descriptionHeaders: ['விவரம்', 'விவரங்கள்'],
+    debitHints: ['பற்று', 'எடுப்பு', 'செலவு', 'கட்டணம்'],
+    creditHints: ['வரவு', 'வைப்பு', 'வட்டி', 'சம்பளம்']
+  }
+};
+
+const DEFAULT_LANGUAGE = 'eng';
+
+// Devanagari and Tamil digits, which OCR sometimes returns for amounts and dates
+const DIGIT_RANGES = [0x0966, 0x0BE6];
+
+// Helper function to rewrite Devanagari/Tamil digits as 0-9
+function normalizeDigits(text) {
+  return text.replace(/[०-९௦-௯]/g, ch => {
+    const code = ch.charCodeAt(0);
+    const base = DIGIT_RANGES.find(start => code >= start && code <= start + 9);
+    return String(code - base);
+  });
+}
+
+// Helper function to check a (lower-cased) line for any of the given words
+function includesAny(text, words) {
+  return words.some(word => text.includes(word));
+}
+
+// Languages enabled on this server (OCR_LANGUAGES, comma-separated codes).
+// English is always enabled because it is read alongside every other language.
+function enabledLanguages(setting = process.env.OCR_LANGUAGES) {
+  const codes = String(setting || DEFAULT_LANGUAGE)
+    .split(',')
+    .map(code => code.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = codes.filter(code => !LANGUAGES[code]);
+  if (unknown.length > 0) {
+    throw new Error(`Unsupported OCR language(s): ${unknown.join(', ')}. Supported: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  return [...new Set([DEFAULT_LANGUAGE, ...codes])];
+}
+
+// Codes to OCR a page in when the borrower chose `language`
+function languagesFor(language) {
+  return !language || language === DEFAULT_LANGUAGE ? [DEFAULT_LANGUAGE] : [DEFAULT_LANGUAGE, language];
+}
+
+// Merge the keyword lists of several languages
+function keywordsFor(codes) {
+  const merged = {
+    debitHeaders: [],
+    creditHeaders: [],
+    dateHeaders: [],
+    descriptionHeaders: [],
+    debitHints: [],
+    creditHints: []
+  };
+  codes.forEach(code => {
+    Object.keys(merged).forEach(key => {
+      merged[key].push(...LANGUAGES[code][key]);
+    });
+  });
+  return merged;
+}
+
+// Check that every language has a traineddata file in langPath and work out
+// whether they are gzipped. Tesseract reads them from disk instead of
+// downloading them, so a missing file is a configuration error.
+function checkLanguageData(langPath, codes) {
+  const found = codes.map(code => {
+    if (fs.existsSync(path.join(langPath, `${code}.traineddata`))) return { code, gzip: false };
+    if (fs.existsSync(path.join(langPath, `${code}.traineddata.gz`))) return { code, gzip: true };
+    return { code, gzip: null };
+  });
+
+  const missing = found.filter(f => f.gzip === null).map(f => f.code);
+  if (missing.length > 0) {
+    throw new Error(
+      `OCR language data missing for ${missing.join(', ')}: add ${missing.map(c => `${c}.traineddata`).join(', ')} to ${langPath}`
+    );
+  }
+  const gzipped = found.filter(f => f.gzip);
+  if (gzipped.length > 0 && gzipped.length < found.length) {
+    throw new Error(`OCR language data in ${langPath} must be all .traineddata or all .traineddata.gz`);
+  }
+  return { gzip: gzipped.length > 0 };
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeDigits,
+  includesAny,
+  enabledLanguages,
+  languagesFor,
+  keywordsFor,
+  checkLanguageData
+};
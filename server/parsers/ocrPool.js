@@ -0,0 +1,127 @@
+const { createWorker } = require('tesseract.js');
+
+// A bounded pool of warm Tesseract workers.
+//
+// Starting a worker loads the OCR engine and language data, which takes
+// seconds, so workers are kept between images instead of being created and
+// terminated per upload. At most `size` workers exist; further images wait
+// for one to become free. Each worker reports recognition progress to
+// whichever image it is working on.
+//
+// Workers are loaded with one language combination at a time ('eng' or
+// 'eng+hin'). An image in another combination goes to an idle worker that
+// already has it, or re-initializes one - cheaper than starting a new worker.
+// Language data is read from langPath (local traineddata files) when given.
+function createOcrPool({ size = 2, lang = 'eng', langPath, gzip = true } = {}) {
+  const workers = [];
+  const waiting = [];
+  let starting = 0;
+
+  // Helper function to start one worker and add it to the pool
+  async function spawn(slotLang = lang) {
+    starting++;
+    const slot = { worker: null, lang: slotLang, onProgress: null, busy: false };
+    // createWorker never settles when loading the language data fails, so
+    // errors reported during start-up fail the start explicitly
+    let failStart;
+    const startFailed = new Promise((resolve, reject) => {
+      failStart = reject;
+    });
+    try {
+      slot.worker = await Promise.race([startFailed, createWorker(slotLang, 1, {
+        ...(langPath ? { langPath, gzip, cacheMethod: 'none' } : {}),
+        logger: m => {
+          if (slot.onProgress && m.status === 'recognizing text') {
+            Promise.resolve(slot.onProgress(m.progress)).catch(() => {});
+          }
+        },
+        // Without a handler Tesseract rethrows worker errors as uncaught
+        // exceptions; a failing recognize() still rejects on its own
+        errorHandler: error => {
+          console.error('OCR worker error:', error);
+          if (!slot.worker) failStart(new Error(`OCR engine failed to start: ${error}`));
+        }
+      })]);
+      workers.push(slot);
+      return slot;
+    } finally {
+      starting--;
+    }
+  }
+
+  // Helper function to run waiting images on free workers, starting workers up to the limit
+  function dispatch() {
+    while (waiting.length > 0) {
+      const task = waiting[0];
+      const idle = workers.filter(w => !w.busy);
+      const slot = idle.find(w => w.lang === task.lang) ||
+        (workers.length + starting < size ? null : idle[0]);
+      if (slot) {
+        run(slot, waiting.shift());
+        continue;
+      }
+      if (workers.length + starting < size) {
+        spawn(task.lang)
+          .then(() => dispatch())
+          .catch(error => {
+            // A language that can't start a worker can't be loaded into an idle
+            // one either, so fail the images waiting for it - or everyone, if
+            // no worker can start at all - and carry on with the rest
+            const noWorkers = workers.length === 0 && starting === 0;
+            waiting
+              .filter(pending => noWorkers || pending.lang === task.lang)
+              .forEach(pending => {
+                waiting.splice(waiting.indexOf(pending), 1);
+                pending.reject(error);
+              });
+            dispatch();
+          });
+      }
+      return;
+    }
+  }
+
+  // Helper function to recognize one image on a worker
+  async function run(slot, task) {
+    slot.busy = true;
+    slot.onProgress = task.onProgress;
+    try {
+      if (slot.lang !== task.lang) {
+        await slot.worker.reinitialize(task.lang);
+        slot.lang = task.lang;
+      }
+      const { data } = await slot.worker.recognize(task.image);
+      task.resolve(data);
+    } catch (error) {
+      task.reject(error);
+    } finally {
+      slot.busy = false;
+      slot.onProgress = null;
+      dispatch();
+    }
+  }
+
+  return {
+    // Start one worker ahead of the first upload
+    async warm() {
+      if (workers.length + starting === 0) {
+        await spawn();
+      }
+    },
+
+    // Recognize an image (file path or buffer) in options.lang (default: the
+    // pool's language). Resolves with Tesseract's data ({ text, confidence, ... }).
+    recognize(image, options = {}) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ image, lang: options.lang || lang, onProgress: options.onProgress, resolve, reject });
+        dispatch();
+      });
+    },
+
+    async terminate() {
+      await Promise.all(workers.splice(0).map(slot => slot.worker.terminate()));
+    }
+  };
+}
+
+module.exports = { createOcrPool };
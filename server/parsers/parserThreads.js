@@ -0,0 +1,82 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+// sharp has to be loaded by the main thread before any worker thread uses it,
+// so its native libraries stay loaded while threads come and go
+require('sharp');
+
+const WORKER_FILE = path.join(__dirname, 'parserWorker.js');
+
+// A fixed-size pool of worker threads for CSV/Excel/PDF parsing and image
+// clean-up, so one large statement doesn't block the event loop (and every
+// other user's requests).
+// Threads are started on first use and kept for later files. A thread that
+// crashes fails its current file and is replaced on the next request.
+function createParserThreads({ size = 2 } = {}) {
+  const threads = [];
+  const waiting = [];
+  let nextId = 1;
+
+  // Helper function to start a thread and wire up its replies
+  function spawn() {
+    const thread = { worker: new Worker(WORKER_FILE), task: null };
+
+    thread.worker.on('message', ({ id, result, error }) => {
+      const task = thread.task;
+      if (!task || task.id !== id) return;
+      thread.task = null;
+      if (error) {
+        const err = new Error(error.message);
+        if (error.code) err.code = error.code;
+        task.reject(err);
+      } else {
+        task.resolve(result);
+      }
+      dispatch();
+    });
+
+    const retire = (error) => {
+      const index = threads.indexOf(thread);
+      if (index >= 0) threads.splice(index, 1);
+      if (thread.task) {
+        thread.task.reject(new Error(`Parser thread stopped: ${error ? error.message : 'exited'}`));
+        thread.task = null;
+      }
+      dispatch();
+    };
+    thread.worker.on('error', retire);
+    thread.worker.on('exit', () => retire(null));
+
+    threads.push(thread);
+    return thread;
+  }
+
+  // Helper function to hand waiting tasks to idle threads, starting threads up to the limit
+  function dispatch() {
+    while (waiting.length > 0) {
+      let thread = threads.find(t => !t.task);
+      if (!thread && threads.length < size) thread = spawn();
+      if (!thread) return;
+
+      const task = waiting.shift();
+      thread.task = task;
+      thread.worker.postMessage({ id: task.id, kind: task.kind, filePath: task.filePath, options: task.options });
+    }
+  }
+
+  return {
+    // Parse a file on a worker thread. kind is 'csv', 'excel', 'pdf', 'bankExport', 'fiData'
+    // or 'imagePages'.
+    parse(kind, filePath, options = {}) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ id: nextId++, kind, filePath, options, resolve, reject });
+        dispatch();
+      });
+    },
+
+    async terminate() {
+      await Promise.all(threads.map(t => t.worker.terminate()));
+    }
+  };
+}
+
+module.exports = { createParserThreads };
@@ -0,0 +1,33 @@
+const { parentPort } = require('worker_threads');
+const { parseCSV, parseExcel, parsePDF } = require('./fileParsers');
+const { parseBankExport } = require('./bankExports');
+const { parseFiDataFile } = require('./aaFiData');
+const { prepareImagePages } = require('./imagePreprocess');
+
+// Worker thread entry point: parses one statement file per message.
+// Messages are { id, kind: 'csv' | 'excel' | 'pdf' | 'bankExport' | 'fiData' | 'imagePages', filePath,
+// options } and each is answered with { id, result } or { id, error: { message, code } }.
+// 'imagePages' cleans up a photographed statement for OCR rather than parsing it:
+// its pixel loops would block the event loop as much as parsing does.
+const PARSERS = {
+  csv: (filePath) => parseCSV(filePath),
+  excel: (filePath) => parseExcel(filePath),
+  pdf: (filePath, options) => parsePDF(filePath, options),
+  bankExport: (filePath) => parseBankExport(filePath),
+  fiData: (filePath) => parseFiDataFile(filePath),
+  imagePages: (filePath) => prepareImagePages(filePath)
+};
+
+parentPort.on('message', async ({ id, kind, filePath, options }) => {
+  try {
+    const parser = PARSERS[kind];
+    if (!parser) {
+      throw new Error(`Unknown parser "${kind}"`);
+    }
+    const result = await parser(filePath, options || {});
+    parentPort.postMessage({ id, result });
+  } catch (error) {
+    // Errors don't survive structured cloning with their custom fields, so send the parts
+    parentPort.postMessage({ id, error: { message: error.message, code: error.code } });
+  }
+});
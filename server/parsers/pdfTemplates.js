@@ -0,0 +1,226 @@
+// Bank-specific layouts for text extracted from PDF statements.
+//
+// pdf-parse flattens every table row into one line of text and drops empty
+// cells, so a row like "Date | Narration | Ref | Debit | Credit | Balance"
+// usually arrives as "01/04/24 UPI-... 0000412345678901 500.00 12,345.67".
+// Each template knows how a row starts (its date format), what noise to strip,
+// and the order of the trailing money columns. Debit vs credit is settled
+// by the running balance when only one amount survives extraction.
+
+const { narrationDirection } = require('../analysis/categories');
+
+// Money values always carry two decimals on these statements; requiring them
+// keeps cheque and reference numbers out of the amount columns.
+const MONEY_PATTERN = /(?:\d{1,3}(?:,\d{2,3})+|\d+)\.\d{2}(?:\s?(?:Cr|Dr|CR|DR)\b)?/g;
+const HAS_MONEY = new RegExp(MONEY_PATTERN.source);
+const REFERENCE_PATTERN = /\b\d{10,}\b/g;
+
+const DATE_DD_MM_YYYY = '\\d{2}[\\/-]\\d{2}[\\/-]\\d{4}';
+const DATE_DD_MM_YY = '\\d{2}\\/\\d{2}\\/\\d{2}';
+const DATE_D_MMM_YYYY = '\\d{1,2}\\s[A-Za-z]{3}\\s\\d{4}';
+
+const templates = [
+  {
+    id: 'sbi',
+    name: 'State Bank of India',
+    detect: [/state bank of india/i, /\bsbin0\d{6}\b/i],
+    // Txn Date | Value Date | Description | Ref No./Cheque No. | Debit | Credit | Balance
+    rowStart: new RegExp(`^(${DATE_D_MMM_YYYY}|${DATE_DD_MM_YYYY})`),
+    dateTokens: new RegExp(`${DATE_D_MMM_YYYY}|${DATE_DD_MM_YYYY}`, 'g'),
+    amountColumns: ['debit', 'credit', 'balance']
+  },
+  {
+    id: 'hdfc',
+    name: 'HDFC Bank',
+    detect: [/hdfc bank/i, /\bhdfc0\d{6}\b/i],
+    // Date | Narration | Chq./Ref.No. | Value Dt | Withdrawal Amt. | Deposit Amt. | Closing Balance
+    rowStart: new RegExp(`^(${DATE_DD_MM_YY})(?!\\d)`),
+    dateTokens: new RegExp(`${DATE_DD_MM_YY}(?!\\d)`, 'g'),
+    amountColumns: ['debit', 'credit', 'balance']
+  },
+  {
+    id: 'icici',
+    name: 'ICICI Bank',
+    detect: [/icici bank/i, /\bicic0\d{6}\b/i],
+    // S No. | Value Date | Transaction Date | Cheque Number | Transaction Remarks |
+    // Withdrawal Amount (INR) | Deposit Amount (INR) | Balance (INR)
+    rowStart: new RegExp(`^\\d+\\s+(${DATE_DD_MM_YYYY})`),
+    leadingNoise: /^\d+\s+/,
+    dateTokens: new RegExp(DATE_DD_MM_YYYY, 'g'),
+    amountColumns: ['debit', 'credit', 'balance']
+  },
+  {
+    id: 'axis',
+    name: 'Axis Bank',
+    detect: [/axis bank/i, /\butib0\d{6}\b/i],
+    // Tran Date | Chq No | Particulars | Debit | Credit | Balance | Init. Br
+    rowStart: new RegExp(`^(${DATE_DD_MM_YYYY})`),
+    dateTokens: new RegExp(DATE_DD_MM_YYYY, 'g'),
+    // The initiating branch code trails the balance
+    trailingNoise: /\s+\d{1,5}$/,
+    amountColumns: ['debit', 'credit', 'balance']
+  }
+];
+
+const SKIP_LINE_PATTERNS = [
+  /^page\s+\d+/i,
+  /\bpage\s+\d+\s+of\s+\d+\b/i,
+  /statement summary/i,
+  /closing balance/i,
+  /^(txn|tran|transaction|value)?\s*date\b.*\b(balance|narration|particulars|description|remarks)/i,
+  /^s\s?no\.?\s/i
+];
+
+// Helper function to turn "12,345.67 Cr" into { value: 12345.67, marker: 'cr' }
+function parseMoney(token) {
+  const marker = /cr\b/i.test(token) ? 'cr' : /dr\b/i.test(token) ? 'dr' : null;
+  const value = parseFloat(token.replace(/(cr|dr)\b/i, '').replace(/[,\s]/g, ''));
+  return { value, marker };
+}
+
+// Helper function to split the money columns off the end of a row.
+// Returns the run of money tokens that ends the line and the text before it.
+function splitTrailingAmounts(line) {
+  const matches = [...line.matchAll(MONEY_PATTERN)];
+  const trailing = [];
+  let cut = line.length;
+
+  for (let i = matches.length - 1; i >= 0; i--) {
+    const m = matches[i];
+    const gap = line.slice(m.index + m[0].length, cut);
+    if (gap.trim().length > 0) break;
+    trailing.unshift(m[0]);
+    cut = m.index;
+  }
+
+  return { head: line.slice(0, cut).trim(), amounts: trailing.map(parseMoney) };
+}
+
+// Detect the issuing bank from the statement header (the text above the first
+// transaction row, so bank names inside narrations don't count)
+function detectTemplate(lines) {
+  const anyRowStart = templates.map(t => t.rowStart);
+  const firstRow = lines.findIndex(line => anyRowStart.some(p => p.test(line.trim())));
+  const headerText = lines.slice(0, firstRow > 0 ? firstRow : Math.min(lines.length, 40)).join(' ');
+
+  return templates.find(t => t.detect.some(p => p.test(headerText))) || null;
+}
+
+// Find the account number in the statement header. Only the last four digits
+// are returned - enough to tell accounts apart without storing the number.
+function detectAccountNumber(lines) {
+  const headerText = lines.slice(0, 40).join(' ');
+  const match = headerText.match(/(?:a\/c|account)\s*(?:no\.?|number|#)?\s*:?\s*([x*\d][x*\d\s-]{5,}\d)/i);
+  if (!match) return null;
+  const digits = match[1].replace(/\D/g, '');
+  return digits.length >= 4 ? digits.slice(-4) : null;
+}
+
+// Helper function to read a balance cell as a signed number (Dr balances are
+// overdrawn, so negative)
+function signedBalance(money) {
+  return money.marker === 'dr' ? -money.value : money.value;
+}
+
+// Helper function to decide direction when only one amount survived extraction
+function inferDirection(amount, balance, previousBalance, marker, description) {
+  if (marker === 'cr') return 'credit';
+  if (marker === 'dr') return 'debit';
+
+  if (previousBalance !== null && balance !== null) {
+    if (Math.abs(previousBalance + amount - balance) < 0.01) return 'credit';
+    if (Math.abs(previousBalance - amount - balance) < 0.01) return 'debit';
+  }
+
+  return narrationDirection(description) || 'debit';
+}
+
+// Parse statement lines with a bank template. Returns rows in the shape
+// analyzeTransactions expects ({ date, description, amount, type }) plus the
+// balance and reference number where the statement has them.
+function parseWithTemplate(lines, template) {
+  const rows = [];
+  let previousBalance = null;
+  let current = null;
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+    if (line.length === 0 || SKIP_LINE_PATTERNS.some(p => p.test(line))) {
+      return;
+    }
+
+    if (/opening balance/i.test(line)) {
+      const { amounts } = splitTrailingAmounts(line);
+      if (amounts.length > 0) {
+        previousBalance = signedBalance(amounts[amounts.length - 1]);
+      }
+      return;
+    }
+
+    const dateMatch = line.match(template.rowStart);
+    if (!dateMatch) {
+      // Narrations often wrap onto the next line(s)
+      if (current && !HAS_MONEY.test(line)) {
+        current.description = `${current.description} ${line}`.trim();
+      }
+      return;
+    }
+
+    let body = line;
+    if (template.leadingNoise) body = body.replace(template.leadingNoise, '');
+    if (template.trailingNoise) body = body.replace(template.trailingNoise, '');
+
+    const { head, amounts } = splitTrailingAmounts(body);
+    if (amounts.length < 2) {
+      // Need at least an amount and a balance
+      return;
+    }
+
+    const references = head.match(REFERENCE_PATTERN) || [];
+    const description = head
+      .replace(template.dateTokens, ' ')
+      .replace(REFERENCE_PATTERN, ' ')
+      .replace(/\s+/g, ' ')
+      .replace(/^[-\s]+|[-\s]+$/g, '')
+      .trim();
+
+    // Balance is always the last money column; whatever precedes it are flows
+    const balance = signedBalance(amounts[amounts.length - 1]);
+    const flowAmounts = amounts.slice(0, amounts.length - 1).slice(-2);
+
+    const entries = [];
+    if (flowAmounts.length === 2) {
+      // Both cells survived: the layout tells us which is which
+      const flowColumns = template.amountColumns.filter(c => c !== 'balance');
+      flowAmounts.forEach((money, i) => {
+        if (money.value > 0) entries.push({ amount: money.value, type: flowColumns[i] });
+      });
+    } else {
+      const only = flowAmounts[0];
+      if (only.value > 0) {
+        entries.push({
+          amount: only.value,
+          type: inferDirection(only.value, balance, previousBalance, only.marker, description)
+        });
+      }
+    }
+
+    entries.forEach(entry => {
+      current = {
+        date: dateMatch[1],
+        description: description || 'Transaction',
+        amount: entry.amount.toString(),
+        type: entry.type,
+        balance: balance.toString(),
+        reference: references[0] || ''
+      };
+      rows.push(current);
+    });
+
+    previousBalance = balance;
+  });
+
+  return rows;
+}
+
+module.exports = { templates, detectTemplate, detectAccountNumber, parseWithTemplate };
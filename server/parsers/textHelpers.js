@@ -0,0 +1,45 @@
+const fs = require('fs');
+
+// Helpers shared by the parsers that read structured text files (bank
+// exports and Account Aggregator FI data).
+
+// Bytes read from the start of a file to recognise its format
+const SNIFF_BYTES = 4096;
+
+// Helper function to take the start of a text for sniffing, without a BOM
+function sniffHead(text) {
+  return text.slice(0, SNIFF_BYTES).replace(/^\uFEFF/, '');
+}
+
+// Helper function to read the start of a file and pass it to a sniff function
+async function sniffFile(filePath, sniff) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return sniff(buffer.toString('utf8', 0, bytesRead));
+  } finally {
+    await handle.close();
+  }
+}
+
+// Helper function to decode XML/SGML character entities
+function decodeEntities(value) {
+  return value
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCharCode(Number(dec)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+// Helper function to keep the last four digits of a (masked) account
+// number, like the PDF parsers do
+function lastFourDigits(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 4 ? digits.slice(-4) : null;
+}
+
+module.exports = { sniffHead, sniffFile, decodeEntities, lastFourDigits };
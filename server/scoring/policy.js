@@ -0,0 +1,133 @@
+const defaultPolicy = require('./defaultPolicy.json');
+
+// The default policy doubles as the schema: every setting it has must be
+// present, and of the same type (number or true/false), in any policy we
+// load or accept.
+const TEXT_FIELDS = ['description'];
+
+// Helper function to compare a candidate policy against the default's shape
+function collectShapeErrors(template, candidate, pathPrefix, errors) {
+  if (candidate === null || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    errors.push(`${pathPrefix || 'policy'} must be an object`);
+    return;
+  }
+
+  Object.keys(template).forEach(key => {
+    const keyPath = pathPrefix ? `${pathPrefix}.${key}` : key;
+    const expected = template[key];
+    const actual = candidate[key];
+
+    if (TEXT_FIELDS.includes(keyPath)) {
+      if (actual !== undefined && typeof actual !== 'string') {
+        errors.push(`${keyPath} must be a string`);
+      }
+      return;
+    }
+
+    if (actual === undefined) {
+      errors.push(`${keyPath} is required`);
+    } else if (typeof expected === 'boolean') {
+      if (typeof actual !== 'boolean') {
+        errors.push(`${keyPath} must be true or false`);
+      }
+    } else if (typeof expected === 'number') {
+      if (typeof actual !== 'number' || !Number.isFinite(actual) || actual < 0) {
+        errors.push(`${keyPath} must be a non-negative number`);
+      }
+    } else {
+      collectShapeErrors(expected, actual, keyPath, errors);
+    }
+  });
+
+  Object.keys(candidate).forEach(key => {
+    if (!(key in template)) {
+      errors.push(`${pathPrefix ? `${pathPrefix}.${key}` : key} is not a known policy setting`);
+    }
+  });
+}
+
+// Helper function to check that tiered thresholds are in descending order
+function checkDescending(errors, label, values) {
+  for (let i = 1; i < values.length; i++) {
+    if (!(values[i - 1] > values[i])) {
+      errors.push(`${label} thresholds must be strictly descending`);
+      return;
+    }
+  }
+}
+
+// Validate a policy document. Returns a list of problems (empty when valid).
+function validatePolicy(policy) {
+  const errors = [];
+  collectShapeErrors(defaultPolicy, policy, '', errors);
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  const f = policy.factors;
+  checkDescending(errors, 'factors.savingsRate', [f.savingsRate.high.min, f.savingsRate.moderate.min]);
+  checkDescending(errors, 'factors.incomeConsistency', [
+    f.incomeConsistency.high.min, f.incomeConsistency.moderate.min, f.incomeConsistency.low.min
+  ]);
+  checkDescending(errors, 'factors.spendingVolatility', [f.spendingVolatility.high.min, f.spendingVolatility.moderate.min]);
+  checkDescending(errors, 'factors.emergencySavingsBuffer', [
+    f.emergencySavingsBuffer.strong.min, f.emergencySavingsBuffer.adequate.min
+  ]);
+  checkDescending(errors, 'factors.accountAgeMonths', [f.accountAgeMonths.long.min, f.accountAgeMonths.moderate.min]);
+  checkDescending(errors, 'factors.debtObligations', [f.debtObligations.high.above, f.debtObligations.moderate.above]);
+  checkDescending(errors, 'riskLevels', [
+    policy.riskLevels.lowBelow, policy.riskLevels.mediumBelow, policy.riskLevels.highBelow
+  ]);
+
+  if (policy.approval.minScore > 100) {
+    errors.push('approval.minScore cannot exceed 100');
+  }
+  if (policy.reconciliation.minScore > 100) {
+    errors.push('reconciliation.minScore cannot exceed 100');
+  }
+  if (policy.riskEvents.maxPenalty > 100) {
+    errors.push('riskEvents.maxPenalty cannot exceed 100');
+  }
+  Object.entries(policy.incomeSources.archetypeWeights).forEach(([archetype, weight]) => {
+    if (weight > 1) {
+      errors.push(`incomeSources.archetypeWeights.${archetype} cannot exceed 1`);
+    }
+  });
+  if (f.incomeVsExpenses.lowRatioBelow > f.incomeVsExpenses.highRatioAbove) {
+    errors.push('factors.incomeVsExpenses.lowRatioBelow cannot exceed highRatioAbove');
+  }
+
+  return errors;
+}
+
+// Load the active policy from storage, seeding the default on first run.
+// Throws if the stored policy no longer validates so the server refuses to
+// start rather than score with a broken rule set.
+async function loadActivePolicy(db) {
+  let record = await db.findActivePolicy();
+
+  if (!record) {
+    const existing = await db.listPolicies();
+    if (existing.length === 0) {
+      const seeded = await db.createPolicy({
+        policy: defaultPolicy,
+        note: 'Seeded from scoring/defaultPolicy.json',
+        createdBy: 'system',
+        createdAt: new Date().toISOString()
+      });
+      record = await db.activatePolicy(seeded.version);
+    } else {
+      record = await db.activatePolicy(existing[existing.length - 1].version);
+    }
+  }
+
+  const errors = validatePolicy(record.policy);
+  if (errors.length > 0) {
+    throw new Error(`Scoring policy v${record.version} is invalid: ${errors.join('; ')}`);
+  }
+
+  console.log(`Scoring policy v${record.version} loaded`);
+  return record;
+}
+
+module.exports = { defaultPolicy, validatePolicy, loadActivePolicy };
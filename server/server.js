@@ -1,18 +1,57 @@
 const express = require('express');
 const cors = require('cors');
 const multer = require('multer');
-const xlsx = require('xlsx');
-const csv = require('csv-parser');
-const pdfParse = require('pdf-parse');
-const { createWorker } = require('tesseract.js');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const { createStorage } = require('./storage');
+const { validatePolicy, loadActivePolicy } = require('./scoring/policy');
+const { mergeStatements } = require('./analysis/mergeStatements');
+const { normalizeStatementDates, parseIsoDate } = require('./analysis/dates');
+const { reconcileBalances, combineReconciliations } = require('./analysis/reconciliation');
+const { categorizeTransaction, narrationDirection, summarizeCategories } = require('./analysis/categories');
+const { parseNarration, summarizeCounterparties } = require('./analysis/narration');
+const { detectRecurringSeries, onTimeRatio } = require('./analysis/recurring');
+const { markSelfTransfers, summarizeSelfTransfers } = require('./analysis/selfTransfers');
+const { EVENT_TYPES: RISK_EVENT_TYPES, summarizeRiskEvents } = require('./analysis/riskEvents');
+const { detectAnomalies } = require('./analysis/anomalies');
+const { summarizeBalances } = require('./analysis/balances');
+const { ARCHETYPES, summarizeIncomeSources } = require('./analysis/incomeSources');
+const { createJobQueue } = require('./jobs/jobQueue');
+const { createParserThreads } = require('./parsers/parserThreads');
+const { createOcrPool } = require('./parsers/ocrPool');
+const { detectBankExport, FORMATS: BANK_EXPORT_FORMATS } = require('./parsers/bankExports');
+const { detectFiData, parseFiData } = require('./parsers/aaFiData');
+const { createAggregator } = require('./aa');
+const {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  normalizeDigits,
+  includesAny,
+  enabledLanguages,
+  languagesFor,
+  keywordsFor,
+  checkLanguageData
+} = require('./parsers/ocrLanguages');
+const {
+  headerSignature,
+  parseAmount,
+  proposeMapping,
+  validateMapping,
+  applyMapping,
+  collectHeaders
+} = require('./parsers/columnMapping');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+// Comma-separated list of emails allowed to use the /api/admin routes
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
 
 // Middleware
 // Handle CORS for all origins in development
@@ -39,9 +78,11 @@ app.use((req, res, next) => {
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// In-memory storage (replace with MongoDB in production)
-let users = [];
-let applications = [];
+// Persistent storage (file-backed by default, see storage/index.js)
+const db = createStorage();
+
+// Scoring policy in force, loaded at startup and swapped by the admin API
+let activePolicy = null;
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -57,15 +98,23 @@ const storage = multer.diskStorage({
   }
 });
 
+// Photos and scans of statements/passbook pages, read with OCR
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp', '.tif', '.tiff'];
+// Extensions banks and accounting tools give OFX/QFX, MT940 and CAMT.053 exports.
+// The format itself is recognised from the content (parsers/bankExports.js).
+const BANK_EXPORT_EXTENSIONS = ['.ofx', '.qfx', '.sta', '.940', '.mt940', '.xml', '.txt'];
+// Account Aggregator FI data saved to a file (parsers/aaFiData.js)
+const AA_FI_EXTENSIONS = ['.json', '.xml'];
+
 const upload = multer({ 
   storage: storage,
   fileFilter: (req, file, cb) => {
-    const allowedTypes = ['.csv', '.xlsx', '.xls', '.pdf', '.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'];
+    const allowedTypes = ['.csv', '.xlsx', '.xls', '.pdf', ...IMAGE_EXTENSIONS, ...BANK_EXPORT_EXTENSIONS, ...AA_FI_EXTENSIONS];
     const ext = path.extname(file.originalname).toLowerCase();
     if (allowedTypes.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error(`File type ${ext} not allowed. Only CSV, Excel, PDF, and Image files (JPG, PNG, etc.) are allowed`));
+      cb(new Error(`File type ${ext} not allowed. Only CSV, Excel, PDF, Image files (JPG, PNG, etc.) and bank exports (OFX, QFX, MT940, CAMT.053, Account Aggregator JSON/XML) are allowed`));
     }
   },
   limits: {
@@ -73,343 +122,273 @@ const upload = multer({
   }
 });
 
-// Helper function to parse CSV
-function parseCSV(filePath) {
-  return new Promise((resolve, reject) => {
-    const results = [];
-    fs.createReadStream(filePath)
-      .pipe(csv({
-        skipEmptyLines: true,
-        skipLinesWithError: true,
-        mapHeaders: ({ header }) => header.trim() // Trim whitespace from headers
-      }))
-      .on('data', (data) => {
-        // Only add rows that have at least one non-empty value
-        const hasData = Object.values(data).some(val => val && String(val).trim().length > 0);
-        if (hasData) {
-          results.push(data);
-        }
-      })
-      .on('end', () => {
-        if (results.length === 0) {
-          reject(new Error('CSV file appears to be empty or has no valid data rows'));
-        } else {
-          resolve(results);
-        }
-      })
-      .on('error', reject);
-  });
+// OCR languages offered to borrowers (OCR_LANGUAGES) and where their
+// traineddata files live (OCR_LANG_PATH, default server/tessdata)
+const OCR_LANGUAGES = enabledLanguages();
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || path.join(__dirname, 'tessdata');
+
+// Helper function to locate OCR language data. A misconfigured language list
+// stops the server at startup rather than failing borrowers' uploads later.
+// Plain English setups without local files keep downloading the English data.
+function ocrLanguageData() {
+  try {
+    return { langPath: OCR_LANG_PATH, ...checkLanguageData(OCR_LANG_PATH, OCR_LANGUAGES) };
+  } catch (error) {
+    if (process.env.OCR_LANG_PATH || OCR_LANGUAGES.length > 1) {
+      throw error;
+    }
+    console.warn(`${error.message} - English OCR data will be downloaded instead`);
+    return {};
+  }
 }
 
-// Helper function to parse Excel
-function parseExcel(filePath) {
-  const workbook = xlsx.readFile(filePath);
-  if (workbook.SheetNames.length === 0) {
-    throw new Error('Excel file has no sheets');
-  }
-  const sheetName = workbook.SheetNames[0];
-  const worksheet = workbook.Sheets[sheetName];
-  const data = xlsx.utils.sheet_to_json(worksheet, {
-    defval: '', // Default value for empty cells
-    raw: false // Convert all values to strings
-  });
+// CSV/Excel/PDF parsing runs on worker threads; OCR runs on a pool of warm
+// Tesseract workers. Both are bounded so concurrent uploads can't exhaust the machine.
+const parserThreads = createParserThreads({ size: Number(process.env.PARSER_THREADS) || 2 });
+const ocrPool = createOcrPool({
+  size: Number(process.env.OCR_POOL_SIZE) || 2,
+  lang: DEFAULT_LANGUAGE,
+  ...ocrLanguageData()
+});
+
+// Pages OCR'd with a lower mean word confidence (0-100) are flagged so the
+// borrower can re-take the photo
+const OCR_MIN_PAGE_CONFIDENCE = Number(process.env.OCR_MIN_PAGE_CONFIDENCE) || 60;
+
+// Helper function to read transaction rows from one page of OCR text.
+// keywords are the merged dictionaries of the page's languages; previousLayout
+// is the column layout found on the page before, if any.
+function parseOcrText(text, keywords, previousLayout) {
+  // Split text into lines
+  const lines = text.split('\n').filter(line => line.trim().length > 0);
   
-  // Filter out completely empty rows
-  const filteredData = data.filter(row => {
-    return Object.values(row).some(val => val && String(val).trim().length > 0);
-  });
+  const transactions = [];
+  const datePattern = /(\d{1,2}[\/\-]\d{1,2}(?:[\/\-]\d{2,4})?)/; // Match dates like 10/02, 11/09/2024
+  const amountPattern = /([\d,]+\.?\d*)/g;
+  const dateHints = text.match(/\b\d{1,2}[\/\-]\d{1,2}[\/\-]\d{4}\b/g) || [];
+  
+  // Find header row to identify column positions
+  let headerIndex = -1;
+  let hasDebitColumn = false;
+  let hasCreditColumn = false;
   
-  if (filteredData.length === 0) {
-    throw new Error('Excel file appears to be empty or has no valid data rows');
+  for (let i = 0; i < Math.min(10, lines.length); i++) {
+    const line = lines[i].toLowerCase();
+    const debitHeader = includesAny(line, keywords.debitHeaders);
+    const creditHeader = includesAny(line, keywords.creditHeaders);
+    if (debitHeader && creditHeader) {
+      headerIndex = i;
+      hasDebitColumn = true;
+      hasCreditColumn = true;
+      break;
+    } else if (debitHeader) {
+      hasDebitColumn = true;
+    } else if (creditHeader) {
+      hasCreditColumn = true;
+    }
   }
   
-  return filteredData;
-}
-
-// Helper function to parse PDF
-async function parsePDF(filePath) {
-  try {
-    const dataBuffer = fs.readFileSync(filePath);
-    const data = await pdfParse(dataBuffer);
-    const text = data.text;
-    
-    // Split text into lines
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
-    
-    const transactions = [];
-    const datePattern = /(\d{1,2}[\/\-]\d{1,2}[\/\-]\d{2,4})/;
-    const amountPattern = /([+-]?[\d,]+\.?\d*)/g;
+  // Later passbook pages often don't repeat the headings; keep the layout of the page before
+  if (!hasDebitColumn && !hasCreditColumn && previousLayout) {
+    ({ hasDebitColumn, hasCreditColumn } = previousLayout);
+  }
+  
+  // Parse transaction rows
+  for (let i = (headerIndex >= 0 ? headerIndex + 1 : 0); i < lines.length; i++) {
+    const line = lines[i].trim();
     
-    // Try to extract transaction data from PDF text
-    // This is a basic parser - can be enhanced based on specific bank statement formats
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      
-      // Skip header lines and empty lines
-      if (line.toLowerCase().includes('date') || 
-          line.toLowerCase().includes('description') ||
-          line.toLowerCase().includes('amount') ||
-          line.toLowerCase().includes('balance') ||
-          line.length < 5) {
-        continue;
-      }
-      
-      // Try to find date in the line
-      const dateMatch = line.match(datePattern);
-      const date = dateMatch ? dateMatch[1] : '';
-      
-      // Try to find amounts in the line
-      const amounts = line.match(amountPattern);
-      
-      if (amounts && amounts.length > 0) {
-        // Usually the last number is the amount or balance
-        const amountStr = amounts[amounts.length - 1].replace(/,/g, '');
-        const amount = parseFloat(amountStr);
-        
-        if (!isNaN(amount) && Math.abs(amount) > 0 && Math.abs(amount) < 10000000) {
-          // Extract description (text before the amount)
-          let description = line;
-          if (dateMatch) {
-            description = line.replace(dateMatch[0], '').trim();
-          }
-          // Remove amount from description
-          amounts.forEach(amt => {
-            description = description.replace(amt, '').trim();
-          });
-          description = description.replace(/\s+/g, ' ').trim();
-          
-          if (description.length > 0) {
-            transactions.push({
-              date: date || 'N/A',
-              description: description || 'Transaction',
-              amount: amount,
-              type: amount > 0 ? 'credit' : 'debit'
-            });
-          }
-        }
-      }
+    // Skip header-like lines
+    const lineLower = line.toLowerCase();
+    if (includesAny(lineLower, keywords.dateHeaders) &&
+        (includesAny(lineLower, keywords.descriptionHeaders) || includesAny(lineLower, keywords.debitHeaders) ||
+         includesAny(lineLower, keywords.creditHeaders))) {
+      continue;
     }
     
-    // If we didn't find structured data, try a different approach
-    // Look for common patterns in bank statements
-    if (transactions.length === 0) {
-      // Try to find table-like structures
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const nextLine = i < lines.length - 1 ? lines[i + 1] : '';
-        
-        // Look for lines with dates and amounts
-        if (datePattern.test(line)) {
-          const amounts = line.match(amountPattern);
-          if (amounts && amounts.length > 0) {
-            const amount = parseFloat(amounts[amounts.length - 1].replace(/,/g, ''));
-            if (!isNaN(amount) && Math.abs(amount) > 0) {
-              transactions.push({
-                date: line.match(datePattern)[1],
-                description: line.replace(datePattern, '').replace(amountPattern, '').trim() || 'Transaction',
-                amount: amount,
-                type: amount > 0 ? 'credit' : 'debit'
-              });
-            }
-          }
-        }
-      }
+    // Skip lines that are too short or don't have a date
+    if (!datePattern.test(line) || line.length < 10) {
+      continue;
     }
     
-    // Convert to format expected by analyzeTransactions
-    return transactions.map(t => ({
-      date: t.date,
-      description: t.description,
-      amount: t.amount.toString(),
-      type: t.type
-    }));
-    
-  } catch (error) {
-    throw new Error(`Failed to parse PDF: ${error.message}`);
-  }
-}
-
-// Helper function to parse images using OCR
-async function parseImage(filePath) {
-  try {
-    const worker = await createWorker('eng');
+    // Extract date
+    const dateMatch = line.match(datePattern);
+    if (!dateMatch) continue;
+    const date = dateMatch[1];
     
-    // Perform OCR on the image
-    const { data: { text } } = await worker.recognize(filePath);
-    await worker.terminate();
+    // Extract all amounts from the line
+    const amounts = line.match(amountPattern);
+    if (!amounts || amounts.length === 0) continue;
     
-    if (!text || text.trim().length === 0) {
-      throw new Error('No text could be extracted from the image. Please ensure the image is clear and contains readable text.');
-    }
+    // Clean amounts (remove commas, convert to numbers)
+    const cleanAmounts = amounts.map(amt => parseFloat(amt.replace(/,/g, ''))).filter(amt => !isNaN(amt) && amt > 0);
     
-    // Split text into lines
-    const lines = text.split('\n').filter(line => line.trim().length > 0);
+    if (cleanAmounts.length === 0) continue;
     
-    const transactions = [];
-    const datePattern = /(\d{1,2}[\/\-]\d{1,2})/; // Match dates like 10/02, 11/09
-    const amountPattern = /([\d,]+\.?\d*)/g;
+    // Extract description (text between date and amounts)
+    let description = line;
+    description = description.replace(dateMatch[0], '').trim();
+    // Remove all amounts from description
+    amounts.forEach(amt => {
+      description = description.replace(amt, '').trim();
+    });
+    description = description.replace(/\s+/g, ' ').trim();
     
-    // Find header row to identify column positions
-    let headerIndex = -1;
-    let hasDebitColumn = false;
-    let hasCreditColumn = false;
+    // Determine if this is a debit or credit transaction
+    // Strategy: If we have debit/credit columns, amounts before the last are likely debit/credit
+    // The last amount is usually the balance
+    let debitAmount = 0;
+    let creditAmount = 0;
     
-    for (let i = 0; i < Math.min(10, lines.length); i++) {
-      const line = lines[i].toLowerCase();
-      if (line.includes('debit') && line.includes('credit')) {
-        headerIndex = i;
-        hasDebitColumn = true;
-        hasCreditColumn = true;
-        break;
-      } else if (line.includes('debit')) {
-        hasDebitColumn = true;
-      } else if (line.includes('credit')) {
-        hasCreditColumn = true;
+    if (hasDebitColumn && hasCreditColumn && cleanAmounts.length >= 2) {
+      // If we have both columns, try to identify which is which
+      // Usually: Date | Description | Debit | Credit | Balance
+      // So if we have 3+ amounts: [debit, credit, balance] or [amount1, amount2, balance]
+      if (cleanAmounts.length >= 3) {
+        // Assume second-to-last is credit, third-to-last is debit, last is balance
+        debitAmount = cleanAmounts[cleanAmounts.length - 3] || 0;
+        creditAmount = cleanAmounts[cleanAmounts.length - 2] || 0;
+      } else if (cleanAmounts.length === 2) {
+        // Two amounts: could be [debit, balance] or [credit, balance] or [debit, credit]
+        // Check description for hints
+        if (narrationDirection(description, keywords) === 'credit') {
+          creditAmount = cleanAmounts[0];
+        } else {
+          // Default: first is debit, second is balance
+          debitAmount = cleanAmounts[0];
+        }
+      }
+    } else {
+      // No clear debit/credit columns - use heuristics based on description
+      const amount = cleanAmounts[0];
+      
+      if (narrationDirection(description, keywords) === 'credit') {
+        creditAmount = amount;
+      } else {
+        // Default: assume it's a debit (expense) if we can't determine
+        debitAmount = amount;
       }
     }
     
-    // Parse transaction rows
-    for (let i = (headerIndex >= 0 ? headerIndex + 1 : 0); i < lines.length; i++) {
+    // Create transaction entries
+    if (debitAmount > 0) {
+      transactions.push({
+        date: date || 'N/A',
+        description: description || 'Transaction',
+        amount: debitAmount.toString(),
+        type: 'debit'
+      });
+    }
+    
+    if (creditAmount > 0) {
+      transactions.push({
+        date: date || 'N/A',
+        description: description || 'Transaction',
+        amount: creditAmount.toString(),
+        type: 'credit'
+      });
+    }
+  }
+  
+  // If we didn't find structured data, try a simpler approach
+  if (transactions.length === 0) {
+    for (let i = 0; i < lines.length; i++) {
       const line = lines[i].trim();
+      if (!datePattern.test(line)) continue;
       
-      // Skip header-like lines
-      if (line.toLowerCase().includes('date') && 
-          (line.toLowerCase().includes('description') || line.toLowerCase().includes('debit') || line.toLowerCase().includes('credit'))) {
-        continue;
-      }
-      
-      // Skip lines that are too short or don't have a date
-      if (!datePattern.test(line) || line.length < 10) {
-        continue;
-      }
-      
-      // Extract date
-      const dateMatch = line.match(datePattern);
-      if (!dateMatch) continue;
-      const date = dateMatch[1];
-      
-      // Extract all amounts from the line
       const amounts = line.match(amountPattern);
       if (!amounts || amounts.length === 0) continue;
       
-      // Clean amounts (remove commas, convert to numbers)
-      const cleanAmounts = amounts.map(amt => parseFloat(amt.replace(/,/g, ''))).filter(amt => !isNaN(amt) && amt > 0);
+      const amount = parseFloat(amounts[0].replace(/,/g, ''));
+      if (isNaN(amount) || amount <= 0) continue;
       
-      if (cleanAmounts.length === 0) continue;
-      
-      // Extract description (text between date and amounts)
-      let description = line;
-      description = description.replace(dateMatch[0], '').trim();
-      // Remove all amounts from description
-      amounts.forEach(amt => {
-        description = description.replace(amt, '').trim();
+      transactions.push({
+        date: line.match(datePattern)[1],
+        description: line.replace(datePattern, '').replace(amountPattern, '').trim() || 'Transaction',
+        amount: amount.toString(),
+        // Default to debit
+        type: narrationDirection(line, keywords) === 'credit' ? 'credit' : 'debit'
       });
-      description = description.replace(/\s+/g, ' ').trim();
-      
-      // Determine if this is a debit or credit transaction
-      // Strategy: If we have debit/credit columns, amounts before the last are likely debit/credit
-      // The last amount is usually the balance
-      let debitAmount = 0;
-      let creditAmount = 0;
-      
-      if (hasDebitColumn && hasCreditColumn && cleanAmounts.length >= 2) {
-        // If we have both columns, try to identify which is which
-        // Usually: Date | Description | Debit | Credit | Balance
-        // So if we have 3+ amounts: [debit, credit, balance] or [amount1, amount2, balance]
-        if (cleanAmounts.length >= 3) {
-          // Assume second-to-last is credit, third-to-last is debit, last is balance
-          debitAmount = cleanAmounts[cleanAmounts.length - 3] || 0;
-          creditAmount = cleanAmounts[cleanAmounts.length - 2] || 0;
-        } else if (cleanAmounts.length === 2) {
-          // Two amounts: could be [debit, balance] or [credit, balance] or [debit, credit]
-          // Check description for hints
-          const descLower = description.toLowerCase();
-          if (descLower.includes('purchase') || descLower.includes('check') || descLower.includes('withdrawal') || descLower.includes('charge')) {
-            debitAmount = cleanAmounts[0];
-          } else if (descLower.includes('credit') || descLower.includes('deposit') || descLower.includes('interest')) {
-            creditAmount = cleanAmounts[0];
-          } else {
-            // Default: first is debit, second is balance
-            debitAmount = cleanAmounts[0];
-          }
-        }
-      } else {
-        // No clear debit/credit columns - use heuristics based on description
-        const descLower = description.toLowerCase();
-        const amount = cleanAmounts[0];
-        
-        if (descLower.includes('purchase') || descLower.includes('check') || 
-            descLower.includes('withdrawal') || descLower.includes('charge') ||
-            descLower.includes('debit') || descLower.includes('payment')) {
-          debitAmount = amount;
-        } else if (descLower.includes('credit') || descLower.includes('deposit') || 
-                   descLower.includes('interest') || descLower.includes('salary') ||
-                   descLower.includes('income')) {
-          creditAmount = amount;
-        } else {
-          // Default: assume it's a debit (expense) if we can't determine
-          debitAmount = amount;
-        }
-      }
-      
-      // Create transaction entries
-      if (debitAmount > 0) {
-        transactions.push({
-          date: date || 'N/A',
-          description: description || 'Transaction',
-          amount: debitAmount.toString(),
-          type: 'debit'
-        });
-      }
-      
-      if (creditAmount > 0) {
-        transactions.push({
-          date: date || 'N/A',
-          description: description || 'Transaction',
-          amount: creditAmount.toString(),
-          type: 'credit'
-        });
+    }
+  }
+  
+  // Convert to format expected by analyzeTransactions
+  const rows = transactions.map(t => ({
+    date: t.date,
+    description: t.description,
+    amount: t.amount,
+    type: t.type
+  }));
+  return { rows, dateHints, layout: { hasDebitColumn, hasCreditColumn } };
+}
+
+// Helper function to parse passbook/statement images using OCR.
+// images ([{ path, name }]) are the pages of one statement in page order; a
+// multi-page TIFF contributes all its pages. Each page is deskewed, binarized
+// and cropped (parsers/imagePreprocess.js, on a parser thread) before recognition.
+// Returns { rows, dateHints, pages } - passbook rows often show only day and
+// month, so full dates found anywhere (statement period, print date) are
+// returned as hints for inferring the year. pages lists each page's OCR
+// confidence.
+// options.language is the statement's language code (see parsers/ocrLanguages.js);
+// options.onProgress(fraction) is called as recognition proceeds.
+async function parseImage(images, options = {}) {
+  try {
+    const languages = languagesFor(options.language);
+    const keywords = keywordsFor(languages);
+
+    const pages = [];
+    for (const image of images) {
+      let prepared;
+      try {
+        prepared = await parserThreads.parse('imagePages', image.path);
+      } catch (imageErr) {
+        throw new Error(`${image.name} could not be read as an image (${imageErr.message})`);
       }
+      // Buffers arrive from the thread as plain Uint8Arrays
+      prepared.forEach(page => pages.push({ ...page, image: Buffer.from(page.image), file: image.name }));
     }
-    
-    // If we didn't find structured data, try a simpler approach
-    if (transactions.length === 0) {
-      for (let i = 0; i < lines.length; i++) {
-        const line = lines[i].trim();
-        if (!datePattern.test(line)) continue;
-        
-        const amounts = line.match(amountPattern);
-        if (!amounts || amounts.length === 0) continue;
-        
-        const amount = parseFloat(amounts[0].replace(/,/g, ''));
-        if (isNaN(amount) || amount <= 0) continue;
-        
-        const descLower = line.toLowerCase();
-        const isCredit = descLower.includes('credit') || descLower.includes('deposit') || 
-                        descLower.includes('interest') || descLower.includes('salary');
-        const isDebit = descLower.includes('purchase') || descLower.includes('check') || 
-                       descLower.includes('withdrawal') || descLower.includes('charge');
-        
-        transactions.push({
-          date: line.match(datePattern)[1],
-          description: line.replace(datePattern, '').replace(amountPattern, '').trim() || 'Transaction',
-          amount: amount.toString(),
-          type: isCredit ? 'credit' : (isDebit ? 'debit' : 'debit') // Default to debit
-        });
+
+    const rows = [];
+    const dateHints = [];
+    const pageResults = [];
+    let layout = null;
+    for (const [pageIndex, page] of pages.entries()) {
+      // Perform OCR on the cleaned-up page
+      const { text: rawText, confidence } = await ocrPool.recognize(page.image, {
+        lang: languages.join('+'),
+        onProgress: options.onProgress &&
+          (fraction => options.onProgress((pageIndex + fraction) / pages.length))
+      });
+
+      let pageRows = [];
+      if (rawText && rawText.trim().length > 0) {
+        // Regional scripts have their own digits; amounts and dates are matched as 0-9
+        const parsed = parseOcrText(normalizeDigits(rawText), keywords, layout);
+        pageRows = parsed.rows;
+        dateHints.push(...parsed.dateHints);
+        layout = parsed.layout;
       }
+      rows.push(...pageRows);
+
+      const pageConfidence = rawText && rawText.trim().length > 0 ? Math.round(confidence) : 0;
+      pageResults.push({
+        page: pageIndex + 1,
+        file: page.file,
+        confidence: pageConfidence,
+        lowConfidence: pageConfidence < OCR_MIN_PAGE_CONFIDENCE,
+        skewAngle: page.skewAngle,
+        transactionCount: pageRows.length
+      });
     }
-    
-    console.log(`Parsed ${transactions.length} transactions from image`);
-    console.log(`Debits: ${transactions.filter(t => t.type === 'debit').length}, Credits: ${transactions.filter(t => t.type === 'credit').length}`);
-    
-    // Convert to format expected by analyzeTransactions
-    return transactions.map(t => ({
-      date: t.date,
-      description: t.description,
-      amount: t.amount,
-      type: t.type
-    }));
-    
+
+    if (pageResults.every(p => p.confidence === 0)) {
+      throw new Error('No text could be extracted from the image. Please ensure the image is clear and contains readable text.');
+    }
+
+    console.log(`Parsed ${rows.length} transactions from ${pages.length} image page(s)`);
+    console.log(`Debits: ${rows.filter(t => t.type === 'debit').length}, Credits: ${rows.filter(t => t.type === 'credit').length}`);
+
+    return { rows, dateHints, pages: pageResults };
   } catch (error) {
     throw new Error(`Failed to parse image: ${error.message}`);
   }
@@ -417,15 +396,31 @@ async function parseImage(filePath) {
 
 // Helper function to analyze transactions
 function analyzeTransactions(data) {
-  let totalIncome = 0;
-  let totalExpenses = 0;
+  return summarizeTransactions(normalizeTransactions(data));
+}
+
+// Helper function to turn parsed rows (any column layout) into
+// { amount, type: 'income' | 'expense', description, date, balance, category,
+// narration } transactions (balance is null when the statement doesn't print
+// one; see analysis/categories.js for the categories and analysis/narration.js
+// for what is read from the narration)
+function normalizeTransactions(data) {
   const transactions = [];
 
-  // Common column names for income/expense detection (expanded list)
+  // Bank exports usually have separate Withdrawal/Deposit (Debit/Credit) columns
+  // next to a Closing Balance. Map those explicitly: the first non-empty number
+  // on such a row may be a withdrawal or the balance, neither of which is income.
+  const proposedMapping = proposeMapping(collectHeaders(data), data.slice(0, 20));
+  if (proposedMapping.debit || proposedMapping.credit) {
+    data = applyMapping(data, proposedMapping);
+  }
+
+  // Common column names for income/expense detection (expanded list).
+  // Balance columns are deliberately absent - a balance is never a transaction amount,
+  // and debit/credit columns are handled by the mapping above.
   const amountColumns = [
-    'amount', 'transaction_amount', 'amount_inr', 'value', 'balance',
-    'credit', 'debit', 'deposit', 'withdrawal', 'transaction value',
-    'amt', 'amount (inr)', 'transaction amount', 'balance amount'
+    'amount', 'transaction_amount', 'amount_inr', 'value', 'transaction value',
+    'amt', 'amount (inr)', 'transaction amount'
   ];
   const typeColumns = [
     'type', 'transaction_type', 'category', 'description', 'narration',
@@ -463,7 +458,10 @@ function analyzeTransactions(data) {
       const matchingKey = keys.find(k => k.toLowerCase().trim() === col.toLowerCase().trim());
       if (matchingKey && row[matchingKey] !== undefined && row[matchingKey] !== null && row[matchingKey] !== '') {
         type = String(row[matchingKey]).toLowerCase();
-        description = String(row[matchingKey]); // Use as description too
+        // Use as description too, unless it only says which way the money went
+        if (!/^(income|expense|credit|debit|cr|dr)$/.test(type.trim())) {
+          description = String(row[matchingKey]);
+        }
         break;
       }
     }
@@ -478,6 +476,11 @@ function analyzeTransactions(data) {
       }
     }
     
+    // Keep the printed balance (if any) for reconciliation
+    const balanceKey = Object.keys(row).find(k => k.toLowerCase().includes('balance'));
+    const parsedBalance = balanceKey ? parseAmount(row[balanceKey]) : NaN;
+    const balance = isNaN(parsedBalance) ? null : parsedBalance;
+
     // If no description found, try to get it from description column
     if (!description) {
       const descKeys = Object.keys(row).filter(k => 
@@ -493,8 +496,9 @@ function analyzeTransactions(data) {
     // If no amount found, try to find any numeric column (excluding row numbers)
     if (amount === 0) {
       for (const key in row) {
-        // Skip non-numeric looking columns
-        if (key.toLowerCase().includes('date') || key.toLowerCase().includes('id') || key.toLowerCase().includes('no')) {
+        // Skip non-numeric looking columns, and balances
+        if (key.toLowerCase().includes('date') || key.toLowerCase().includes('id') || key.toLowerCase().includes('no') ||
+            key.toLowerCase().includes('balance')) {
           continue;
         }
         const value = parseFloat(String(row[key]).replace(/,/g, ''));
@@ -509,24 +513,24 @@ function analyzeTransactions(data) {
     // Credits = Income (money coming in)
     // Debits = Expenses (money going out)
     if (row.type === 'credit' || row.type === 'debit') {
+      // Here the type column only holds the direction - the narration is in description
+      const narration = row.description ? String(row.description) : '';
       if (row.type === 'credit') {
-        // Credit is income - add to totalIncome
-        totalIncome += Math.abs(amount);
         transactions.push({
           amount: Math.abs(amount),
           type: 'income',
-          description: type || description || 'Transaction',
-          date: date || 'N/A'
+          description: narration || description || 'Transaction',
+          date: date || 'N/A',
+          balance
         });
         return; // Skip the rest of the logic for this row
       } else if (row.type === 'debit') {
-        // Debit is expense - add to totalExpenses
-        totalExpenses += Math.abs(amount);
         transactions.push({
           amount: Math.abs(amount),
           type: 'expense',
-          description: type || description || 'Transaction',
-          date: date || 'N/A'
+          description: narration || description || 'Transaction',
+          date: date || 'N/A',
+          balance
         });
         return; // Skip the rest of the logic for this row
       }
@@ -535,59 +539,74 @@ function analyzeTransactions(data) {
     // For other formats, determine if income or expense
     // Positive amounts are typically income, negative are expenses
     // But we need to be careful - check description for hints
-    const descLower = (type || description || '').toLowerCase();
-    const isExpense = descLower.includes('purchase') || descLower.includes('check') || 
-                     descLower.includes('withdrawal') || descLower.includes('charge') ||
-                     descLower.includes('debit') || descLower.includes('payment') ||
-                     descLower.includes('fee');
-    const isIncome = descLower.includes('credit') || descLower.includes('deposit') || 
-                    descLower.includes('interest') || descLower.includes('salary') ||
-                    descLower.includes('income') || descLower.includes('preauthorized');
+    const direction = narrationDirection(type || description);
+    const isExpense = direction === 'debit';
+    const isIncome = direction === 'credit';
     
     if (isExpense) {
-      totalExpenses += Math.abs(amount);
       transactions.push({
         amount: Math.abs(amount),
         type: 'expense',
-        description: type || description || 'Transaction',
-        date: date || 'N/A'
+        description: description || type || 'Transaction',
+        date: date || 'N/A',
+        balance
       });
     } else if (isIncome || amount > 0) {
-      totalIncome += Math.abs(amount);
       transactions.push({
         amount: Math.abs(amount),
         type: 'income',
-        description: type || description || 'Transaction',
-        date: date || 'N/A'
+        description: description || type || 'Transaction',
+        date: date || 'N/A',
+        balance
       });
     } else {
       // Default: negative = expense, positive = income
       if (amount < 0) {
-        totalExpenses += Math.abs(amount);
         transactions.push({
           amount: Math.abs(amount),
           type: 'expense',
-          description: type || description || 'Transaction',
-          date: date || 'N/A'
+          description: description || type || 'Transaction',
+          date: date || 'N/A',
+          balance
         });
       } else {
-        totalIncome += amount;
         transactions.push({
           amount: Math.abs(amount),
           type: 'income',
-          description: type || description || 'Transaction',
-          date: date || 'N/A'
+          description: description || type || 'Transaction',
+          date: date || 'N/A',
+          balance
         });
       }
     }
   });
 
+  return transactions.map(t => ({
+    ...t,
+    category: categorizeTransaction(t),
+    narration: parseNarration(t.description)
+  }));
+}
+
+// Helper function to compute income/expense totals and the scoring metrics
+// from normalized transactions
+function summarizeTransactions(allTransactions) {
+  // Money moved between the borrower's own accounts, wallets and deposits is
+  // neither earned nor spent; it is reported separately
+  const transactions = allTransactions.filter(t => !t.selfTransfer);
+  const totalIncome = transactions
+    .filter(t => t.type === 'income')
+    .reduce((sum, t) => sum + t.amount, 0);
+  const totalExpenses = transactions
+    .filter(t => t.type === 'expense')
+    .reduce((sum, t) => sum + t.amount, 0);
   const savings = totalIncome - totalExpenses;
   
-  // Calculate time-based metrics
-  const dateRange = transactions
-    .map(t => new Date(t.date))
-    .filter(d => !isNaN(d.getTime()));
+  // Calculate time-based metrics (dates were normalized to YYYY-MM-DD per
+  // statement; unresolved ones are skipped)
+  const dateRange = allTransactions
+    .map(t => parseIsoDate(t.date))
+    .filter(Boolean);
   
   const minDate = dateRange.length > 0 ? new Date(Math.min(...dateRange.map(d => d.getTime()))) : new Date();
   const maxDate = dateRange.length > 0 ? new Date(Math.max(...dateRange.map(d => d.getTime()))) : new Date();
@@ -603,9 +622,9 @@ function analyzeTransactions(data) {
   const monthlyData = {};
   transactions.forEach(t => {
     try {
-      const date = new Date(t.date);
-      if (!isNaN(date.getTime())) {
-        const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+      const date = parseIsoDate(t.date);
+      if (date) {
+        const monthKey = `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
         if (!monthlyData[monthKey]) {
           monthlyData[monthKey] = { income: 0, expenses: 0, count: 0 };
         }
@@ -635,23 +654,27 @@ function analyzeTransactions(data) {
     : 0;
   const spendingVolatilityScore = Math.max(0, Math.min(100, 100 - spendingVolatility)); // Lower volatility = higher score
   
-  // Emergency savings buffer (months of expenses covered)
+  // Emergency savings buffer (months of expenses covered by the money in the
+  // account). Statements with a balance column give the average daily balance;
+  // otherwise net savings over the period stand in for it.
+  const balances = summarizeBalances(allTransactions);
+  const bufferFunds = balances.available ? Math.max(balances.averageDailyBalance, 0) : savings;
   const emergencySavingsBuffer = averageMonthlyExpenses > 0 
-    ? (savings / averageMonthlyExpenses) 
+    ? (bufferFunds / averageMonthlyExpenses) 
     : 0;
   
-  // Bill payment regularity (look for recurring transactions)
-  const recurringPatterns = detectRecurringPayments(transactions);
-  const billPaymentRegularity = recurringPatterns.length > 0 ? 100 : 50;
+  // Bill payment regularity: the share of recurring payments (bills, EMIs,
+  // subscriptions) made on time. Without any, it stays at a neutral 50.
+  const recurring = detectRecurringSeries(transactions, dateRange.length > 0 ? maxDate : null);
+  const recurringPayments = recurring.filter(s => s.type === 'expense');
+  const regularity = onTimeRatio(recurringPayments);
+  const billPaymentRegularity = regularity === null ? 50 : regularity;
   
   // Account age (based on transaction date range)
   const accountAgeMonths = monthsDiff;
   
-  // Debt obligations (look for loan payments, credit card payments, etc.)
-  const debtKeywords = ['loan', 'emi', 'credit card', 'debt', 'repayment', 'installment'];
-  const debtTransactions = transactions.filter(t => 
-    debtKeywords.some(keyword => t.description.toLowerCase().includes(keyword))
-  );
+  // Debt obligations (loan EMIs, credit card payments, etc.)
+  const debtTransactions = transactions.filter(t => t.type === 'expense' && t.category === 'emi');
   const totalDebtObligations = debtTransactions.reduce((sum, t) => sum + t.amount, 0);
   const monthlyDebtObligations = totalDebtObligations / monthsDiff;
   
@@ -673,8 +696,8 @@ function analyzeTransactions(data) {
     averageMonthlyExpenses,
     savingsPerMonth,
     savingsRate,
-    transactionCount: transactions.length,
-    transactions: transactions.slice(0, 50), // Return more for analysis
+    transactionCount: allTransactions.length,
+    transactions: allTransactions.slice(0, 50), // Return more for analysis
     
     // Advanced metrics
     incomeConsistency: incomeConsistencyScore,
@@ -684,9 +707,17 @@ function analyzeTransactions(data) {
     accountAgeMonths,
     monthlyDebtObligations,
     totalDebtObligations,
+    riskEvents: summarizeRiskEvents(transactions),
+    balances,
     
     // Chart data
     monthlyBreakdown,
+    categoryTotals: summarizeCategories(transactions),
+    recurringPayments,
+    recurringIncome: recurring.filter(s => s.type === 'income'),
+    counterparties: summarizeCounterparties(transactions),
+    incomeSources: summarizeIncomeSources(transactions),
+    selfTransfers: summarizeSelfTransfers(allTransactions),
     dateRange: {
       start: minDate.toISOString(),
       end: maxDate.toISOString(),
@@ -710,177 +741,339 @@ function calculateStandardDeviation(values) {
   return Math.sqrt(avgSquaredDiff);
 }
 
-// Helper function to detect recurring payments
-function detectRecurringPayments(transactions) {
-  const patterns = {};
-  transactions.forEach(t => {
-    const desc = t.description.toLowerCase();
-    const amount = t.amount;
-    const key = `${desc}_${Math.round(amount)}`;
-    
-    if (!patterns[key]) {
-      patterns[key] = { description: t.description, amount, count: 0, dates: [] };
-    }
-    patterns[key].count++;
-    if (t.date) patterns[key].dates.push(t.date);
-  });
-  
-  // Return patterns that appear 2+ times (likely recurring)
-  return Object.values(patterns).filter(p => p.count >= 2);
-}
-
-// Helper function to check eligibility with advanced scoring
-function checkEligibility(analysis) {
-  const threshold = 10000; // ₹10,000 threshold
-  let score = 0;
-  const reasons = [];
-  const warnings = [];
-  const strengths = [];
+// Helper function to check eligibility with advanced scoring.
+// All thresholds and weights come from the active scoring policy
+// (see scoring/defaultPolicy.json) so rule changes don't need a deploy.
+// Every factor is recorded in a breakdown with the points it earned and
+// stable reason codes, so the client doesn't have to parse messages.
+function checkEligibility(analysis, policyRecord) {
+  const policy = policyRecord.policy;
+  const factors = policy.factors;
+  const threshold = policy.savingsThreshold;
+  const breakdown = [];
+
+  const reason = (code, type, message) => ({ code, type, message });
+  const addFactor = (factor, label, metric, pointsPossible, pointsEarned, reasons) => {
+    breakdown.push({ factor, label, metric, pointsPossible, pointsEarned, reasons });
+  };
   
-  // 1. Income vs Expenses (30 points)
-  if (analysis.totalIncome > analysis.totalExpenses) {
-    score += 30;
-    strengths.push('Income exceeds expenses');
-    const ratio = (analysis.totalExpenses / analysis.totalIncome) * 100;
-    if (ratio < 70) {
-      score += 5;
-      strengths.push('Low expense-to-income ratio');
-    } else if (ratio > 90) {
-      warnings.push('High expense-to-income ratio');
-    }
-  } else {
-    warnings.push('Expenses exceed income');
+  // 1. Income vs Expenses
+  {
+    const f = factors.incomeVsExpenses;
+    const ratio = analysis.totalIncome > 0 ? (analysis.totalExpenses / analysis.totalIncome) * 100 : null;
+    const reasons = [];
+    let points = 0;
+    if (analysis.totalIncome > analysis.totalExpenses) {
+      points += f.points;
+      reasons.push(reason('INCOME_EXCEEDS_EXPENSES', 'strength', 'Income exceeds expenses'));
+      if (ratio < f.lowRatioBelow) {
+        points += f.lowRatioBonus;
+        reasons.push(reason('LOW_EXPENSE_RATIO', 'strength', 'Low expense-to-income ratio'));
+      } else if (ratio > f.highRatioAbove) {
+        reasons.push(reason('HIGH_EXPENSE_RATIO', 'warning', 'High expense-to-income ratio'));
+      }
+    } else {
+      reasons.push(reason('EXPENSES_EXCEED_INCOME', 'warning', 'Expenses exceed income'));
+    }
+    addFactor('incomeVsExpenses', 'Income vs Expenses',
+      { name: 'expenseToIncomeRatio', value: ratio, unit: '%' },
+      f.points + f.lowRatioBonus, points, reasons);
   }
   
-  // 2. Monthly Savings (25 points)
-  if (analysis.savingsPerMonth > threshold) {
-    score += 25;
-    strengths.push(`Monthly savings (₹${analysis.savingsPerMonth.toFixed(2)}) exceeds threshold`);
-  } else if (analysis.savingsPerMonth > 0) {
-    score += 10;
-    warnings.push(`Monthly savings (₹${analysis.savingsPerMonth.toFixed(2)}) below threshold`);
-  } else {
-    warnings.push('Negative monthly savings');
+  // 2. Monthly Savings
+  {
+    const f = factors.monthlySavings;
+    const savings = analysis.savingsPerMonth;
+    let points = 0;
+    let r;
+    if (savings > threshold) {
+      points = f.aboveThresholdPoints;
+      r = reason('SAVINGS_ABOVE_THRESHOLD', 'strength', `Monthly savings (₹${savings.toFixed(2)}) exceeds threshold`);
+    } else if (savings > 0) {
+      points = f.positivePoints;
+      r = reason('SAVINGS_BELOW_THRESHOLD', 'warning', `Monthly savings (₹${savings.toFixed(2)}) below threshold`);
+    } else {
+      r = reason('NEGATIVE_SAVINGS', 'warning', 'Negative monthly savings');
+    }
+    addFactor('monthlySavings', 'Monthly Savings',
+      { name: 'savingsPerMonth', value: savings, unit: 'INR' },
+      f.aboveThresholdPoints, points, [r]);
   }
   
-  // 3. Savings Rate (15 points)
-  if (analysis.savingsRate >= 20) {
-    score += 15;
-    strengths.push(`High savings rate (${analysis.savingsRate.toFixed(1)}%)`);
-  } else if (analysis.savingsRate >= 10) {
-    score += 10;
-    strengths.push(`Moderate savings rate (${analysis.savingsRate.toFixed(1)}%)`);
-  } else if (analysis.savingsRate > 0) {
-    score += 5;
-    warnings.push(`Low savings rate (${analysis.savingsRate.toFixed(1)}%)`);
+  // 3. Savings Rate
+  {
+    const f = factors.savingsRate;
+    const rate = analysis.savingsRate;
+    let points = 0;
+    let r;
+    if (rate >= f.high.min) {
+      points = f.high.points;
+      r = reason('HIGH_SAVINGS_RATE', 'strength', `High savings rate (${rate.toFixed(1)}%)`);
+    } else if (rate >= f.moderate.min) {
+      points = f.moderate.points;
+      r = reason('MODERATE_SAVINGS_RATE', 'strength', `Moderate savings rate (${rate.toFixed(1)}%)`);
+    } else if (rate > 0) {
+      points = f.lowPoints;
+      r = reason('LOW_SAVINGS_RATE', 'warning', `Low savings rate (${rate.toFixed(1)}%)`);
+    } else {
+      r = reason('NO_SAVINGS_RATE', 'warning', `No savings (${rate.toFixed(1)}% savings rate)`);
+    }
+    addFactor('savingsRate', 'Savings Rate',
+      { name: 'savingsRate', value: rate, unit: '%' },
+      f.high.points, points, [r]);
   }
   
-  // 4. Income Consistency (10 points)
-  if (analysis.incomeConsistency >= 80) {
-    score += 10;
-    strengths.push('Very consistent income pattern');
-  } else if (analysis.incomeConsistency >= 60) {
-    score += 7;
-    strengths.push('Moderately consistent income');
-  } else if (analysis.incomeConsistency >= 40) {
-    score += 4;
-    warnings.push('Irregular income pattern');
-  } else {
-    warnings.push('Highly irregular income');
+  // 4. Income Consistency: the share-weighted stability of the borrower's
+  // income streams, weighted by the kind of income it is (a steady month of
+  // gig payouts is less certain than a steady salary). Analyses stored before
+  // income sources were classified fall back to the monthly totals' consistency.
+  {
+    const f = factors.incomeConsistency;
+    const sources = analysis.incomeSources;
+    const fromSources = Boolean(sources && typeof sources.stability === 'number');
+    const value = fromSources ? sources.stability : analysis.incomeConsistency;
+    let points = 0;
+    let r;
+    if (value >= f.high.min) {
+      points = f.high.points;
+      r = reason('CONSISTENT_INCOME', 'strength', 'Very consistent income pattern');
+    } else if (value >= f.moderate.min) {
+      points = f.moderate.points;
+      r = reason('MODERATELY_CONSISTENT_INCOME', 'strength', 'Moderately consistent income');
+    } else if (value >= f.low.min) {
+      points = f.low.points;
+      r = reason('IRREGULAR_INCOME', 'warning', 'Irregular income pattern');
+    } else {
+      r = reason('HIGHLY_IRREGULAR_INCOME', 'warning', 'Highly irregular income');
+    }
+    const reasons = [r];
+    if (sources && sources.archetype) {
+      const weight = policy.incomeSources.archetypeWeights[sources.archetype];
+      points = Math.round(points * weight);
+      reasons.push(reason(ARCHETYPES[sources.archetype].code, weight < 1 ? 'warning' : 'neutral',
+        `${sources.archetypeLabel} income${weight < 1 ? ` (consistency points weighted ${weight})` : ''}, ` +
+        `source stability ${sources.stability}/100`));
+    }
+    addFactor('incomeConsistency', 'Income Consistency',
+      { name: fromSources ? 'incomeSourceStability' : 'incomeConsistency', value, unit: 'score' },
+      f.high.points, points, reasons);
   }
   
-  // 5. Spending Volatility (10 points)
-  if (analysis.spendingVolatility >= 80) {
-    score += 10;
-    strengths.push('Stable spending patterns');
-  } else if (analysis.spendingVolatility >= 60) {
-    score += 7;
-    strengths.push('Moderately stable spending');
-  } else {
-    warnings.push('High spending volatility');
+  // 5. Spending Volatility
+  {
+    const f = factors.spendingVolatility;
+    const value = analysis.spendingVolatility;
+    let points = 0;
+    let r;
+    if (value >= f.high.min) {
+      points = f.high.points;
+      r = reason('STABLE_SPENDING', 'strength', 'Stable spending patterns');
+    } else if (value >= f.moderate.min) {
+      points = f.moderate.points;
+      r = reason('MODERATELY_STABLE_SPENDING', 'strength', 'Moderately stable spending');
+    } else {
+      r = reason('VOLATILE_SPENDING', 'warning', 'High spending volatility');
+    }
+    addFactor('spendingVolatility', 'Spending Stability',
+      { name: 'spendingVolatility', value, unit: 'score' },
+      f.high.points, points, [r]);
   }
   
-  // 6. Emergency Savings Buffer (10 points)
-  if (analysis.emergencySavingsBuffer >= 6) {
-    score += 10;
-    strengths.push(`Strong emergency buffer (${analysis.emergencySavingsBuffer.toFixed(1)} months)`);
-  } else if (analysis.emergencySavingsBuffer >= 3) {
-    score += 7;
-    strengths.push(`Adequate emergency buffer (${analysis.emergencySavingsBuffer.toFixed(1)} months)`);
-  } else if (analysis.emergencySavingsBuffer > 0) {
-    score += 4;
-    warnings.push(`Low emergency buffer (${analysis.emergencySavingsBuffer.toFixed(1)} months)`);
-  } else {
-    warnings.push('No emergency savings buffer');
+  // 6. Emergency Savings Buffer
+  {
+    const f = factors.emergencySavingsBuffer;
+    const months = analysis.emergencySavingsBuffer;
+    let points = 0;
+    let r;
+    if (months >= f.strong.min) {
+      points = f.strong.points;
+      r = reason('STRONG_EMERGENCY_BUFFER', 'strength', `Strong emergency buffer (${months.toFixed(1)} months)`);
+    } else if (months >= f.adequate.min) {
+      points = f.adequate.points;
+      r = reason('ADEQUATE_EMERGENCY_BUFFER', 'strength', `Adequate emergency buffer (${months.toFixed(1)} months)`);
+    } else if (months > 0) {
+      points = f.lowPoints;
+      r = reason('LOW_EMERGENCY_BUFFER', 'warning', `Low emergency buffer (${months.toFixed(1)} months)`);
+    } else {
+      r = reason('NO_EMERGENCY_BUFFER', 'warning', 'No emergency savings buffer');
+    }
+    addFactor('emergencySavingsBuffer', 'Emergency Buffer',
+      { name: 'emergencySavingsBuffer', value: months, unit: 'months' },
+      f.strong.points, points, [r]);
   }
   
-  // 7. Bill Payment Regularity (5 points)
-  if (analysis.billPaymentRegularity >= 80) {
-    score += 5;
-    strengths.push('Regular bill payments detected');
-  } else {
-    score += 2;
+  // 7. Bill Payment Regularity
+  {
+    const f = factors.billPaymentRegularity;
+    const value = analysis.billPaymentRegularity;
+    let points;
+    let r;
+    const recurringPayments = analysis.recurringPayments || [];
+    if (recurringPayments.length > 0 && value >= f.regular.min) {
+      points = f.regular.points;
+      r = reason('REGULAR_BILL_PAYMENTS', 'strength',
+        `${recurringPayments.length} recurring payment(s) made on time ${value.toFixed(0)}% of the time`);
+    } else if (recurringPayments.length > 0) {
+      points = f.defaultPoints;
+      const missed = recurringPayments.reduce((sum, p) => sum + p.missed, 0);
+      const late = recurringPayments.reduce((sum, p) => sum + p.late, 0);
+      r = reason('IRREGULAR_BILL_PAYMENTS', 'warning',
+        `Recurring payments made on time only ${value.toFixed(0)}% of the time (${late} late, ${missed} missed)`);
+    } else {
+      points = f.defaultPoints;
+      r = reason('NO_REGULAR_BILL_PAYMENTS', 'neutral', 'No regular bill payments detected');
+    }
+    addFactor('billPaymentRegularity', 'Bill Payment Regularity',
+      { name: 'billPaymentRegularity', value, unit: 'score' },
+      Math.max(f.regular.points, f.defaultPoints), points, [r]);
   }
   
-  // 8. Account Age (5 points)
-  if (analysis.accountAgeMonths >= 12) {
-    score += 5;
-    strengths.push(`Long account history (${Math.round(analysis.accountAgeMonths)} months)`);
-  } else if (analysis.accountAgeMonths >= 6) {
-    score += 3;
-    strengths.push(`Moderate account history (${Math.round(analysis.accountAgeMonths)} months)`);
-  } else {
-    warnings.push(`Short account history (${Math.round(analysis.accountAgeMonths)} months)`);
+  // 8. Account Age
+  {
+    const f = factors.accountAgeMonths;
+    const months = analysis.accountAgeMonths;
+    let points = 0;
+    let r;
+    if (months >= f.long.min) {
+      points = f.long.points;
+      r = reason('LONG_ACCOUNT_HISTORY', 'strength', `Long account history (${Math.round(months)} months)`);
+    } else if (months >= f.moderate.min) {
+      points = f.moderate.points;
+      r = reason('MODERATE_ACCOUNT_HISTORY', 'strength', `Moderate account history (${Math.round(months)} months)`);
+    } else {
+      r = reason('SHORT_ACCOUNT_HISTORY', 'warning', `Short account history (${Math.round(months)} months)`);
+    }
+    addFactor('accountAgeMonths', 'Account Age',
+      { name: 'accountAgeMonths', value: months, unit: 'months' },
+      f.long.points, points, [r]);
   }
   
-  // 9. Debt Obligations (penalty)
-  if (analysis.monthlyDebtObligations > 0) {
-    const debtRatio = (analysis.monthlyDebtObligations / analysis.averageMonthlyIncome) * 100;
-    if (debtRatio > 40) {
-      score -= 15;
-      warnings.push(`High debt obligations (${debtRatio.toFixed(1)}% of income)`);
-    } else if (debtRatio > 20) {
-      score -= 8;
-      warnings.push(`Moderate debt obligations (${debtRatio.toFixed(1)}% of income)`);
+  // 9. Debt Obligations (penalty only - nothing to earn, points go negative)
+  {
+    const f = factors.debtObligations;
+    let points = 0;
+    let debtRatio = 0;
+    let r;
+    if (analysis.monthlyDebtObligations > 0) {
+      debtRatio = (analysis.monthlyDebtObligations / analysis.averageMonthlyIncome) * 100;
+      if (debtRatio > f.high.above) {
+        points = -f.high.penalty;
+        r = reason('HIGH_DEBT_BURDEN', 'warning', `High debt obligations (${debtRatio.toFixed(1)}% of income)`);
+      } else if (debtRatio > f.moderate.above) {
+        points = -f.moderate.penalty;
+        r = reason('MODERATE_DEBT_BURDEN', 'warning', `Moderate debt obligations (${debtRatio.toFixed(1)}% of income)`);
+      } else {
+        r = reason('LOW_DEBT_BURDEN', 'strength', `Low debt obligations (${debtRatio.toFixed(1)}% of income)`);
+      }
     } else {
-      strengths.push(`Low debt obligations (${debtRatio.toFixed(1)}% of income)`);
+      r = reason('NO_DEBT_OBLIGATIONS', 'neutral', 'No debt repayments detected');
+    }
+    addFactor('debtObligations', 'Debt Obligations',
+      { name: 'debtToIncomeRatio', value: debtRatio, unit: '%' },
+      0, points, [r]);
+  }
+
+  // 10. Bounces & Penalties (penalty only, per event, up to the policy's cap)
+  {
+    const f = policy.riskEvents;
+    const events = analysis.riskEvents || { count: 0, byType: [] };
+    const reasons = [];
+    let penalty = 0;
+    events.byType.forEach(entry => {
+      const type = RISK_EVENT_TYPES.find(e => e.id === entry.type);
+      const perEvent = f.penalties[entry.type];
+      // An analysis stored before an event type was dropped can name one that
+      // neither the detector nor the policy knows any more
+      if (!type || typeof perEvent !== 'number') return;
+      penalty += entry.count * perEvent;
+      reasons.push(reason(type.code, 'warning', `${type.label}: ${entry.count} in ${entry.months} month(s)`));
+    });
+    if (reasons.length === 0) {
+      reasons.push(reason('NO_RISK_EVENTS', 'strength', 'No bounces, returns or penalty charges'));
     }
+    addFactor('riskEvents', 'Bounces & Penalties',
+      { name: 'riskEventCount', value: events.count, unit: 'events' },
+      0, -Math.min(penalty, f.maxPenalty), reasons);
   }
+
+  let score = breakdown.reduce((sum, item) => sum + item.pointsEarned, 0);
+  const allReasons = breakdown.reduce((list, item) => list.concat(item.reasons), []);
+  const strengths = allReasons.filter(r => r.type === 'strength').map(r => r.message);
+  const warnings = allReasons.filter(r => r.type === 'warning').map(r => r.message);
   
   // Final score adjustment
   score = Math.max(0, Math.min(100, score));
   
+  // Statements whose own running balance contradicts the parsed rows can't be
+  // scored reliably, so they go to a person instead of being auto-decided
+  const reconciliation = analysis.reconciliation;
+  const reconciliationFailed = Boolean(reconciliation && reconciliation.score !== null &&
+    reconciliation.checked >= policy.reconciliation.minCheckedRows &&
+    reconciliation.score < policy.reconciliation.minScore);
+  if (reconciliationFailed) {
+    const r = reason('BALANCE_RECONCILIATION_FAILED', 'warning',
+      `Only ${reconciliation.score.toFixed(1)}% of transactions match the statement balance - manual review required`);
+    allReasons.unshift(r);
+    warnings.unshift(r.message);
+  }
+
+  // Unusual credits still counted as income need a reviewer to accept them
+  // before the application can be decided automatically
+  const findings = analysis.anomalies ? analysis.anomalies.findings : [];
+  const counted = findings.filter(f => !f.excluded && f.incomeAmount > 0);
+  const unreviewedCredits = counted.length > 0 && !analysis.anomalies.reviewedBy;
+  if (counted.length > 0) {
+    const income = counted.reduce((sum, f) => sum + f.incomeAmount, 0);
+    const r = reason('UNUSUAL_CREDITS_COUNTED', 'warning',
+      `${counted.length} unusual credit(s) totalling ₹${income.toFixed(2)} counted as income` +
+      (unreviewedCredits ? ' - manual review required' : ''));
+    allReasons.push(r);
+    warnings.push(r.message);
+  }
+  const needsManualReview = reconciliationFailed || unreviewedCredits;
+  if (findings.some(f => f.excluded)) {
+    allReasons.push(reason('UNUSUAL_CREDITS_EXCLUDED', 'neutral',
+      `${findings.filter(f => f.excluded).length} unusual transaction(s) left out of scoring`));
+  }
+
   // Eligibility determination
-  const eligible = score >= 60 && 
+  const eligible = !needsManualReview &&
+                   score >= policy.approval.minScore && 
                    analysis.savingsPerMonth > threshold && 
                    analysis.totalIncome > analysis.totalExpenses &&
-                   analysis.savingsRate > 5;
+                   analysis.savingsRate > policy.approval.minSavingsRate;
+  const decision = needsManualReview ? 'manual_review' : eligible ? 'approved' : 'rejected';
   
   // Calculate recommended loan amount
-  const baseAmount = analysis.savingsPerMonth * 3;
+  const baseAmount = analysis.savingsPerMonth * policy.loan.savingsMultiple;
   const scoreMultiplier = score / 100;
-  const recommendedAmount = Math.min(baseAmount * scoreMultiplier, 100000);
+  const recommendedAmount = Math.min(baseAmount * scoreMultiplier, policy.loan.maxAmount);
   const maxLoanAmount = Math.max(recommendedAmount, 0);
   
   // Risk level
   let riskLevel = 'low';
-  if (score < 40) riskLevel = 'high';
-  else if (score < 60) riskLevel = 'medium';
-  else if (score < 80) riskLevel = 'low';
+  if (score < policy.riskLevels.highBelow) riskLevel = 'high';
+  else if (score < policy.riskLevels.mediumBelow) riskLevel = 'medium';
+  else if (score < policy.riskLevels.lowBelow) riskLevel = 'low';
   else riskLevel = 'very-low';
   
   return {
     eligible,
+    decision,
     score: Math.round(score),
     riskLevel,
+    policyVersion: policyRecord.version,
     reasons: eligible ? strengths : warnings.length > 0 ? warnings : ['Insufficient criteria met'],
     strengths,
     warnings,
+    reasonCodes: allReasons.map(r => r.code),
+    breakdown,
     recommendedLoanAmount: eligible ? Math.round(recommendedAmount) : 0,
     maxLoanAmount: Math.round(maxLoanAmount),
     metrics: {
       savingsRate: analysis.savingsRate,
-      incomeConsistency: analysis.incomeConsistency,
+      // The figure the Income Consistency factor was scored from
+      incomeConsistency: breakdown.find(item => item.factor === 'incomeConsistency').metric.value,
       spendingVolatility: analysis.spendingVolatility,
       emergencySavingsBuffer: analysis.emergencySavingsBuffer,
       billPaymentRegularity: analysis.billPaymentRegularity,
@@ -908,6 +1101,14 @@ function authenticateToken(req, res, next) {
   });
 }
 
+// Admin middleware (use after authenticateToken)
+function requireAdmin(req, res, next) {
+  if (!req.user || !ADMIN_EMAILS.includes(String(req.user.email).toLowerCase())) {
+    return res.status(403).json({ error: 'Admin access required' });
+  }
+  next();
+}
+
 // Routes
 
 // Register
@@ -920,7 +1121,7 @@ app.post('/api/register', async (req, res) => {
     }
 
     // Check if user exists
-    if (users.find(u => u.email === email)) {
+    if (await db.findUserByEmail(email)) {
       return res.status(400).json({ error: 'User already exists' });
     }
 
@@ -935,7 +1136,7 @@ app.post('/api/register', async (req, res) => {
       name: name || email
     };
 
-    users.push(user);
+    await db.createUser(user);
 
     // Generate token
     const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
@@ -960,7 +1161,7 @@ app.post('/api/login', async (req, res) => {
     }
 
     // Find user
-    const user = users.find(u => u.email === email);
+    const user = await db.findUserByEmail(email);
     if (!user) {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
@@ -984,109 +1185,1045 @@ app.post('/api/login', async (req, res) => {
   }
 });
 
-// Upload and analyze statement
-app.post('/api/upload', authenticateToken, (req, res, next) => {
-  upload.single('statement')(req, res, (err) => {
+// Helper function to parse one uploaded statement based on its content and extension.
+// Returns { rows, template, accountNumber } (template/accountNumber are set for
+// PDFs and bank exports), plus per-page OCR results (pages) for images.
+// Account Aggregator FI files return { accounts: [...] }, one statement per account.
+// CSV/Excel results are flagged `tabular`: their rows still have the file's own
+// column names and go through column mapping before analysis.
+async function parseStatementFile(file, options = {}) {
+  const fileExt = path.extname(file.originalname).toLowerCase();
+
+  // AA FI data and OFX/MT940/CAMT.053 exports are recognised by content whatever they're named
+  if (!file.pages && await detectFiData(file.path)) {
+    return parserThreads.parse('fiData', file.path);
+  }
+  if (!file.pages && await detectBankExport(file.path)) {
+    return parserThreads.parse('bankExport', file.path);
+  }
+
+  if (fileExt === '.csv') {
+    return { rows: await parserThreads.parse('csv', file.path), template: null, accountNumber: null, tabular: true };
+  } else if (fileExt === '.xlsx' || fileExt === '.xls') {
+    return { rows: await parserThreads.parse('excel', file.path), template: null, accountNumber: null, tabular: true };
+  } else if (fileExt === '.pdf') {
+    return parserThreads.parse('pdf', file.path, { password: options.password });
+  } else if (IMAGE_EXTENSIONS.includes(fileExt)) {
+    // Image files - use OCR. Grouped photos are the pages of one statement.
+    const images = (file.pages || [file]).map(page => ({ path: page.path, name: page.originalname }));
+    const { rows, dateHints, pages } = await parseImage(images, {
+      language: options.language,
+      onProgress: options.onProgress
+    });
+    return { rows, template: null, accountNumber: null, dateHints, pages };
+  }
+
+  const err = new Error(BANK_EXPORT_EXTENSIONS.includes(fileExt) || AA_FI_EXTENSIONS.includes(fileExt)
+    ? `${file.originalname} is not an OFX, QFX, MT940, CAMT.053 or Account Aggregator statement`
+    : `Unsupported file format: ${fileExt}`);
+  err.code = 'UNSUPPORTED_FORMAT';
+  throw err;
+}
+
+// Helper function to work out which account a statement belongs to.
+// Files of the same account are de-duplicated against each other when merged.
+// Without an account number there is no telling two files' accounts apart,
+// so each such file is an account of its own rather than risk de-duplicating
+// real transactions from different banks against each other.
+function identifyAccount(parsed, fileName) {
+  // Generic PDFs and bank exports don't tell us the bank, only the account
+  // number; AA data names it separately (parsed.bank, from the IFSC code)
+  const bank = parsed.bank || (
+    parsed.template && parsed.template.id !== 'generic' && parsed.template.id !== 'aa' &&
+    !BANK_EXPORT_FORMATS[parsed.template.id] ? parsed.template : null
+  );
+  if (!parsed.accountNumber) {
+    return { accountId: `file-${fileName}`, label: bank ? `${bank.name} (${fileName})` : fileName };
+  }
+  return {
+    accountId: `${bank ? bank.id : 'bank'}-${parsed.accountNumber}`,
+    label: `${bank ? bank.name : 'Account'} ••${parsed.accountNumber}`
+  };
+}
+
+// Helper function to read the optional "mappings" form field:
+// a JSON object of { [fileName]: mapping } confirmed in the column-mapping step
+function readSuppliedMappings(body) {
+  if (!body.mappings) return {};
+  try {
+    const mappings = JSON.parse(body.mappings);
+    return mappings && typeof mappings === 'object' ? mappings : {};
+  } catch (error) {
+    const err = new Error('mappings must be a JSON object keyed by file name');
+    err.code = 'INVALID_MAPPING';
+    throw err;
+  }
+}
+
+// Helper function to map CSV/Excel rows onto our columns.
+// A mapping the user just confirmed wins and is remembered for this header
+// layout; otherwise a previously confirmed mapping for the same layout is
+// reused. Without either, rows are left for analyzeTransactions' own guessing.
+async function mapTabularRows(userId, fileName, rows, suppliedMapping) {
+  const headers = collectHeaders(rows);
+  const signature = headerSignature(headers);
+
+  if (suppliedMapping) {
+    const errors = validateMapping(suppliedMapping, headers);
+    if (errors.length > 0) {
+      const err = new Error(`Invalid column mapping for ${fileName}: ${errors.join('; ')}`);
+      err.code = 'INVALID_MAPPING';
+      throw err;
+    }
+    await db.saveColumnMapping({
+      userId,
+      signature,
+      headers,
+      mapping: suppliedMapping,
+      updatedAt: new Date().toISOString()
+    });
+    return { rows: applyMapping(rows, suppliedMapping), mapping: suppliedMapping, mappingSource: 'confirmed' };
+  }
+
+  const saved = await db.findColumnMapping(userId, signature);
+  if (saved) {
+    return { rows: applyMapping(rows, saved.mapping), mapping: saved.mapping, mappingSource: 'saved' };
+  }
+
+  return { rows, mapping: null, mappingSource: 'automatic' };
+}
+
+// Upload limits
+const MAX_STATEMENT_FILES = 10;
+
+// Multer middleware shared by the upload and preview routes.
+// Accepts one file as "statement" or several as "statements".
+function acceptStatementFiles(req, res, next) {
+  upload.fields([
+    { name: 'statement', maxCount: 1 },
+    { name: 'statements', maxCount: MAX_STATEMENT_FILES }
+  ])(req, res, (err) => {
     if (err) {
       // Handle multer errors
       if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
           return res.status(400).json({ error: 'File size too large. Maximum size is 10MB' });
         }
+        if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+          return res.status(400).json({ error: `Too many files. Upload at most ${MAX_STATEMENT_FILES} statements at once` });
+        }
         return res.status(400).json({ error: err.message });
       }
       return res.status(400).json({ error: err.message });
     }
     next();
   });
-}, async (req, res) => {
+}
+
+// Helper function to list the files multer accepted, in upload order
+function uploadedFiles(req) {
+  return [
+    ...((req.files && req.files.statement) || []),
+    ...((req.files && req.files.statements) || [])
+  ];
+}
+
+// Helper function to delete uploaded files once a request is done with them
+function removeUploadedFiles(files) {
+  files.forEach(file => {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  });
+}
+
+// Preview CSV/Excel statements before upload: detected headers, sample rows
+// and the proposed (or previously confirmed) column mapping for each file
+app.post('/api/upload/preview', authenticateToken, acceptStatementFiles, async (req, res) => {
+  const files = uploadedFiles(req);
+
   try {
-    if (!req.file) {
+    if (files.length === 0) {
       return res.status(400).json({ error: 'No file uploaded. Please select a file.' });
     }
 
-    const filePath = req.file.path;
-    const fileExt = path.extname(req.file.originalname).toLowerCase();
-    let data = [];
+    const previews = [];
+    for (const file of files) {
+      const fileExt = path.extname(file.originalname).toLowerCase();
+      if (!['.csv', '.xlsx', '.xls'].includes(fileExt) || await detectBankExport(file.path)) {
+        previews.push({ name: file.originalname, tabular: false });
+        continue;
+      }
 
-    // Parse file based on extension
-    let parseError = null;
-    try {
-      if (fileExt === '.csv') {
-        data = await parseCSV(filePath);
-      } else if (fileExt === '.xlsx' || fileExt === '.xls') {
-        data = await parseExcel(filePath);
-      } else if (fileExt === '.pdf') {
-        data = await parsePDF(filePath);
-      } else if (['.jpg', '.jpeg', '.png', '.gif', '.bmp', '.webp'].includes(fileExt)) {
-        // Image files - use OCR
-        data = await parseImage(filePath);
-      } else {
-        fs.unlinkSync(filePath);
-        return res.status(400).json({ error: `Unsupported file format: ${fileExt}` });
+      let rows;
+      try {
+        rows = await parserThreads.parse(fileExt === '.csv' ? 'csv' : 'excel', file.path);
+      } catch (parseErr) {
+        return res.status(400).json({
+          error: `Failed to parse ${file.originalname}: ${parseErr.message}`,
+          file: file.originalname
+        });
       }
+
+      const headers = collectHeaders(rows);
+      const signature = headerSignature(headers);
+      const saved = await db.findColumnMapping(req.user.id, signature);
+
+      previews.push({
+        name: file.originalname,
+        tabular: true,
+        headers,
+        sampleRows: rows.slice(0, 5),
+        signature,
+        mapping: saved ? saved.mapping : proposeMapping(headers, rows.slice(0, 20)),
+        mappingSource: saved ? 'saved' : 'proposed'
+      });
+    }
+
+    res.json({ files: previews });
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(500).json({ error: error.message || 'Failed to preview file' });
+  } finally {
+    removeUploadedFiles(files);
+  }
+});
+
+// Helper function to build an upload failure that the job status reports as-is
+function uploadFailure(message, code, file) {
+  const err = new Error(message);
+  if (code) err.code = code;
+  if (file) err.file = file;
+  return err;
+}
+
+// Helper function to read the optional "imageGroups" form field: a JSON list
+// with one list of image file names per passbook or statement, in page order
+function readImageGroups(body) {
+  if (!body.imageGroups) return null;
+  let groups;
+  try {
+    groups = JSON.parse(body.imageGroups);
+  } catch (error) {
+    groups = null;
+  }
+  if (!Array.isArray(groups) || !groups.every(group =>
+    Array.isArray(group) && group.length > 0 && group.every(name => typeof name === 'string'))) {
+    const err = new Error('imageGroups must be a JSON list of lists of image file names');
+    err.code = 'INVALID_IMAGE_GROUPS';
+    throw err;
+  }
+  return groups;
+}
+
+// Helper function to group uploaded files into statements. Images are pages
+// of passbooks/statements: imageGroups (see readImageGroups) says which pages
+// belong together; without it every image is a page of one statement, in
+// upload order. Each statement stands in the list where its first page was.
+// Grouped pages are returned as one file-like entry ({ originalname, pages: [files] }).
+function groupStatementFiles(files, imageGroups = null) {
+  const images = files.filter(file => IMAGE_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase()));
+  const groups = imageGroups
+    ? imageGroups.map(names => names.map(name => images.find(file => file.originalname === name)))
+    : [images];
+  const listed = groups.flat();
+  if (listed.some(file => !file) || new Set(listed).size !== listed.length || listed.length !== images.length) {
+    const err = new Error('imageGroups must list every uploaded image exactly once');
+    err.code = 'INVALID_IMAGE_GROUPS';
+    throw err;
+  }
+
+  const statements = new Map(groups.filter(group => group.length > 0).map(group => [
+    group[0],
+    group.length > 1 ? { originalname: group.map(f => f.originalname).join(' + '), pages: group } : group[0]
+  ]));
+  return files
+    .filter(file => !images.includes(file) || statements.has(file))
+    .map(file => statements.get(file) || file);
+}
+
+// Helper function to turn one parsed statement into an analysis source:
+// normalized, dated and reconciled transactions plus what we learned about
+// the statement along the way
+function buildStatementSource(name, parsed, columnMapping = null) {
+  // Dates are read per statement so one file's day/month order can't leak into another
+  const dated = normalizeStatementDates(normalizeTransactions(parsed.rows), { hints: parsed.dateHints });
+  if (dated.unresolved.length > 0) {
+    console.log(`${dated.unresolved.length} unresolved date(s) in ${name}`);
+  }
+
+  // Check the parsed rows against the statement's own running balance
+  const reconciled = reconcileBalances(dated.transactions);
+  if (reconciled.reconciliation.failed > 0) {
+    console.log(`${reconciled.reconciliation.failed} row(s) in ${name} don't match the running balance`);
+  }
+
+  const account = identifyAccount(parsed, name);
+  return {
+    fileName: name,
+    template: parsed.template,
+    columnMapping,
+    accountId: account.accountId,
+    accountLabel: account.label,
+    transactions: reconciled.transactions,
+    dates: dated,
+    reconciliation: reconciled.reconciliation,
+    pages: parsed.pages || null,
+    // Account Aggregator data also describes the account itself
+    holder: parsed.holder || null,
+    balanceSummary: parsed.summary || null
+  };
+}
+
+// Helper function to read the borrower's own names from their account, to
+// recognise transfers to themselves. The name comes from the stored user
+// rather than the request, so a borrower can't have other people's payments
+// treated as their own. Accounts registered without a name hold the email.
+async function accountHolderNames(tokenUser) {
+  const user = await db.findUserByEmail(tokenUser.email);
+  return user && user.name && user.name !== user.email ? [user.name] : [];
+}
+
+// Helper function to analyze a user's statement sources and store the result.
+// ownNames are the borrower's names, used to spot transfers to themselves;
+// extra is merged into the stored upload record (e.g. the AA consent it came from).
+async function saveStatementAnalysis(userId, fileName, sources, ownNames, extra = {}) {
+  // Analyze the combined history, plus a summary per account
+  const merged = mergeStatements(sources);
+  // Account holders reported with the statements (by an Account Aggregator) are the borrower too
+  const holderNames = sources.flatMap(source => (source.holder && source.holder.names) || []);
+  markSelfTransfers(merged.transactions, { ownNames: [...ownNames, ...holderNames] });
+  const analysis = summarizeTransactions(merged.transactions);
+  analysis.duplicatesRemoved = merged.duplicatesRemoved;
+  // Dates we couldn't read are left out of the monthly metrics; say which
+  const unresolvedDates = sources.flatMap(source =>
+    source.dates.unresolved.map(u => ({ file: source.fileName, row: u.index + 1, value: u.value }))
+  );
+  analysis.unresolvedDates = {
+    count: unresolvedDates.length,
+    examples: unresolvedDates.slice(0, 10)
+  };
+  analysis.reconciliation = combineReconciliations(sources);
+  analysis.anomalies = {
+    findings: detectAnomalies(merged.transactions, { recurringIncome: analysis.recurringIncome })
+      .map(finding => ({ ...finding, excluded: false })),
+    excludedIncome: 0,
+    excludedExpenses: 0,
+    reviewedBy: null
+  };
+  analysis.accounts = merged.accounts.map(account => {
+    const summary = summarizeTransactions(account.transactions);
+    const described = sources.find(source => source.accountId === account.accountId && source.holder);
+    return {
+      accountId: account.accountId,
+      label: account.label,
+      files: account.files,
+      transactionCount: summary.transactionCount,
+      totalIncome: summary.totalIncome,
+      totalExpenses: summary.totalExpenses,
+      dateRange: summary.dateRange,
+      holder: described ? described.holder : null,
+      currentBalance: described ? described.balanceSummary.currentBalance : null,
+      averageDailyBalance: summary.balances.available ? summary.balances.averageDailyBalance : null
+    };
+  });
+
+  const fileSummaries = sources.map(source => ({
+    name: source.fileName,
+    template: source.template,
+    columnMapping: source.columnMapping,
+    accountId: source.accountId,
+    transactionCount: source.transactions.length,
+    dates: {
+      dayOrder: source.dates.dayOrder,
+      yearsInferred: source.dates.yearsInferred,
+      unresolved: source.dates.unresolved.length
+    },
+    reconciliationScore: source.reconciliation.score,
+    pages: source.pages,
+    holder: source.holder,
+    balanceSummary: source.balanceSummary
+  }));
+  // Single-file uploads keep reporting the PDF template at the top level
+  const template = sources.length === 1 ? sources[0].template : null;
+
+  // Keep the analysis on the server so eligibility is scored from what we
+  // computed, not from whatever the client sends back. The transactions are
+  // kept too, so the analysis can be redone without anomalous ones.
+  const id = crypto.randomUUID();
+  await db.saveUploadTransactions(id, merged.transactions);
+  return db.createUpload({
+    id,
+    userId,
+    fileName,
+    files: fileSummaries,
+    template,
+    analysis,
+    ...extra,
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Helper function to load the transactions an upload was analyzed from.
+// Uploads stored before they were kept apart carry them inline; ones from
+// before anomaly detection have none (undefined).
+async function loadUploadTransactions(uploadRecord) {
+  return uploadRecord.transactions || db.findUploadTransactions(uploadRecord.id);
+}
+
+// Helper function to redo an upload's analysis without the anomaly findings
+// listed in findingIds. Per-account summaries and statement checks stay as
+// they were; only the scored metrics change. reviewedBy names the reviewer
+// who chose the findings, if one did.
+function excludeAnomalies(uploadRecord, transactions, findingIds, reviewedBy = null) {
+  const analysis = uploadRecord.analysis;
+  const findings = analysis.anomalies.findings.map(finding => ({
+    ...finding,
+    excluded: findingIds.includes(finding.id)
+  }));
+  const excluded = findings.filter(finding => finding.excluded);
+  const indexes = new Set(excluded.flatMap(finding => finding.transactionIndexes));
+
+  return {
+    ...analysis,
+    ...summarizeTransactions(transactions.filter((t, index) => !indexes.has(index))),
+    anomalies: {
+      findings,
+      excludedIncome: excluded.reduce((sum, finding) => sum + finding.incomeAmount, 0),
+      excludedExpenses: excluded.reduce((sum, finding) => sum + finding.expenseAmount, 0),
+      reviewedBy
+    }
+  };
+}
+
+// Helper function to list the anomaly findings of an upload that can be left
+// out of scoring, with the transactions to redo its analysis from:
+// { findings, transactions }. Uploads analyzed before anomaly detection have
+// none, and neither do uploads whose transactions file is missing.
+async function excludableFindings(uploadRecord) {
+  const anomalies = uploadRecord.analysis.anomalies;
+  if (!anomalies || anomalies.findings.length === 0) {
+    return { findings: [], transactions: null };
+  }
+  const transactions = await loadUploadTransactions(uploadRecord);
+  return { findings: transactions ? anomalies.findings : [], transactions: transactions || null };
+}
+
+// Parse, analyze and store a user's statement files.
+// onProgress(status, progress, message) is called as the work moves through
+// the 'parsing' and 'analyzing' stages. Problems with the files themselves are
+// thrown as uploadFailure errors carrying a code and the file name.
+async function processStatementUpload(
+  { userId, files, imageGroups, password, language, suppliedMappings, ownNames },
+  onProgress
+) {
+  const sources = [];
+  const statements = groupStatementFiles(files, imageGroups);
+  for (const [fileIndex, file] of statements.entries()) {
+    // Parsing takes up to 80% of the bar, shared equally between statements
+    const fileStart = 5 + Math.round((fileIndex / statements.length) * 75);
+    const fileSpan = 75 / statements.length;
+    await onProgress('parsing', fileStart, `Reading ${file.originalname}`);
+
+    let parsed;
+    try {
+      parsed = await parseStatementFile(file, {
+        password,
+        language,
+        onProgress: fraction => onProgress('parsing', fileStart + Math.round(fraction * fileSpan),
+          `Reading ${file.originalname}`)
+      });
     } catch (parseErr) {
-      parseError = parseErr.message;
+      // Locked PDFs are not a parse failure - tell the client to ask for the password
+      if (parseErr.code === 'PDF_PASSWORD_REQUIRED' || parseErr.code === 'PDF_PASSWORD_INCORRECT') {
+        throw uploadFailure(parseErr.message, parseErr.code, file.originalname);
+      }
+      if (parseErr.code === 'UNSUPPORTED_FORMAT') {
+        throw uploadFailure(parseErr.message, parseErr.code, file.originalname);
+      }
       console.error('Parse error:', parseErr);
+      throw uploadFailure(`Failed to parse ${file.originalname}: ${parseErr.message}`, null, file.originalname);
     }
 
-    if (data.length === 0) {
-      fs.unlinkSync(filePath);
-      const errorMsg = parseError 
-        ? `Failed to parse file: ${parseError}` 
-        : 'File is empty or could not be parsed. Please ensure the file contains transaction data with columns like: date, amount, description, or transaction_type.';
-      return res.status(400).json({ error: errorMsg });
+    // Account Aggregator files can hold several accounts, each its own statement
+    if (parsed.accounts) {
+      parsed.accounts.forEach(account => {
+        sources.push(buildStatementSource(`${file.originalname} ••${account.accountNumber || 'account'}`, account));
+      });
+      continue;
     }
 
-    console.log(`Parsed ${data.length} rows from ${fileExt} file`);
+    if (parsed.rows.length === 0) {
+      throw uploadFailure(
+        `${file.originalname} is empty or could not be parsed. Please ensure the file contains transaction data with columns like: date, amount, description, or transaction_type.`,
+        null,
+        file.originalname
+      );
+    }
 
-    // Analyze transactions
-    const analysis = analyzeTransactions(data);
+    console.log(`Parsed ${parsed.rows.length} rows from ${file.originalname}`);
+
+    let columnMapping = null;
+    if (parsed.tabular) {
+      try {
+        const mapped = await mapTabularRows(
+          userId, file.originalname, parsed.rows, suppliedMappings[file.originalname]
+        );
+        parsed.rows = mapped.rows;
+        columnMapping = { mapping: mapped.mapping, source: mapped.mappingSource };
+      } catch (mappingErr) {
+        if (mappingErr.code === 'INVALID_MAPPING') {
+          throw uploadFailure(mappingErr.message, mappingErr.code, file.originalname);
+        }
+        throw mappingErr;
+      }
 
-    // Clean up uploaded file
-    fs.unlinkSync(filePath);
+      if (parsed.rows.length === 0) {
+        throw uploadFailure(
+          `No transactions found in ${file.originalname} with the selected column mapping`,
+          'INVALID_MAPPING',
+          file.originalname
+        );
+      }
+    }
 
-    res.json({
-      message: 'File uploaded and analyzed successfully',
-      analysis
+    sources.push(buildStatementSource(file.originalname, parsed, columnMapping));
+  }
+
+  await onProgress('analyzing', 85, 'Analyzing transactions');
+  return saveStatementAnalysis(
+    userId,
+    files.map(f => f.originalname).join(', '),
+    sources,
+    ownNames
+  );
+}
+
+// Uploads are processed in the background so slow OCR and large PDFs don't
+// hold the request open. At most UPLOAD_JOB_CONCURRENCY run at once.
+const uploadQueue = createJobQueue({ concurrency: Number(process.env.UPLOAD_JOB_CONCURRENCY) || 2 });
+
+// Progress of running upload jobs by job ID ({ progress, message, updatedAt }).
+// Progress callbacks can fire many times a second during OCR, and every
+// storage write rewrites the whole store, so only stage changes are stored.
+const uploadJobProgress = new Map();
+
+// Helper function to run one queued upload job and record how it went.
+// work(onProgress) processes the statements and resolves to the stored upload;
+// doneMessage is reported when it succeeds.
+async function runUploadJob(job, work, doneMessage) {
+  let savedStatus = job.status;
+
+  const onProgress = async (status, progress, message) => {
+    const updatedAt = new Date().toISOString();
+    uploadJobProgress.set(job.id, { progress, message, updatedAt });
+    if (status === savedStatus) return;
+    savedStatus = status;
+    await db.updateUploadJob(job.id, { status, progress, message, updatedAt });
+  };
+
+  try {
+    const uploadRecord = await work(onProgress);
+    await db.updateUploadJob(job.id, {
+      status: 'done',
+      progress: 100,
+      message: doneMessage,
+      uploadId: uploadRecord.id,
+      pendingFiles: [],
+      updatedAt: new Date().toISOString()
     });
   } catch (error) {
-    if (req.file && fs.existsSync(req.file.path)) {
-      fs.unlinkSync(req.file.path);
+    console.error('Upload error:', error);
+    await db.updateUploadJob(job.id, {
+      status: 'failed',
+      message: error.message || 'Failed to process file',
+      error: { message: error.message || 'Failed to process file', code: error.code, file: error.file },
+      pendingFiles: [],
+      updatedAt: new Date().toISOString()
+    });
+  } finally {
+    uploadJobProgress.delete(job.id);
+  }
+}
+
+// Upload statements: validates the request, queues the files for processing
+// and returns a job ID to poll at GET /api/upload/jobs/:id.
+// Several files (e.g. consecutive months, or accounts at different banks) are
+// parsed, merged into one transaction stream with overlapping periods
+// de-duplicated, and analyzed together.
+app.post('/api/upload', authenticateToken, acceptStatementFiles, async (req, res) => {
+  const files = uploadedFiles(req);
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: 'No file uploaded. Please select a file.' });
     }
+
+    let suppliedMappings;
+    try {
+      suppliedMappings = readSuppliedMappings(req.body);
+    } catch (mappingErr) {
+      removeUploadedFiles(files);
+      return res.status(400).json({ error: mappingErr.message, code: mappingErr.code });
+    }
+
+    // Which photos are pages of which passbook (checked now, used by the job)
+    let imageGroups;
+    try {
+      imageGroups = readImageGroups(req.body);
+      groupStatementFiles(files, imageGroups);
+    } catch (groupErr) {
+      removeUploadedFiles(files);
+      return res.status(400).json({ error: groupErr.message, code: groupErr.code });
+    }
+
+    // Language of photographed passbooks, read with English (see parsers/ocrLanguages.js)
+    const language = req.body.language ? String(req.body.language).toLowerCase() : DEFAULT_LANGUAGE;
+    if (!OCR_LANGUAGES.includes(language)) {
+      removeUploadedFiles(files);
+      return res.status(400).json({
+        error: `OCR language "${language}" is not available. Choose one of: ${OCR_LANGUAGES.join(', ')}`,
+        code: 'UNSUPPORTED_LANGUAGE'
+      });
+    }
+
+    const ownNames = await accountHolderNames(req.user);
+
+    const now = new Date().toISOString();
+    const job = await db.createUploadJob({
+      id: crypto.randomUUID(),
+      userId: req.user.id,
+      status: 'queued',
+      progress: 0,
+      message: 'Waiting to be processed',
+      files: files.map(f => f.originalname),
+      // Temporary copies to remove if the server restarts before the job runs
+      pendingFiles: files.map(f => f.path),
+      uploadId: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    uploadQueue.push(() => runUploadJob(
+      job,
+      onProgress => processStatementUpload(
+        {
+          userId: req.user.id,
+          files,
+          imageGroups,
+          password: req.body.password,
+          language,
+          suppliedMappings,
+          ownNames
+        },
+        onProgress
+      ),
+      files.length > 1 ? `${files.length} files uploaded and analyzed successfully` : 'File uploaded and analyzed successfully'
+    ).finally(() => {
+      // Clean up uploaded files
+      removeUploadedFiles(files);
+    }));
+
+    res.status(202).json({
+      message: 'Upload received and queued for processing',
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
     console.error('Upload error:', error);
+    removeUploadedFiles(files);
     res.status(500).json({ error: error.message || 'Failed to process file' });
   }
 });
 
+// OCR languages borrowers can choose for photographed statements
+app.get('/api/ocr/languages', authenticateToken, (req, res) => {
+  res.json({
+    default: DEFAULT_LANGUAGE,
+    languages: OCR_LANGUAGES.map(code => ({ code, name: LANGUAGES[code].name }))
+  });
+});
+
+// Upload job status. Once the job is done the analysis is included.
+app.get('/api/upload/jobs/:id', authenticateToken, async (req, res) => {
+  try {
+    const job = await db.findUploadJobForUser(req.params.id, req.user.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Upload job not found' });
+    }
+
+    // A running job's latest progress is only kept in memory
+    const progress = uploadJobProgress.get(job.id) || job;
+    const response = {
+      jobId: job.id,
+      status: job.status,
+      progress: progress.progress,
+      message: progress.message,
+      files: job.files,
+      error: job.error,
+      createdAt: job.createdAt,
+      updatedAt: progress.updatedAt
+    };
+
+    if (job.status === 'done') {
+      const uploadRecord = await db.findUploadForUser(job.uploadId, req.user.id);
+      if (uploadRecord) {
+        response.uploadId = uploadRecord.id;
+        response.template = uploadRecord.template;
+        response.fileSummaries = uploadRecord.files;
+        response.analysis = uploadRecord.analysis;
+      }
+    }
+
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Account Aggregator (AA_DRIVER, default the local mock in aa/mockAggregator.js).
+// Borrowers can share their bank data through an AA instead of uploading files.
+const aggregator = createAggregator();
+const AA_FIU_ID = process.env.AA_FIU_ID || 'loan-eligibility-fiu';
+// Months of history a consent covers unless the borrower picks otherwise
+const AA_DEFAULT_MONTHS = 6;
+// ReBIT purpose code for a one-time look at the borrower's accounts
+const AA_CONSENT_PURPOSE = {
+  code: '105',
+  refUri: 'https://api.rebit.org.in/aa/purpose/105.xml',
+  text: 'Explicit one-time consent for accessing data from accounts',
+  Category: { type: 'string' }
+};
+
+// Consent states the AA never moves a consent out of
+const AA_FINAL_CONSENT_STATUSES = ['REJECTED', 'REVOKED', 'EXPIRED'];
+
+// Helper function to bring a consent up to date with the AA. Once the
+// borrower approves it, the signed consent artefact is fetched and kept.
+// Approved consents are checked again too, since the borrower can pause or
+// revoke them; a consent past its expiry is expired whatever the AA says.
+async function refreshConsent(consent) {
+  if (AA_FINAL_CONSENT_STATUSES.includes(consent.status)) return consent;
+  if (new Date(consent.detail.consentExpiry) <= new Date()) {
+    return db.updateAaConsent(consent.id, { status: 'EXPIRED', updatedAt: new Date().toISOString() });
+  }
+
+  const { status, consentId } = await aggregator.getConsentStatus(consent.consentHandle);
+  const changes = { status, consentId: consentId || null, updatedAt: new Date().toISOString() };
+  if (status === 'ACTIVE' && consentId && !consent.artefact) {
+    changes.artefact = await aggregator.fetchConsentArtefact(consentId);
+  }
+  return db.updateAaConsent(consent.id, changes);
+}
+
+// Helper function to describe a consent to the borrower who gave it
+function publicConsent(consent) {
+  return {
+    id: consent.id,
+    aa: consent.aa,
+    customerVua: consent.customerVua,
+    status: consent.status,
+    consentHandle: consent.consentHandle,
+    consentId: consent.consentId,
+    purpose: consent.detail.Purpose.text,
+    fiTypes: consent.detail.fiTypes,
+    dataRange: consent.detail.FIDataRange,
+    consentExpiry: consent.detail.consentExpiry,
+    fetchJobId: consent.fetchJobId || null,
+    fetchedAt: consent.fetchedAt,
+    uploadId: consent.uploadId,
+    createdAt: consent.createdAt
+  };
+}
+
+// Helper function to build the consent record attached to an application:
+// what the borrower agreed to and the artefact the AA signed for it
+function consentArtefactRecord(consent) {
+  return {
+    id: consent.id,
+    aa: consent.aa,
+    customerVua: consent.customerVua,
+    consentHandle: consent.consentHandle,
+    consentId: consent.consentId,
+    status: consent.status,
+    purpose: consent.detail.Purpose,
+    fiTypes: consent.detail.fiTypes,
+    consentTypes: consent.detail.consentTypes,
+    fetchType: consent.detail.fetchType,
+    dataRange: consent.detail.FIDataRange,
+    dataLife: consent.detail.DataLife,
+    consentStart: consent.detail.consentStart,
+    consentExpiry: consent.detail.consentExpiry,
+    signedConsent: consent.artefact ? consent.artefact.signedConsent : null,
+    fetchedAt: consent.fetchedAt
+  };
+}
+
+// Fetch, analyze and store the FI data a consent covers.
+// Follows processStatementUpload: progress through 'parsing' and 'analyzing',
+// problems thrown as uploadFailure errors.
+async function processAggregatorFetch({ userId, consent, ownNames }, onProgress) {
+  await onProgress('parsing', 5, `Fetching data from ${aggregator.name}`);
+
+  let documents;
+  try {
+    documents = await aggregator.fetchFinancialInformation(consent.consentId);
+  } catch (fetchErr) {
+    throw uploadFailure(
+      `Could not fetch data from ${aggregator.name}: ${fetchErr.message}`,
+      fetchErr.code || 'AA_FETCH_FAILED'
+    );
+  }
+
+  const sources = [];
+  for (const [index, fi] of documents.entries()) {
+    const name = `${fi.fipId} ${fi.maskedAccNumber}`;
+    await onProgress('parsing', 10 + Math.round((index / documents.length) * 70), `Reading ${name}`);
+
+    let statements;
+    try {
+      statements = parseFiData(fi.document);
+    } catch (parseErr) {
+      throw uploadFailure(`Failed to read ${name}: ${parseErr.message}`, parseErr.code, name);
+    }
+    statements.forEach(statement => sources.push(buildStatementSource(name, statement)));
+  }
+
+  if (sources.length === 0) {
+    throw uploadFailure(`${aggregator.name} returned no deposit accounts for this consent`, 'AA_NO_ACCOUNTS');
+  }
+
+  await onProgress('analyzing', 85, 'Analyzing transactions');
+  const uploadRecord = await saveStatementAnalysis(
+    userId,
+    `${aggregator.name}: ${sources.map(source => source.fileName).join(', ')}`,
+    sources,
+    ownNames,
+    { consentId: consent.id }
+  );
+
+  const now = new Date().toISOString();
+  await db.updateAaConsent(consent.id, { uploadId: uploadRecord.id, fetchedAt: now, updatedAt: now });
+  return uploadRecord;
+}
+
+// Ask the borrower, through their AA, to share their deposit accounts.
+// customerVua is their AA handle (e.g. 9876543210@finvu); months is how much
+// history to share (1-24, default 6).
+app.post('/api/aa/consents', authenticateToken, async (req, res) => {
+  try {
+    const customerVua = String(req.body.customerVua || '').trim();
+    if (!/^[\w.-]+@[\w.-]+$/.test(customerVua)) {
+      return res.status(400).json({
+        error: 'Enter your Account Aggregator ID, e.g. 9876543210@finvu',
+        code: 'INVALID_VUA'
+      });
+    }
+
+    const months = req.body.months === undefined ? AA_DEFAULT_MONTHS : Number(req.body.months);
+    if (!Number.isInteger(months) || months < 1 || months > 24) {
+      return res.status(400).json({ error: 'months must be a whole number from 1 to 24', code: 'INVALID_RANGE' });
+    }
+
+    const now = new Date();
+    const from = new Date(now);
+    from.setUTCMonth(from.getUTCMonth() - months);
+    const expiry = new Date(now);
+    expiry.setUTCDate(expiry.getUTCDate() + 7);
+
+    // ReBIT consent detail: a one-time view of profile, summary and transactions
+    const detail = {
+      consentStart: now.toISOString(),
+      consentExpiry: expiry.toISOString(),
+      consentMode: 'VIEW',
+      fetchType: 'ONETIME',
+      consentTypes: ['PROFILE', 'SUMMARY', 'TRANSACTIONS'],
+      fiTypes: ['DEPOSIT'],
+      DataConsumer: { id: AA_FIU_ID, type: 'FIU' },
+      Customer: { id: customerVua },
+      Purpose: AA_CONSENT_PURPOSE,
+      FIDataRange: { from: from.toISOString(), to: now.toISOString() },
+      DataLife: { unit: 'MONTH', value: 1 },
+      Frequency: { unit: 'MONTH', value: 1 }
+    };
+
+    const { consentHandle } = await aggregator.requestConsent(detail);
+    const created = await db.createAaConsent({
+      id: crypto.randomUUID(),
+      userId: req.user.id,
+      aa: aggregator.id,
+      customerVua,
+      consentHandle,
+      consentId: null,
+      status: 'PENDING',
+      detail,
+      artefact: null,
+      uploadId: null,
+      fetchJobId: null,
+      fetchedAt: null,
+      createdAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    });
+    const consent = await refreshConsent(created);
+
+    res.status(201).json({ consent: publicConsent(consent) });
+  } catch (error) {
+    console.error('AA consent error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Consent status (PENDING, ACTIVE, REJECTED, REVOKED, EXPIRED or PAUSED)
+app.get('/api/aa/consents/:id', authenticateToken, async (req, res) => {
+  try {
+    const consent = await db.findAaConsentForUser(req.params.id, req.user.id);
+    if (!consent) {
+      return res.status(404).json({ error: 'Consent not found' });
+    }
+    res.json({ consent: publicConsent(await refreshConsent(consent)) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fetch the FI data of an approved consent and analyze it like an upload.
+// Returns a job ID to poll at GET /api/upload/jobs/:id.
+app.post('/api/aa/consents/:id/fetch', authenticateToken, async (req, res) => {
+  try {
+    const stored = await db.findAaConsentForUser(req.params.id, req.user.id);
+    if (!stored) {
+      return res.status(404).json({ error: 'Consent not found' });
+    }
+
+    const consent = await refreshConsent(stored);
+    if (consent.status !== 'ACTIVE') {
+      return res.status(409).json({
+        error: consent.status === 'PENDING'
+          ? 'The consent has not been approved yet. Approve it in your Account Aggregator app first.'
+          : `The consent is ${consent.status.toLowerCase()}. Request a new consent to share your data.`,
+        code: 'CONSENT_NOT_ACTIVE'
+      });
+    }
+    // One-time consents allow a single fetch. The consent is claimed for the
+    // job before it is queued, so a second request is refused while it runs.
+    const jobId = crypto.randomUUID();
+    if (!await db.claimAaConsentFetch(consent.id, jobId)) {
+      const current = await db.findAaConsentForUser(consent.id, req.user.id);
+      return res.status(409).json(current.fetchedAt
+        ? {
+          error: 'Data for this consent has already been fetched. Request a new consent to fetch again.',
+          code: 'CONSENT_ALREADY_USED'
+        }
+        : {
+          error: 'Data for this consent is already being fetched.',
+          code: 'CONSENT_FETCH_IN_PROGRESS',
+          jobId: current.fetchJobId
+        });
+    }
+
+    const ownNames = await accountHolderNames(req.user);
+
+    const now = new Date().toISOString();
+    const job = await db.createUploadJob({
+      id: jobId,
+      userId: req.user.id,
+      status: 'queued',
+      progress: 0,
+      message: 'Waiting to be processed',
+      files: [`${aggregator.name} (${consent.customerVua})`],
+      pendingFiles: [],
+      consentId: consent.id,
+      uploadId: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    // A fetch that fails leaves the consent free to be fetched again
+    uploadQueue.push(() => runUploadJob(
+      job,
+      onProgress => processAggregatorFetch({ userId: req.user.id, consent, ownNames }, onProgress),
+      'Account Aggregator data fetched and analyzed successfully'
+    ).then(() => db.releaseAaConsentFetch(consent.id, job.id)));
+
+    res.status(202).json({
+      message: 'Fetch queued for processing',
+      jobId: job.id,
+      status: job.status
+    });
+  } catch (error) {
+    console.error('AA fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Check eligibility
-app.post('/api/check-eligibility', authenticateToken, (req, res) => {
+app.post('/api/check-eligibility', authenticateToken, async (req, res) => {
   try {
-    const { analysis, personalInfo } = req.body;
+    const { uploadId, personalInfo } = req.body;
+    const excludedFindings = req.body.excludeAnomalies || [];
 
-    if (!analysis) {
-      return res.status(400).json({ error: 'Analysis data is required' });
+    if (!uploadId) {
+      return res.status(400).json({ error: 'uploadId is required. Upload a statement first.' });
+    }
+    if (!Array.isArray(excludedFindings) || excludedFindings.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ error: 'excludeAnomalies must be a list of finding IDs', code: 'INVALID_EXCLUSIONS' });
+    }
+
+    // Only analyses produced by /api/upload for this user are accepted
+    const uploadRecord = await db.findUploadForUser(String(uploadId), req.user.id);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    // Anomaly findings count as income unless the applicant leaves them out,
+    // or the policy leaves all of them out
+    let analysis = uploadRecord.analysis;
+    const excludeAll = activePolicy.policy.anomalies.excludeFromScoring;
+    if (excludedFindings.length > 0 || excludeAll) {
+      const { findings, transactions } = await excludableFindings(uploadRecord);
+      const unknown = excludedFindings.filter(id => !findings.some(finding => finding.id === id));
+      if (unknown.length > 0) {
+        return res.status(400).json({
+          error: `Unknown anomaly finding(s) for this upload: ${unknown.join(', ')}`,
+          code: 'UNKNOWN_ANOMALY'
+        });
+      }
+      const findingIds = excludeAll ? findings.map(finding => finding.id) : excludedFindings;
+      if (findingIds.length > 0) {
+        analysis = excludeAnomalies(uploadRecord, transactions, findingIds);
+      }
     }
 
     // Check eligibility
-    const eligibility = checkEligibility(analysis);
+    const eligibility = checkEligibility(analysis, activePolicy);
+
+    // Applications built from Account Aggregator data keep the consent it was shared under
+    const consent = uploadRecord.consentId
+      ? await db.findAaConsentForUser(uploadRecord.consentId, req.user.id)
+      : null;
 
     // Save application
     const application = {
       id: Date.now().toString(),
       userId: req.user.id,
+      uploadId: uploadRecord.id,
       personalInfo: personalInfo || {},
       analysis,
       eligibility,
-      status: eligibility.eligible ? 'approved' : 'rejected',
+      policyVersion: activePolicy.version,
+      status: eligibility.decision,
+      consent: consent ? consentArtefactRecord(consent) : null,
       createdAt: new Date().toISOString()
     };
 
-    applications.push(application);
+    await db.createApplication(application);
 
     res.json({
       message: 'Eligibility checked successfully',
       eligibility,
+      analysis,
       applicationId: application.id
     });
   } catch (error) {
@@ -1095,10 +2232,9 @@ app.post('/api/check-eligibility', authenticateToken, (req, res) => {
 });
 
 // Get application history
-app.get('/api/history', authenticateToken, (req, res) => {
+app.get('/api/history', authenticateToken, async (req, res) => {
   try {
-    const userApplications = applications
-      .filter(app => app.userId === req.user.id)
+    const userApplications = (await db.listApplicationsByUser(req.user.id))
       .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
       .map(app => ({
         id: app.id,
@@ -1106,6 +2242,7 @@ app.get('/api/history', authenticateToken, (req, res) => {
         score: app.eligibility.score,
         eligible: app.eligibility.eligible,
         recommendedLoanAmount: app.eligibility.recommendedLoanAmount,
+        policyVersion: app.policyVersion,
         createdAt: app.createdAt
       }));
 
@@ -1118,11 +2255,9 @@ app.get('/api/history', authenticateToken, (req, res) => {
 });
 
 // Get application details
-app.get('/api/history/:id', authenticateToken, (req, res) => {
+app.get('/api/history/:id', authenticateToken, async (req, res) => {
   try {
-    const application = applications.find(
-      app => app.id === req.params.id && app.userId === req.user.id
-    );
+    const application = await db.findApplicationForUser(req.params.id, req.user.id);
 
     if (!application) {
       return res.status(404).json({ error: 'Application not found' });
@@ -1133,6 +2268,145 @@ app.get('/api/history/:id', authenticateToken, (req, res) => {
     res.status(500).json({ error: error.message });
   }
 });
+
+// Scoring policy administration
+app.get('/api/admin/policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policies = await db.listPolicies();
+    res.json({ activeVersion: activePolicy.version, policies });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/policies/:version', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policy = await db.findPolicy(Number(req.params.version));
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy version not found' });
+    }
+    res.json({ policy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a new policy version and make it active
+app.post('/api/admin/policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { policy, note } = req.body;
+
+    const errors = validatePolicy(policy);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid scoring policy', details: errors });
+    }
+
+    const created = await db.createPolicy({
+      policy,
+      note: note || '',
+      createdBy: req.user.email,
+      createdAt: new Date().toISOString()
+    });
+    activePolicy = await db.activatePolicy(created.version);
+
+    res.status(201).json({ message: `Scoring policy v${created.version} is now active`, policy: activePolicy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-activate an existing version (e.g. to roll back)
+app.post('/api/admin/policies/:version/activate', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const version = Number(req.params.version);
+    const record = await db.findPolicy(version);
+    if (!record) {
+      return res.status(404).json({ error: 'Policy version not found' });
+    }
+
+    const errors = validatePolicy(record.policy);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Stored policy no longer validates', details: errors });
+    }
+
+    activePolicy = await db.activatePolicy(version);
+    res.json({ message: `Scoring policy v${version} is now active`, policy: activePolicy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Application review
+// Applications waiting for a reviewer (or all of them, with ?status=all)
+app.get('/api/admin/applications', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'manual_review';
+    const applications = (await db.listApplications())
+      .filter(app => status === 'all' || app.status === status)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(app => ({
+        id: app.id,
+        userId: app.userId,
+        status: app.status,
+        score: app.eligibility.score,
+        reasonCodes: app.eligibility.reasonCodes,
+        anomalies: app.analysis.anomalies ? app.analysis.anomalies.findings : [],
+        policyVersion: app.policyVersion,
+        createdAt: app.createdAt
+      }));
+
+    res.json({ applications });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-score an application with the anomaly findings a reviewer chose to
+// leave out; the rest are accepted as income
+app.post('/api/admin/applications/:id/anomalies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const excludedFindings = req.body.excludeAnomalies || [];
+    if (!Array.isArray(excludedFindings) || excludedFindings.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ error: 'excludeAnomalies must be a list of finding IDs', code: 'INVALID_EXCLUSIONS' });
+    }
+
+    const application = await db.findApplication(req.params.id);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    const uploadRecord = await db.findUploadForUser(application.uploadId, application.userId);
+    if (!uploadRecord) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+
+    const { findings, transactions } = await excludableFindings(uploadRecord);
+    if (findings.length === 0) {
+      return res.status(400).json({ error: 'This application has no anomaly findings to review', code: 'NO_ANOMALIES' });
+    }
+    const unknown = excludedFindings.filter(id => !findings.some(finding => finding.id === id));
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        error: `Unknown anomaly finding(s) for this application: ${unknown.join(', ')}`,
+        code: 'UNKNOWN_ANOMALY'
+      });
+    }
+
+    const analysis = excludeAnomalies(uploadRecord, transactions, excludedFindings, req.user.email);
+    const eligibility = checkEligibility(analysis, activePolicy);
+    const updated = await db.updateApplication(application.id, {
+      analysis,
+      eligibility,
+      policyVersion: activePolicy.version,
+      status: eligibility.decision,
+      reviewedAt: new Date().toISOString()
+    });
+
+    res.json({ message: 'Application re-scored', application: updated });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // API routes above
 app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Server is running' });
@@ -1144,6 +2418,41 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/build', 'index.html'));
 });
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`✅ Server running on port ${PORT} and accessible on Azure`);
-});
+// Helper function to fail upload jobs that were queued or running when the
+// server last stopped - the in-process queue doesn't survive a restart
+async function failInterruptedUploadJobs() {
+  const interrupted = await db.listUnfinishedUploadJobs();
+  for (const job of interrupted) {
+    removeUploadedFiles((job.pendingFiles || []).map(filePath => ({ path: filePath })));
+    if (job.consentId) {
+      await db.releaseAaConsentFetch(job.consentId, job.id);
+    }
+    const message = 'Processing was interrupted by a server restart. Please upload the statement again.';
+    await db.updateUploadJob(job.id, {
+      status: 'failed',
+      message,
+      error: { message, code: 'JOB_INTERRUPTED' },
+      pendingFiles: [],
+      updatedAt: new Date().toISOString()
+    });
+  }
+  if (interrupted.length > 0) {
+    console.log(`Marked ${interrupted.length} interrupted upload job(s) as failed`);
+  }
+}
+
+db.init()
+  .then(() => failInterruptedUploadJobs())
+  .then(() => loadActivePolicy(db))
+  .then((policy) => {
+    activePolicy = policy;
+    app.listen(PORT, '0.0.0.0', () => {
+      console.log(`✅ Server running on port ${PORT} and accessible on Azure`);
+    });
+    // Load the OCR engine now so the first image upload doesn't pay for it
+    ocrPool.warm().catch(error => console.warn('Could not start OCR worker:', error.message));
+  })
+  .catch((error) => {
+    console.error('Failed to start server:', error);
+    process.exit(1);
+  });
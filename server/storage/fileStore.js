@@ -0,0 +1,288 @@
+const fs = require('fs');
+const path = require('path');
+const { migrate } = require('./migrations');
+
+// File-backed storage: the whole dataset lives in one JSON document that is
+// loaded into memory at startup and rewritten atomically after every change.
+// The transactions behind each upload are the exception: they are large and
+// rarely read, so each upload's list is a file of its own in a directory next
+// to the document. Good enough for a single instance; swap for a hosted
+// database driver when the app needs to scale out.
+function createFileStore({ filePath }) {
+  let db = null;
+  let writeQueue = Promise.resolve();
+  const transactionsDir = path.join(path.dirname(filePath), 'transactions');
+
+  // Helper function to load (or create) the data file and run migrations
+  async function init() {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    if (fs.existsSync(filePath)) {
+      const raw = await fs.promises.readFile(filePath, 'utf8');
+      try {
+        db = raw.trim().length > 0 ? JSON.parse(raw) : {};
+      } catch (error) {
+        throw new Error(`Storage file ${filePath} is corrupt: ${error.message}`);
+      }
+    } else {
+      db = {};
+    }
+
+    const applied = migrate(db);
+    if (applied > 0 || !fs.existsSync(filePath)) {
+      await persist();
+    }
+    console.log(`Storage ready at ${filePath} (schema v${db.schemaVersion})`);
+  }
+
+  // Helper function to write the document to disk.
+  // Writes go to a temp file first and are renamed into place so a crash
+  // mid-write never leaves a half-written data file behind. Writes are
+  // chained so two requests can't interleave. A failed write rejects its own
+  // caller but doesn't break the chain: the next write saves the whole
+  // document again, so memory and disk agree once the disk recovers.
+  function persist() {
+    const snapshot = JSON.stringify(db, null, 2);
+    const next = writeQueue.then(async () => {
+      const tmpPath = `${filePath}.tmp`;
+      await fs.promises.writeFile(tmpPath, snapshot);
+      await fs.promises.rename(tmpPath, filePath);
+    });
+    writeQueue = next.catch(() => {});
+    return next;
+  }
+
+  // Helper function to name the file holding an upload's transactions. Upload
+  // IDs are generated by the server, but never trust them as a path anyway.
+  function transactionsPath(uploadId) {
+    return path.join(transactionsDir, `${String(uploadId).replace(/[^\w-]/g, '')}.json`);
+  }
+
+  function ensureReady() {
+    if (!db) {
+      throw new Error('Storage has not been initialised. Call init() first.');
+    }
+  }
+
+  // Records handed out are copies so callers can't mutate stored state by accident
+  const clone = (value) => (value === undefined ? undefined : structuredClone(value));
+
+  return {
+    init,
+
+    // Users
+    async findUserByEmail(email) {
+      ensureReady();
+      return clone(db.users.find(u => u.email === email));
+    },
+
+    async createUser(user) {
+      ensureReady();
+      db.users.push(clone(user));
+      await persist();
+      return clone(user);
+    },
+
+    // Uploads (statement analyses computed on the server)
+    async createUpload(upload) {
+      ensureReady();
+      db.uploads.push(clone(upload));
+      await persist();
+      return clone(upload);
+    },
+
+    async findUploadForUser(id, userId) {
+      ensureReady();
+      return clone(db.uploads.find(u => u.id === id && u.userId === userId));
+    },
+
+    // The merged transactions an upload was analyzed from
+    async saveUploadTransactions(uploadId, transactions) {
+      ensureReady();
+      await fs.promises.mkdir(transactionsDir, { recursive: true });
+      const target = transactionsPath(uploadId);
+      await fs.promises.writeFile(`${target}.tmp`, JSON.stringify(transactions));
+      await fs.promises.rename(`${target}.tmp`, target);
+    },
+
+    async findUploadTransactions(uploadId) {
+      ensureReady();
+      try {
+        return JSON.parse(await fs.promises.readFile(transactionsPath(uploadId), 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return undefined;
+        throw error;
+      }
+    },
+
+    // Upload jobs (statements being processed in the background)
+    async createUploadJob(job) {
+      ensureReady();
+      db.uploadJobs.push(clone(job));
+      await persist();
+      return clone(job);
+    },
+
+    async updateUploadJob(id, changes) {
+      ensureReady();
+      const job = db.uploadJobs.find(j => j.id === id);
+      if (!job) return undefined;
+      Object.assign(job, clone(changes));
+      await persist();
+      return clone(job);
+    },
+
+    async findUploadJobForUser(id, userId) {
+      ensureReady();
+      return clone(db.uploadJobs.find(j => j.id === id && j.userId === userId));
+    },
+
+    async listUnfinishedUploadJobs() {
+      ensureReady();
+      return clone(db.uploadJobs.filter(j => j.status !== 'done' && j.status !== 'failed'));
+    },
+
+    // Account Aggregator consents and the artefacts the AA issued for them
+    async createAaConsent(consent) {
+      ensureReady();
+      db.aaConsents.push(clone(consent));
+      await persist();
+      return clone(consent);
+    },
+
+    async updateAaConsent(id, changes) {
+      ensureReady();
+      const consent = db.aaConsents.find(c => c.id === id);
+      if (!consent) return undefined;
+      Object.assign(consent, clone(changes));
+      await persist();
+      return clone(consent);
+    },
+
+    async findAaConsentForUser(id, userId) {
+      ensureReady();
+      return clone(db.aaConsents.find(c => c.id === id && c.userId === userId));
+    },
+
+    // Mark a consent as being fetched by a job, unless it already is or has
+    // been. Checked and set in one step so two requests can't both claim it.
+    async claimAaConsentFetch(id, jobId) {
+      ensureReady();
+      const consent = db.aaConsents.find(c => c.id === id);
+      if (!consent || consent.fetchJobId || consent.fetchedAt) return undefined;
+      consent.fetchJobId = jobId;
+      consent.updatedAt = new Date().toISOString();
+      await persist();
+      return clone(consent);
+    },
+
+    // Free a consent claimed by jobId when the job ended without fetching
+    // its data (it failed, or the server restarted), so it can be fetched again
+    async releaseAaConsentFetch(id, jobId) {
+      ensureReady();
+      const consent = db.aaConsents.find(c => c.id === id);
+      if (!consent || consent.fetchJobId !== jobId || consent.fetchedAt) return undefined;
+      consent.fetchJobId = null;
+      consent.updatedAt = new Date().toISOString();
+      await persist();
+      return clone(consent);
+    },
+
+    // Scoring policies. Versions are assigned here and never reused; exactly
+    // one version is active at a time.
+    async listPolicies() {
+      ensureReady();
+      return clone([...db.policies].sort((a, b) => a.version - b.version));
+    },
+
+    async findPolicy(version) {
+      ensureReady();
+      return clone(db.policies.find(p => p.version === version));
+    },
+
+    async findActivePolicy() {
+      ensureReady();
+      return clone(db.policies.find(p => p.active));
+    },
+
+    async createPolicy(record) {
+      ensureReady();
+      const version = db.policies.reduce((max, p) => Math.max(max, p.version), 0) + 1;
+      const stored = { ...clone(record), version, active: false };
+      db.policies.push(stored);
+      await persist();
+      return clone(stored);
+    },
+
+    async activatePolicy(version) {
+      ensureReady();
+      const target = db.policies.find(p => p.version === version);
+      if (!target) return undefined;
+      db.policies.forEach(p => {
+        p.active = p.version === version;
+      });
+      await persist();
+      return clone(target);
+    },
+
+    // Column mappings confirmed by a user, keyed by header signature
+    async findColumnMapping(userId, signature) {
+      ensureReady();
+      return clone(db.columnMappings.find(m => m.userId === userId && m.signature === signature));
+    },
+
+    async saveColumnMapping(record) {
+      ensureReady();
+      const index = db.columnMappings.findIndex(
+        m => m.userId === record.userId && m.signature === record.signature
+      );
+      if (index >= 0) {
+        db.columnMappings[index] = clone(record);
+      } else {
+        db.columnMappings.push(clone(record));
+      }
+      await persist();
+      return clone(record);
+    },
+
+    // Applications
+    async createApplication(application) {
+      ensureReady();
+      db.applications.push(clone(application));
+      await persist();
+      return clone(application);
+    },
+
+    async listApplicationsByUser(userId) {
+      ensureReady();
+      return clone(db.applications.filter(a => a.userId === userId));
+    },
+
+    async findApplicationForUser(id, userId) {
+      ensureReady();
+      return clone(db.applications.find(a => a.id === id && a.userId === userId));
+    },
+
+    // Any user's applications, for reviewers
+    async listApplications() {
+      ensureReady();
+      return clone(db.applications);
+    },
+
+    async findApplication(id) {
+      ensureReady();
+      return clone(db.applications.find(a => a.id === id));
+    },
+
+    async updateApplication(id, changes) {
+      ensureReady();
+      const application = db.applications.find(a => a.id === id);
+      if (!application) return undefined;
+      Object.assign(application, clone(changes));
+      await persist();
+      return clone(application);
+    }
+  };
+}
+
+module.exports = { createFileStore };
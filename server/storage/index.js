@@ -0,0 +1,20 @@
+const path = require('path');
+const { createFileStore } = require('./fileStore');
+
+// Storage entry point. Routes only talk to the object returned here, so a
+// hosted database driver can be added later by implementing the same methods
+// and selecting it with STORAGE_DRIVER.
+function createStorage() {
+  const driver = process.env.STORAGE_DRIVER || 'file';
+
+  switch (driver) {
+    case 'file':
+      return createFileStore({
+        filePath: process.env.STORAGE_FILE || path.join(__dirname, '..', 'data', 'store.json')
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Supported drivers: file`);
+  }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,153 @@
+// Schema migrations for the file-backed store.
+// Each migration receives the whole document and mutates it in place.
+// Append new entries with the next version number - never edit old ones,
+// data files already on disk have been migrated with them.
+
+// Helper function for migrations that add settings to the scoring policy.
+// Stored versions are never edited: the active policy is copied into a new
+// version with the added sections, and that version is activated. Fresh
+// stores have no policy yet and are seeded from defaultPolicy.json instead.
+function extendActivePolicy(db, additions, note) {
+  const active = (db.policies || []).find(p => p.active);
+  if (!active) return;
+
+  const missing = Object.keys(additions).filter(key => !(key in active.policy));
+  if (missing.length === 0) return;
+
+  const version = db.policies.reduce((max, p) => Math.max(max, p.version), 0) + 1;
+  const policy = structuredClone(active.policy);
+  missing.forEach(key => {
+    policy[key] = structuredClone(additions[key]);
+  });
+
+  db.policies.forEach(p => {
+    p.active = false;
+  });
+  db.policies.push({
+    policy,
+    note: `${note} (based on v${active.version})`,
+    createdBy: 'system',
+    createdAt: new Date().toISOString(),
+    version,
+    active: true
+  });
+}
+
+const migrations = [
+  {
+    version: 1,
+    description: 'Create users and applications collections',
+    up: (db) => {
+      db.users = db.users || [];
+      db.applications = db.applications || [];
+    }
+  },
+  {
+    version: 2,
+    description: 'Create uploads collection for server-side statement analyses',
+    up: (db) => {
+      db.uploads = db.uploads || [];
+    }
+  },
+  {
+    version: 3,
+    description: 'Create policies collection for versioned scoring policies',
+    up: (db) => {
+      db.policies = db.policies || [];
+    }
+  },
+  {
+    version: 4,
+    description: 'Create columnMappings collection for confirmed CSV/Excel layouts',
+    up: (db) => {
+      db.columnMappings = db.columnMappings || [];
+    }
+  },
+  {
+    version: 5,
+    description: 'Add balance reconciliation thresholds to the scoring policy',
+    up: (db) => {
+      extendActivePolicy(db, {
+        reconciliation: { minScore: 90, minCheckedRows: 5 }
+      }, 'Added balance reconciliation thresholds');
+    }
+  },
+  {
+    version: 6,
+    description: 'Create uploadJobs collection for background statement processing',
+    up: (db) => {
+      db.uploadJobs = db.uploadJobs || [];
+    }
+  },
+  {
+    version: 7,
+    description: 'Create aaConsents collection for Account Aggregator consents',
+    up: (db) => {
+      db.aaConsents = db.aaConsents || [];
+    }
+  },
+  {
+    version: 8,
+    description: 'Add bounce and penalty event penalties to the scoring policy',
+    up: (db) => {
+      extendActivePolicy(db, {
+        riskEvents: {
+          penalties: {
+            emiBounce: 8,
+            nachReturn: 5,
+            chequeReturn: 5,
+            insufficientFunds: 4,
+            overdraftInterest: 2,
+            minBalancePenalty: 2
+          },
+          maxPenalty: 25
+        }
+      }, 'Added bounce and penalty event penalties');
+    }
+  },
+  {
+    version: 9,
+    description: 'Add income archetype weights to the scoring policy',
+    up: (db) => {
+      extendActivePolicy(db, {
+        incomeSources: {
+          archetypeWeights: {
+            salaried: 1,
+            gigWorker: 0.8,
+            selfEmployed: 0.9,
+            familySupported: 0.5,
+            investmentIncome: 1,
+            mixed: 0.8
+          }
+        }
+      }, 'Added income archetype weights');
+    }
+  },
+  {
+    version: 10,
+    description: 'Add the window-dressing anomaly setting to the scoring policy',
+    up: (db) => {
+      extendActivePolicy(db, {
+        anomalies: { excludeFromScoring: false }
+      }, 'Added anomaly exclusion setting');
+    }
+  }
+];
+
+// Bring a document up to the latest schema version
+function migrate(db) {
+  const current = db.schemaVersion || 0;
+  const pending = migrations
+    .filter(m => m.version > current)
+    .sort((a, b) => a.version - b.version);
+
+  pending.forEach(m => {
+    m.up(db);
+    db.schemaVersion = m.version;
+    console.log(`Applied storage migration ${m.version}: ${m.description}`);
+  });
+
+  return pending.length;
+}
+
+module.exports = { migrations, migrate };
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../storage/fileStore');
+
+// Helper function to open a store in a temporary directory holding one consent
+async function storeWithConsent(t) {
+  t.mock.method(console, 'log', () => {});
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'consent-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const store = createFileStore({ filePath: path.join(dir, 'store.json') });
+  await store.init();
+  await store.createAaConsent({ id: 'c1', userId: 'u1', status: 'ACTIVE', fetchJobId: null, fetchedAt: null });
+  return store;
+}
+
+test('lets one job at a time claim a consent', async (t) => {
+  const store = await storeWithConsent(t);
+  const [first, second] = await Promise.all([
+    store.claimAaConsentFetch('c1', 'job-1'),
+    store.claimAaConsentFetch('c1', 'job-2')
+  ]);
+  assert.equal(first.fetchJobId, 'job-1');
+  assert.equal(second, undefined);
+  assert.equal(await store.claimAaConsentFetch('missing', 'job-3'), undefined);
+});
+
+test('frees a consent only for the job that claimed it', async (t) => {
+  const store = await storeWithConsent(t);
+  await store.claimAaConsentFetch('c1', 'job-1');
+  assert.equal(await store.releaseAaConsentFetch('c1', 'job-2'), undefined);
+  assert.equal((await store.releaseAaConsentFetch('c1', 'job-1')).fetchJobId, null);
+  assert.equal((await store.claimAaConsentFetch('c1', 'job-2')).fetchJobId, 'job-2');
+});
+
+test('keeps a fetched consent used', async (t) => {
+  const store = await storeWithConsent(t);
+  await store.claimAaConsentFetch('c1', 'job-1');
+  await store.updateAaConsent('c1', { fetchedAt: '2024-04-01T00:00:00.000Z' });
+  assert.equal(await store.releaseAaConsentFetch('c1', 'job-1'), undefined);
+  assert.equal((await store.findAaConsentForUser('c1', 'u1')).fetchJobId, 'job-1');
+  assert.equal(await store.claimAaConsentFetch('c1', 'job-2'), undefined);
+  assert.equal(await store.findAaConsentForUser('c1', 'someone else'), undefined);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sniffFiData, parseFiData } = require('../parsers/aaFiData');
+const { createMockAggregator } = require('../aa/mockAggregator');
+
+const JSON_FI = JSON.stringify({
+  Account: {
+    type: 'deposit',
+    maskedAccNumber: 'XXXXXXXX4321',
+    Profile: { Holders: { type: 'SINGLE', Holder: { name: 'RAVI SHARMA', pan: 'ABCDE1234F', ckycCompliance: 'true' } } },
+    Summary: { currentBalance: '10,450.00', ifscCode: 'HDFC0000123', type: 'SAVINGS', status: 'ACTIVE' },
+    Transactions: {
+      Transaction: [
+        { txnId: 'T1', type: 'CREDIT', mode: 'FT', amount: '52000', currentBalance: '62000', valueDate: '2024-04-01', narration: 'NEFT/ACME TECH/SALARY' },
+        { txnId: 'T2', type: 'DEBIT', mode: 'UPI', amount: '1550.50', currentBalance: '60449.50', transactionTimestamp: '2024-04-03T10:00:00+05:30', narration: ' ' },
+        { txnId: 'T3', type: 'DEBIT', amount: '0', valueDate: '2024-04-04' }
+      ]
+    }
+  }
+});
+
+const XML_FI = `<Account xmlns="http://api.rebit.org.in/FISchema/deposit" type="deposit" maskedAccNumber="XXXXXXXX9876">
+  <Profile><Holders type="JOINT">
+    <Holder name="RAVI SHARMA" ckycCompliance="true"/>
+    <Holder name="ANITA SHARMA" ckycCompliance="false"/>
+  </Holders></Profile>
+  <Summary currentBalance="5000.00" ifscCode="SBIN0001234" type="SAVINGS"/>
+  <Transactions startDate="2024-04-01" endDate="2024-04-30">
+    <Transaction txnId="X1" type="DEBIT" mode="UPI" amount="250.00" currentBalance="5000.00" valueDate="2024-04-02" narration="UPI/Tom &amp; Jerry Cafe"/>
+  </Transactions>
+</Account>`;
+
+test('recognises FI data as JSON or XML', () => {
+  assert.equal(sniffFiData(JSON_FI), 'json');
+  assert.equal(sniffFiData(`\uFEFF${XML_FI}`), 'xml');
+  assert.equal(sniffFiData('{"transactions": []}'), null);
+});
+
+test('reads a JSON deposit account', () => {
+  const [statement] = parseFiData(JSON_FI);
+  assert.equal(statement.template.id, 'aa');
+  assert.equal(statement.accountNumber, '4321');
+  assert.equal(statement.bank.id, 'hdfc');
+  assert.deepEqual(statement.holder, { type: 'SINGLE', names: ['RAVI SHARMA'], ckycCompliance: true });
+  assert.equal(statement.summary.currentBalance, 10450);
+  assert.deepEqual(statement.rows, [
+    { date: '2024-04-01', description: 'NEFT/ACME TECH/SALARY', amount: '52000.00', type: 'credit', balance: '62000', reference: 'T1', mode: 'FT' },
+    { date: '2024-04-03', description: 'Transaction', amount: '1550.50', type: 'debit', balance: '60449.5', reference: 'T2', mode: 'UPI' }
+  ]);
+  // Identity details beyond the holder's name stay with the FIP
+  assert.ok(!JSON.stringify(statement).includes('ABCDE1234F'));
+});
+
+test('reads an XML deposit account', () => {
+  const [statement] = parseFiData(XML_FI);
+  assert.equal(statement.accountNumber, '9876');
+  assert.equal(statement.bank.id, 'sbi');
+  assert.deepEqual(statement.holder, { type: 'JOINT', names: ['RAVI SHARMA', 'ANITA SHARMA'], ckycCompliance: false });
+  assert.equal(statement.rows[0].description, 'UPI/Tom & Jerry Cafe');
+});
+
+test('rejects FI data without deposit accounts', () => {
+  assert.throws(() => parseFiData('{"Account": {"type": "term_deposit", "Summary": {}}}'), err => err.code === 'UNSUPPORTED_FORMAT');
+  assert.throws(() => parseFiData('{"Account": '), /not valid JSON/);
+});
+
+test('reads the documents the mock aggregator serves', async () => {
+  const aggregator = createMockAggregator();
+  const { consentHandle } = await aggregator.requestConsent({
+    Customer: { id: 'ravi@finvu' },
+    FIDataRange: { from: '2024-01-01T00:00:00Z', to: '2024-06-30T00:00:00Z' }
+  });
+  const { status, consentId } = await aggregator.getConsentStatus(consentHandle);
+  assert.equal(status, 'ACTIVE');
+
+  const documents = await aggregator.fetchFinancialInformation(consentId);
+  assert.deepEqual(documents.map(d => d.format), ['json', 'xml']);
+  documents.forEach(document => {
+    const [statement] = parseFiData(document.document);
+    assert.equal(statement.accountNumber, document.maskedAccNumber.slice(-4));
+    assert.ok(statement.rows.length > 0);
+    assert.ok(statement.rows.every(row => row.date >= '2024-01-01' && row.date <= '2024-06-30'));
+  });
+});
+
+test('refuses to serve data for a rejected consent', async () => {
+  const aggregator = createMockAggregator();
+  const { consentHandle } = await aggregator.requestConsent({ Customer: { id: 'reject@finvu' } });
+  assert.equal((await aggregator.getConsentStatus(consentHandle)).status, 'REJECTED');
+  await assert.rejects(aggregator.fetchFinancialInformation(consentHandle), err => err.code === 'CONSENT_NOT_ACTIVE');
+});
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectAnomalies } = require('../analysis/anomalies');
+
+// Helper function to build a transaction with a UPI narration naming who it was with
+const upi = (date, type, amount, who, extra = {}) => ({
+  date,
+  description: `UPI/${type === 'income' ? 'CR' : 'DR'}/${date.replace(/-/g, '')}01/${who}/${who.toLowerCase()}@okaxis`,
+  amount,
+  type,
+  category: 'transfer',
+  accountId: 'acc-1',
+  ...extra
+});
+
+// A steady salary, so there is a usual credit size to compare against
+const SALARY = ['2024-01-01', '2024-02-01', '2024-03-01', '2024-04-01', '2024-05-01', '2024-06-01']
+  .map(date => ({
+    date, description: 'NEFT/N123456789012/ACME TECHNOLOGIES/SALARY', amount: 40000, type: 'income', category: 'salary', accountId: 'acc-1'
+  }));
+
+test('pairs a credit with the same amount debited back to its sender within three days', () => {
+  const findings = detectAnomalies([
+    ...SALARY,
+    upi('2024-03-10', 'income', 30000, 'RAVI'),
+    upi('2024-03-12', 'expense', 30000, 'RAVI')
+  ]);
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].type, 'reversal');
+  assert.deepEqual(findings[0].transactionIndexes, [6, 7]);
+  assert.equal(findings[0].incomeAmount, 30000);
+  assert.equal(findings[0].expenseAmount, 30000);
+});
+
+test('pairs a reversal by its narration even with another counterparty', () => {
+  const findings = detectAnomalies([
+    ...SALARY,
+    upi('2024-03-10', 'income', 30000, 'RAVI'),
+    { date: '2024-03-11', description: 'UPI REVERSAL 4123', amount: 30000, type: 'expense', accountId: 'acc-1' }
+  ]);
+  assert.deepEqual(findings.map(f => f.type), ['reversal']);
+});
+
+test("doesn't pair a reversal that comes before the credit, is late or differs in amount", () => {
+  const findings = detectAnomalies([
+    ...SALARY,
+    upi('2024-03-09', 'expense', 30000, 'RAVI'),
+    upi('2024-03-10', 'income', 30000, 'RAVI'),
+    upi('2024-04-10', 'income', 20000, 'ANIL'),
+    upi('2024-04-14', 'expense', 20000, 'ANIL'),
+    upi('2024-05-10', 'income', 25000, 'SONU'),
+    upi('2024-05-11', 'expense', 25000.5, 'SONU')
+  ]);
+  assert.equal(findings.filter(f => f.type === 'reversal').length, 0);
+});
+
+test('pairs the debit closest in date when several would do', () => {
+  const findings = detectAnomalies([
+    ...SALARY,
+    upi('2024-03-10', 'income', 30000, 'RAVI'),
+    upi('2024-03-13', 'expense', 30000, 'RAVI'),
+    upi('2024-03-11', 'expense', 30000, 'RAVI')
+  ]);
+  assert.equal(findings[0].type, 'reversal');
+  assert.deepEqual(findings[0].transactionIndexes, [6, 8]);
+});
+
+test('finds money received and paid back to the same counterparty within a month', () => {
+  const findings = detectAnomalies([
+    ...SALARY,
+    upi('2024-03-10', 'income', 50000, 'MOHAN'),
+    upi('2024-03-30', 'expense', 49000, 'MOHAN')
+  ]);
+  assert.deepEqual(findings.map(f => f.type), ['round_trip']);
+  assert.match(findings[0].explanation, /was paid back on 2024-03-30/);
+});
+
+test('leaves small, distant or mismatched round trips alone', () => {
+  const findings = detectAnomalies([
+    ...SALARY,
+    // Splitting a bill
+    upi('2024-02-10', 'expense', 600, 'PRIYA'),
+    upi('2024-02-12', 'income', 600, 'PRIYA'),
+    // More than 30 days apart
+    upi('2024-03-01', 'income', 45000, 'MOHAN'),
+    upi('2024-04-05', 'expense', 45000, 'MOHAN'),
+    // Amounts more than 5% apart
+    upi('2024-05-01', 'income', 45000, 'KIRAN'),
+    upi('2024-05-20', 'expense', 40000, 'KIRAN')
+  ]);
+  assert.equal(findings.filter(f => f.type === 'round_trip').length, 0);
+});
+
+test('flags a credit far above the usual ones unless it is explained', () => {
+  const findings = detectAnomalies([
+    ...SALARY,
+    upi('2024-04-15', 'income', 150000, 'UNKNOWN PARTY'),
+    { date: '2024-05-15', description: 'NEFT/N123456789013/ACME TECHNOLOGIES/BONUS', amount: 150000, type: 'income', category: 'salary', accountId: 'acc-1' }
+  ]);
+  assert.deepEqual(findings.map(f => [f.type, f.transactionIndexes]), [['large_credit', [6]]]);
+  assert.match(findings[0].explanation, /3\.8 times the usual credit/);
+});
+
+test('flags a balance spike at the end of the statement with the credits behind it', () => {
+  const days = Array.from({ length: 20 }, (_, i) => new Date(Date.UTC(2024, 4, 1 + i * 2)).toISOString().slice(0, 10));
+  const steady = days.map(date => ({
+    date, description: 'POS 4111XXXX1234 DMART', amount: 100, type: 'expense', category: 'groceries', accountId: 'acc-1', balance: 20000
+  }));
+  const findings = detectAnomalies([
+    ...SALARY.map(t => ({ ...t, balance: 20000 })),
+    ...steady,
+    upi('2024-06-25', 'income', 70000, 'FRIEND', { balance: 90000 }),
+    { date: '2024-06-28', description: 'POS 4111XXXX1234 DMART', amount: 100, type: 'expense', accountId: 'acc-1', balance: 89900 }
+  ]);
+  const spike = findings.find(f => f.type === 'balance_spike');
+  assert.ok(spike);
+  assert.equal(spike.incomeAmount, 70000);
+  assert.equal(findings.filter(f => f.type === 'large_credit').length, 0);
+});
+
+test('skips self-transfers and numbers findings per type', () => {
+  const findings = detectAnomalies([
+    ...SALARY,
+    upi('2024-02-10', 'income', 30000, 'RAVI'),
+    upi('2024-02-11', 'expense', 30000, 'RAVI'),
+    upi('2024-03-10', 'income', 30000, 'RAVI', { selfTransfer: { reason: 'own_name' } }),
+    upi('2024-03-11', 'expense', 30000, 'RAVI'),
+    upi('2024-04-10', 'income', 30000, 'ANIL'),
+    upi('2024-04-11', 'expense', 30000, 'ANIL')
+  ]);
+  assert.deepEqual(findings.map(f => f.id), ['reversal-1', 'reversal-2']);
+  assert.deepEqual(findings.map(f => f.date), ['2024-02-10', '2024-04-10']);
+});
@@ -0,0 +1,235 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// These tests run the server on a free port with a store in a temporary
+// directory, and go through the API the way the client does.
+
+const REVIEWER = 'reviewer@example.com';
+
+// Six months of salary, rent and groceries, then a large cash deposit just
+// before applying
+const STATEMENT = [
+  'Date,Description,Amount,Type',
+  ...[1, 2, 3, 4, 5, 6].flatMap(month => [
+    `2024-0${month}-01,NEFT/N12345678901${month}/ACME TECHNOLOGIES PVT LTD/SALARY,40000,credit`,
+    `2024-0${month}-05,UPI/DR/41234567890${month}/LANDLORD/okaxis/Rent,15000,debit`,
+    `2024-0${month}-12,POS 4111XXXX1234 DMART,12000,debit`
+  ]),
+  '2024-06-14,CASH DEPOSIT CDM MG ROAD,150000,credit'
+].join('\n');
+
+// Helper function to find a port nothing is listening on
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.on('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+let baseUrl;
+let dataDir;
+let server;
+
+// Helper function to call the API: resolves to { status, body }
+async function api(method, route, { token, body, form } = {}) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  if (body) headers['content-type'] = 'application/json';
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers,
+    body: form || (body ? JSON.stringify(body) : undefined)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Helper function to register a user and return their token
+async function register(email) {
+  const { body } = await api('POST', '/api/register', { body: { email, password: 'secret', name: 'Test User' } });
+  return body.token;
+}
+
+// Helper function to upload the statement and wait for its analysis
+async function uploadStatement(token) {
+  const form = new FormData();
+  form.append('statements', new Blob([STATEMENT], { type: 'text/csv' }), 'statement.csv');
+  const { body } = await api('POST', '/api/upload', { token, form });
+  for (let attempt = 0; attempt < 100; attempt++) {
+    const { body: job } = await api('GET', `/api/upload/jobs/${body.jobId}`, { token });
+    if (job.status === 'done') return job;
+    if (job.status === 'failed') throw new Error(JSON.stringify(job.error));
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Upload did not finish');
+}
+
+test.before(async () => {
+  dataDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'review-test-'));
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ['server.js'], {
+    cwd: path.join(__dirname, '..'),
+    env: {
+      ...process.env,
+      PORT: String(port),
+      STORAGE_FILE: path.join(dataDir, 'store.json'),
+      ADMIN_EMAILS: REVIEWER,
+      OCR_POOL_SIZE: '1'
+    },
+    stdio: 'ignore'
+  });
+  for (let attempt = 0; attempt < 100; attempt++) {
+    try {
+      await fetch(`${baseUrl}/api/health`);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error('Server did not start');
+});
+
+test.after(async () => {
+  if (server.exitCode === null) {
+    const exited = new Promise(resolve => server.once('exit', resolve));
+    server.kill();
+    await exited;
+  }
+  await fs.promises.rm(dataDir, { recursive: true, force: true });
+});
+
+test('counts unusual credits unless the applicant leaves them out, and sends counted ones for review', async (t) => {
+  const borrower = await register('borrower@example.com');
+  const reviewer = await register(REVIEWER);
+  const job = await uploadStatement(borrower);
+  const findings = job.analysis.anomalies.findings;
+  const deposit = findings.find(finding => finding.type === 'large_credit');
+  assert.ok(deposit, 'the cash deposit is flagged');
+
+  let counted;
+  await t.test('findings are counted by default', async () => {
+    const { status, body } = await api('POST', '/api/check-eligibility', { token: borrower, body: { uploadId: job.uploadId } });
+    assert.equal(status, 200);
+    assert.equal(body.eligibility.decision, 'manual_review');
+    assert.ok(body.eligibility.reasonCodes.includes('UNUSUAL_CREDITS_COUNTED'));
+    assert.equal(body.analysis.anomalies.excludedIncome, 0);
+    assert.equal(body.analysis.totalIncome, job.analysis.totalIncome);
+    counted = body.applicationId;
+  });
+
+  await t.test('the applicant can leave a finding out', async () => {
+    const { status, body } = await api('POST', '/api/check-eligibility', {
+      token: borrower,
+      body: { uploadId: job.uploadId, excludeAnomalies: findings.map(finding => finding.id) }
+    });
+    assert.equal(status, 200);
+    assert.notEqual(body.eligibility.decision, 'manual_review');
+    assert.ok(body.eligibility.reasonCodes.includes('UNUSUAL_CREDITS_EXCLUDED'));
+    assert.equal(body.analysis.anomalies.excludedIncome, 150000);
+    assert.equal(body.analysis.totalIncome, job.analysis.totalIncome - 150000);
+    assert.equal(body.analysis.anomalies.reviewedBy, null);
+  });
+
+  await t.test('exclusions must name findings of the upload', async () => {
+    const invalid = await api('POST', '/api/check-eligibility', {
+      token: borrower,
+      body: { uploadId: job.uploadId, excludeAnomalies: 'all' }
+    });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'INVALID_EXCLUSIONS');
+    const unknown = await api('POST', '/api/check-eligibility', {
+      token: borrower,
+      body: { uploadId: job.uploadId, excludeAnomalies: ['nope'] }
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'UNKNOWN_ANOMALY');
+  });
+
+  await t.test('only reviewers can list applications', async () => {
+    const { status } = await api('GET', '/api/admin/applications', { token: borrower });
+    assert.equal(status, 403);
+  });
+
+  await t.test('reviewers see applications waiting for review, or all of them', async () => {
+    const waiting = await api('GET', '/api/admin/applications', { token: reviewer });
+    assert.equal(waiting.status, 200);
+    assert.deepEqual(waiting.body.applications.map(a => a.id), [counted]);
+    assert.deepEqual(waiting.body.applications[0].anomalies.map(f => f.id), findings.map(f => f.id));
+    const all = await api('GET', '/api/admin/applications?status=all', { token: reviewer });
+    assert.equal(all.body.applications.length, 2);
+  });
+
+  await t.test('a review request must name findings of the application', async () => {
+    const invalid = await api('POST', `/api/admin/applications/${counted}/anomalies`, {
+      token: reviewer,
+      body: { excludeAnomalies: [1] }
+    });
+    assert.equal(invalid.body.code, 'INVALID_EXCLUSIONS');
+    const unknown = await api('POST', `/api/admin/applications/${counted}/anomalies`, {
+      token: reviewer,
+      body: { excludeAnomalies: ['nope'] }
+    });
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'UNKNOWN_ANOMALY');
+    const missing = await api('POST', '/api/admin/applications/123/anomalies', { token: reviewer, body: {} });
+    assert.equal(missing.status, 404);
+  });
+
+  await t.test('a reviewer who accepts the credits decides the application', async () => {
+    const { status, body } = await api('POST', `/api/admin/applications/${counted}/anomalies`, {
+      token: reviewer,
+      body: { excludeAnomalies: [] }
+    });
+    assert.equal(status, 200);
+    assert.notEqual(body.application.status, 'manual_review');
+    assert.equal(body.application.analysis.anomalies.reviewedBy, REVIEWER);
+    assert.ok(body.application.reviewedAt);
+    assert.ok(body.application.eligibility.reasonCodes.includes('UNUSUAL_CREDITS_COUNTED'));
+
+    const waiting = await api('GET', '/api/admin/applications', { token: reviewer });
+    assert.deepEqual(waiting.body.applications, []);
+  });
+
+  await t.test('a policy can leave every finding out', async () => {
+    const { body: versions } = await api('GET', '/api/admin/policies', { token: reviewer });
+    const { body: current } = await api('GET', `/api/admin/policies/${versions.activeVersion}`, { token: reviewer });
+    const policy = { ...current.policy.policy, anomalies: { excludeFromScoring: true } };
+    const saved = await api('POST', '/api/admin/policies', { token: reviewer, body: { policy, note: 'leave anomalies out' } });
+    assert.equal(saved.status, 201);
+
+    const { body } = await api('POST', '/api/check-eligibility', { token: borrower, body: { uploadId: job.uploadId } });
+    assert.equal(body.analysis.anomalies.excludedIncome, 150000);
+    assert.ok(body.analysis.anomalies.findings.every(finding => finding.excluded));
+
+    policy.anomalies.excludeFromScoring = false;
+    await api('POST', '/api/admin/policies', { token: reviewer, body: { policy, note: 'count anomalies' } });
+  });
+
+  await t.test('findings of an upload whose transactions are missing are counted', async () => {
+    await fs.promises.rm(path.join(dataDir, 'transactions', `${job.uploadId}.json`));
+
+    const { status, body } = await api('POST', '/api/check-eligibility', { token: borrower, body: { uploadId: job.uploadId } });
+    assert.equal(status, 200);
+    assert.equal(body.eligibility.decision, 'manual_review');
+    const excluded = await api('POST', '/api/check-eligibility', {
+      token: borrower,
+      body: { uploadId: job.uploadId, excludeAnomalies: [deposit.id] }
+    });
+    assert.equal(excluded.status, 400);
+    assert.equal(excluded.body.code, 'UNKNOWN_ANOMALY');
+    const review = await api('POST', `/api/admin/applications/${body.applicationId}/anomalies`, {
+      token: reviewer,
+      body: { excludeAnomalies: [deposit.id] }
+    });
+    assert.equal(review.status, 400);
+    assert.equal(review.body.code, 'NO_ANOMALIES');
+  });
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeBalances } = require('../analysis/balances');
+
+const tx = (date, balance, accountId = 'hdfc') => ({ date, type: 'expense', amount: 100, balance, accountId });
+
+test('carries each closing balance over the days without transactions', () => {
+  const transactions = [
+    tx('2024-01-30', '500'),
+    tx('2024-01-30', '1000'),
+    tx('2024-02-01', '3000'),
+    tx('2024-02-03', '-200')
+  ];
+  assert.deepEqual(summarizeBalances(transactions), {
+    available: true,
+    days: 5,
+    averageDailyBalance: 1560,
+    // February isn't over yet, so only January has a month-end
+    averageMonthEndBalance: 1000,
+    lowestBalance: -200,
+    latestBalance: -200,
+    daysNearZero: 0,
+    daysOverdrawn: 1,
+    nearZeroBelow: 1000,
+    months: [
+      { month: '2024-01', average: 1000, minimum: 1000, monthEnd: 1000 },
+      { month: '2024-02', average: 1933.33, minimum: -200, monthEnd: -200 }
+    ]
+  });
+});
+
+test('reads newest-first statements in reverse', () => {
+  const oldestFirst = [tx('2024-01-30', '500'), tx('2024-01-30', '1000'), tx('2024-02-01', '3000'), tx('2024-02-03', '-200')];
+  assert.deepEqual(summarizeBalances([...oldestFirst].reverse()), summarizeBalances(oldestFirst));
+});
+
+test('adds accounts together, assuming the earliest balance before the first transaction', () => {
+  const summary = summarizeBalances([
+    tx('2024-01-29', '500', 'hdfc'),
+    tx('2024-01-30', '', 'hdfc'),
+    tx('2024-01-31', '700', 'hdfc'),
+    tx('2024-01-30', '400', 'sbi'),
+    tx('2024-01-31', '200', 'sbi'),
+    // An account with a single balance says nothing about how it moved
+    tx('2024-01-30', '90000', 'icici')
+  ]);
+  assert.equal(summary.days, 3);
+  assert.deepEqual(summary.months, [{ month: '2024-01', average: 900, minimum: 900, monthEnd: 900 }]);
+  assert.equal(summary.averageMonthEndBalance, 900);
+  assert.equal(summary.daysNearZero, 3);
+});
+
+test('is unavailable when no account prints a running balance', () => {
+  assert.deepEqual(summarizeBalances([tx('2024-01-01', ''), tx('2024-01-02', undefined)]), { available: false });
+  assert.deepEqual(summarizeBalances([]), { available: false });
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { sniffBankExport, detectBankExport, parseBankExport } = require('../parsers/bankExports');
+
+const OFX = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<BANKACCTFROM><ACCTID>XXXXXX1234</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20240403120000[+5.5:IST]<TRNAMT>-450.00<FITID>A1<NAME>Swiggy<MEMO>Order &amp; tip
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20240405<TRNAMT>52000.00<FITID>A2<NAME>ACME TECH<MEMO>Salary
+<STMTTRN><TRNTYPE>OTHER<DTPOSTED>20240406<TRNAMT>0.00<FITID>A3<NAME>Nothing
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>
+`;
+
+const MT940 = `:20:STMT0424
+:25:HDFC0001234/50100012345678
+:28C:1/1
+:60F:C240401INR10000,00
+:61:2404030403D450,00NTRFNONREF//UPI123
+:86:UPI/Swiggy
+:61:240405C52000,00NTRFSAL0424
+:86:166?00SALARY?20APR 2024 ?21PAYROLL?32ACME TECH
+:61:240406RC100,00NCHGREF9
+:86:Reversal of cashback
+:62F:C240406INR61450,00
+-`;
+
+const CAMT = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+<BkToCstmrStmt><Stmt>
+<Acct><Id><Othr><Id>50100087654321</Id></Othr></Id></Acct>
+<Ntry><Amt Ccy="INR">52000.00</Amt><CdtDbtInd>CRDT</CdtDbtInd><Sts>BOOK</Sts>
+<BookgDt><Dt>2024-04-05</Dt></BookgDt><AcctSvcrRef>REF1</AcctSvcrRef>
+<NtryDtls><TxDtls><RltdPties><Dbtr><Nm>ACME TECH</Nm></Dbtr><Cdtr><Nm>Me</Nm></Cdtr></RltdPties>
+<RmtInf><Ustrd>Salary April</Ustrd></RmtInf></TxDtls></NtryDtls></Ntry>
+<Ntry><Amt Ccy="INR">999.00</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts>PDNG</Sts>
+<BookgDt><Dt>2024-04-06</Dt></BookgDt></Ntry>
+<Ntry><Amt Ccy="INR">1200.50</Amt><CdtDbtInd>DBIT</CdtDbtInd><Sts><Cd>BOOK</Cd></Sts>
+<ValDt><DtTm>2024-04-07T10:00:00</DtTm></ValDt>
+<NtryDtls><TxDtls><RltdPties><Cdtr><Nm>BESCOM</Nm></Cdtr></RltdPties></TxDtls></NtryDtls></Ntry>
+</Stmt></BkToCstmrStmt></Document>`;
+
+// Helper function to write text to a temporary file and parse it
+async function parseText(t, text) {
+  t.mock.method(console, 'log', () => {});
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'export-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'statement.txt');
+  await fs.promises.writeFile(filePath, text);
+  return { filePath, result: parseBankExport(filePath) };
+}
+
+test('recognises each format by its content', () => {
+  assert.equal(sniffBankExport(OFX), 'ofx');
+  assert.equal(sniffBankExport('\uFEFF<?xml version="1.0"?><?OFX OFXHEADER="200"?>'), 'ofx');
+  assert.equal(sniffBankExport(MT940), 'mt940');
+  assert.equal(sniffBankExport(CAMT), 'camt053');
+  assert.equal(sniffBankExport('Date,Narration,Amount\n01/04/2024,UPI,100'), null);
+});
+
+test('reads OFX transactions, skipping zero amounts', async (t) => {
+  const { filePath, result } = await parseText(t, OFX);
+  assert.equal(await detectBankExport(filePath), 'ofx');
+  assert.equal(result.template.id, 'ofx');
+  assert.equal(result.accountNumber, '1234');
+  assert.deepEqual(result.rows, [
+    { date: '2024-04-03', description: 'Swiggy - Order & tip', amount: '450.00', type: 'debit', reference: 'A1' },
+    { date: '2024-04-05', description: 'ACME TECH - Salary', amount: '52000.00', type: 'credit', reference: 'A2' }
+  ]);
+});
+
+test('reads MT940 statement lines with their narratives', async (t) => {
+  const { result } = await parseText(t, MT940);
+  assert.equal(result.accountNumber, '5678');
+  assert.deepEqual(result.rows, [
+    { date: '2024-04-03', description: 'UPI/Swiggy', amount: '450.00', type: 'debit', reference: '' },
+    { date: '2024-04-05', description: 'ACME TECH - APR 2024 PAYROLL - SALARY', amount: '52000.00', type: 'credit', reference: 'SAL0424' },
+    // A reversed credit takes the money back out
+    { date: '2024-04-06', description: 'Reversal of cashback', amount: '100.00', type: 'debit', reference: 'REF9' }
+  ]);
+});
+
+test('reads booked CAMT.053 entries and names the counterparty', async (t) => {
+  const { result } = await parseText(t, CAMT);
+  assert.equal(result.accountNumber, '4321');
+  assert.deepEqual(result.rows, [
+    { date: '2024-04-05', description: 'ACME TECH - Salary April', amount: '52000.00', type: 'credit', reference: 'REF1' },
+    { date: '2024-04-07', description: 'BESCOM', amount: '1200.50', type: 'debit', reference: '' }
+  ]);
+});
+
+test('rejects a file in no known format', async (t) => {
+  await assert.rejects(parseText(t, 'just some text'), err => err.code === 'UNSUPPORTED_FORMAT');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { categorizeTransaction, narrationDirection, summarizeCategories } = require('../analysis/categories');
+
+const income = description => categorizeTransaction({ type: 'income', description });
+const expense = description => categorizeTransaction({ type: 'expense', description });
+
+test('categorizes narrations by the first category that matches', () => {
+  assert.equal(income('NEFT/ACME TECH PVT LTD/SALARY APR'), 'salary');
+  assert.equal(expense('LIC PREMIUM NACH'), 'insurance');
+  assert.equal(expense('BAJAJ FIN EMI 0423'), 'emi');
+  assert.equal(expense('POS BESCOM BANGALORE'), 'utilities');
+  assert.equal(expense('ATM WDL 12345'), 'cash_withdrawal');
+  // Bounces come before the EMI they bounced
+  assert.equal(expense('NACH RTN CHG BAJAJ FIN EMI'), 'penalties');
+});
+
+test('only applies a category to money moving its way', () => {
+  assert.equal(expense('SALARY ADVANCE RECOVERY'), 'other_expense');
+  assert.equal(income('BAJAJ FIN EMI REFUND'), 'refund');
+  assert.equal(income('MISC'), 'other_income');
+});
+
+test('keeps UPI transfers to businesses out of person-to-person transfers', () => {
+  assert.equal(expense('UPI/DR/412345678901/Ravi Kumar/okaxis'), 'upi_p2p');
+  assert.equal(expense('UPI/DR/412345678901/SHARMA TRADERS/paytmqr'), 'other_expense');
+  assert.equal(income('UPI/CR/412345678901/Anita/ybl'), 'upi_p2p');
+});
+
+test('reads the direction from markers, then categories, then generic words', () => {
+  assert.equal(narrationDirection('UPI/DR/1234/SALARY REFUND'), 'debit');
+  assert.equal(narrationDirection('IMPS/CR/1234/RENT'), 'credit');
+  assert.equal(narrationDirection('SALARY FOR APRIL'), 'credit');
+  assert.equal(narrationDirection('HOUSE RENT APRIL'), 'debit');
+  assert.equal(narrationDirection('POS PURCHASE 1234'), 'debit');
+  assert.equal(narrationDirection('BY TRANSFER'), 'credit');
+  assert.equal(narrationDirection('MISC 1234'), null);
+  assert.equal(narrationDirection('जमा राशि', { debitHints: ['नामे'], creditHints: ['जमा'] }), 'credit');
+});
+
+test('reads loan disbursements as credits and loan interest as debits', () => {
+  assert.equal(narrationDirection('LOAN DISBURSEMENT A/C 1234'), 'credit');
+  assert.equal(narrationDirection('PERSONAL LOAN DISBURSAL'), 'credit');
+  assert.equal(narrationDirection('INTEREST CHARGED ON LOAN A/C 1234'), 'debit');
+  assert.equal(narrationDirection('LOAN INT FOR MAR'), 'debit');
+  // Without such a marker a loan is a repayment and interest is earned
+  assert.equal(narrationDirection('HOME LOAN A/C 1234'), 'debit');
+  assert.equal(narrationDirection('SB INTEREST CREDIT'), 'credit');
+});
+
+test('totals categories within income and expenses', () => {
+  const summary = summarizeCategories([
+    { type: 'income', amount: 50000, category: 'salary' },
+    { type: 'expense', amount: 15000, category: 'rent' },
+    { type: 'expense', amount: 2500.255, category: 'utilities' },
+    { type: 'expense', amount: 2499.745, category: 'utilities' },
+    { type: 'expense', amount: 5000 }
+  ]);
+  assert.deepEqual(summary.map(s => [s.category, s.total, s.count, s.share]), [
+    ['salary', 50000, 1, 100],
+    ['rent', 15000, 1, 60],
+    ['utilities', 5000, 2, 20],
+    ['other_expense', 5000, 1, 20]
+  ]);
+  assert.equal(summary[0].name, 'Salary');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  normalizeHeader, headerSignature, parseAmount, proposeMapping, validateMapping, applyMapping, collectHeaders
+} = require('../parsers/columnMapping');
+
+test('normalizes bank header spellings', () => {
+  assert.equal(normalizeHeader('Withdrawal Amt. (INR)'), 'withdrawal amt');
+  assert.equal(normalizeHeader('Balance (₹)'), 'balance');
+});
+
+test('gives the same signature to the same layout however it is spelled', () => {
+  assert.equal(headerSignature(['Date', 'Narration']), headerSignature(['DATE', 'narration ']));
+  assert.notEqual(headerSignature(['Date', 'Narration']), headerSignature(['Narration', 'Date']));
+});
+
+test('parses Indian money cells', () => {
+  assert.equal(parseAmount('1,23,456.50'), 123456.5);
+  assert.equal(parseAmount('₹ 500'), 500);
+  assert.equal(parseAmount('Rs. 75'), 75);
+  assert.equal(parseAmount('(200.00)'), -200);
+  assert.equal(parseAmount('300 Dr'), -300);
+  assert.equal(parseAmount('300 Cr'), 300);
+  assert.ok(Number.isNaN(parseAmount('')));
+});
+
+test('proposes debit and credit columns over a signed amount', () => {
+  const headers = ['Txn Date', 'Narration', 'Chq./Ref.No.', 'Withdrawal Amt.', 'Deposit Amt.', 'Closing Balance'];
+  assert.deepEqual(proposeMapping(headers), {
+    date: 'Txn Date',
+    description: 'Narration',
+    amount: null,
+    type: null,
+    debit: 'Withdrawal Amt.',
+    credit: 'Deposit Amt.',
+    balance: 'Closing Balance'
+  });
+});
+
+test('falls back to the first numeric column for the amount', () => {
+  const rows = [{ When: '01/04/2024', What: 'Tea', Ref: '1234', Rupees: '20.00' }];
+  const mapping = proposeMapping(['When', 'What', 'Ref', 'Rupees'], rows);
+  assert.equal(mapping.amount, 'Rupees');
+});
+
+test('rejects mappings without a date or an amount, with unknown columns or with a column used twice', () => {
+  assert.deepEqual(validateMapping({ date: 'Date', amount: 'Amount' }, ['Date', 'Amount']), []);
+  assert.deepEqual(validateMapping({ description: 'Narration' }, ['Narration']), [
+    'A date column is required',
+    'Map either an amount column or debit/credit columns'
+  ]);
+  assert.deepEqual(validateMapping({ date: 'Date', amount: 'Amt', colour: 'x' }, ['Date']), [
+    'Column "Amt" mapped to amount is not in the file',
+    'Unknown mapping role "colour"'
+  ]);
+  assert.deepEqual(validateMapping({ date: 'Date', debit: 'Amount', credit: 'Amount' }, ['Date', 'Amount']), [
+    'Column "Amount" is mapped to more than one role (debit, credit)'
+  ]);
+});
+
+test('turns rows into positive amounts with a direction', () => {
+  const rows = applyMapping([
+    { Date: '01/04/2024', Desc: 'Salary', Debit: '', Credit: '40,000.00', Bal: '50,000.00' },
+    { Date: '02/04/2024', Desc: 'Rent', Debit: '15,000.00', Credit: '', Bal: '35,000.00' },
+    { Date: '03/04/2024', Desc: 'Nothing', Debit: '0.00', Credit: '', Bal: '35,000.00' }
+  ], { date: 'Date', description: 'Desc', debit: 'Debit', credit: 'Credit', balance: 'Bal' });
+  assert.deepEqual(rows, [
+    { date: '01/04/2024', description: 'Salary', balance: '50000', amount: '40000', type: 'credit' },
+    { date: '02/04/2024', description: 'Rent', balance: '35000', amount: '15000', type: 'debit' }
+  ]);
+
+  const signed = applyMapping([
+    { Date: '01/04/2024', Amount: '-250' },
+    { Date: '02/04/2024', Amount: '250', Type: 'DR' }
+  ], { date: 'Date', amount: 'Amount', type: 'Type' });
+  assert.deepEqual(signed.map(r => [r.amount, r.type, r.description]), [
+    ['250', 'debit', 'Transaction'],
+    ['250', 'debit', 'Transaction']
+  ]);
+});
+
+test('collects headers in column order across rows', () => {
+  assert.deepEqual(collectHeaders([{ a: 1, b: 2 }, { b: 3, c: 4 }]), ['a', 'b', 'c']);
+});
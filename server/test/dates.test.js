@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { readDateParts, inferDayOrder, normalizeStatementDates, parseIsoDate } = require('../analysis/dates');
+
+const TODAY = new Date(Date.UTC(2024, 5, 30));
+
+// Helper function to normalize a list of raw dates as one statement
+function normalize(dates, options = {}) {
+  return normalizeStatementDates(dates.map(date => ({ date })), { today: TODAY, ...options });
+}
+
+test('reads a statement as day-first when a day above 12 comes first', () => {
+  const result = normalize(['03/04/2024', '13/04/2024', '05/04/2024']);
+  assert.equal(result.dayOrder, 'DMY');
+  assert.deepEqual(result.transactions.map(t => t.date), ['2024-04-03', '2024-04-13', '2024-04-05']);
+});
+
+test('reads a statement as month-first when a day above 12 comes second', () => {
+  const result = normalize(['04/03/2024', '04/13/2024']);
+  assert.equal(result.dayOrder, 'MDY');
+  assert.deepEqual(result.transactions.map(t => t.date), ['2024-04-03', '2024-04-13']);
+});
+
+test('falls back to day-first, or the dayFirst option, when nothing disambiguates', () => {
+  assert.equal(normalize(['01/02/2024', '03/04/2024']).transactions[0].date, '2024-02-01');
+  assert.equal(normalize(['01/02/2024'], { dayFirst: false }).transactions[0].date, '2024-01-02');
+});
+
+test('uses header hints to infer the order of ambiguous rows', () => {
+  const result = normalize(['01/02/2024'], { hints: ['02/28/2024'] });
+  assert.equal(result.dayOrder, 'MDY');
+  assert.equal(result.transactions[0].date, '2024-01-02');
+});
+
+test('reads month names, ISO dates, two-digit years and Excel serials', () => {
+  const result = normalize(['01-Apr-24', '2 May 2024', 'Jun 3, 2024', '2024-01-15', 45383, '45383']);
+  assert.deepEqual(result.transactions.map(t => t.date), [
+    '2024-04-01', '2024-05-02', '2024-06-03', '2024-01-15', '2024-04-01', '2024-04-01'
+  ]);
+  assert.equal(result.unresolved.length, 0);
+});
+
+test('expands two-digit years more than a year ahead into the previous century', () => {
+  assert.equal(readDateParts('01/01/99', TODAY).year, 1999);
+  assert.equal(readDateParts('01/01/25', TODAY).year, 2025);
+});
+
+test('gives OCR rows without a year the latest year not after the statement', () => {
+  const result = normalize(['28/12', '02/01', '15/01/2024']);
+  assert.deepEqual(result.transactions.map(t => t.date), ['2023-12-28', '2024-01-02', '2024-01-15']);
+  assert.equal(result.yearsInferred, 2);
+});
+
+test('reports dates it cannot read and leaves them as they were', () => {
+  const result = normalize(['31/02/2024', 'pending', '', '10/04/2024']);
+  assert.deepEqual(result.unresolved.map(u => u.index), [0, 1, 2]);
+  assert.equal(result.transactions[1].date, 'pending');
+  assert.equal(result.transactions[3].date, '2024-04-10');
+});
+
+test('inferDayOrder returns null without numeric dates', () => {
+  assert.equal(inferDayOrder([readDateParts('01-Apr-2024', TODAY), null]), null);
+});
+
+test('parseIsoDate only accepts normalized dates', () => {
+  assert.equal(parseIsoDate('2024-04-01').toISOString(), '2024-04-01T00:00:00.000Z');
+  assert.equal(parseIsoDate('01/04/2024'), null);
+  assert.equal(parseIsoDate(undefined), null);
+});
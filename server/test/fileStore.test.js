@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFileStore } = require('../storage/fileStore');
+const { migrations } = require('../storage/migrations');
+
+// Helper function to create a store in a fresh temporary directory
+async function openStore(t) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'store.json');
+  const store = createFileStore({ filePath });
+  await store.init();
+  return { store, filePath };
+}
+
+test('creates a migrated data file on first start', async (t) => {
+  const { filePath } = await openStore(t);
+  const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  assert.equal(saved.schemaVersion, migrations[migrations.length - 1].version);
+  assert.deepEqual(saved.users, []);
+  assert.deepEqual(saved.uploadJobs, []);
+});
+
+test('refuses to start from a corrupt data file', async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'store-test-'));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const filePath = path.join(dir, 'store.json');
+  await fs.promises.writeFile(filePath, '{"users": [');
+  await assert.rejects(createFileStore({ filePath }).init(), /is corrupt/);
+});
+
+test('keeps records across restarts and hands out copies', async (t) => {
+  const { store, filePath } = await openStore(t);
+  const user = { id: '1', email: 'a@example.com', name: 'Asha' };
+  await store.createUser(user);
+  user.name = 'changed';
+  (await store.findUserByEmail('a@example.com')).name = 'changed too';
+
+  const reopened = createFileStore({ filePath });
+  await reopened.init();
+  assert.deepEqual(await reopened.findUserByEmail('a@example.com'), { id: '1', email: 'a@example.com', name: 'Asha' });
+});
+
+test('stores upload transactions in their own file', async (t) => {
+  const { store, filePath } = await openStore(t);
+  await store.saveUploadTransactions('42', [{ amount: 100 }]);
+  assert.deepEqual(await store.findUploadTransactions('42'), [{ amount: 100 }]);
+  assert.equal(await store.findUploadTransactions('43'), undefined);
+  assert.ok(fs.existsSync(path.join(path.dirname(filePath), 'transactions', '42.json')));
+  // Upload IDs never reach outside the transactions directory
+  await store.saveUploadTransactions('../../escape', []);
+  assert.ok(fs.existsSync(path.join(path.dirname(filePath), 'transactions', 'escape.json')));
+});
+
+test('lists only upload jobs that have not finished', async (t) => {
+  const { store } = await openStore(t);
+  await store.createUploadJob({ id: 'a', userId: 'u', status: 'queued' });
+  await store.createUploadJob({ id: 'b', userId: 'u', status: 'done' });
+  await store.createUploadJob({ id: 'c', userId: 'u', status: 'processing' });
+  await store.updateUploadJob('c', { status: 'failed' });
+  assert.deepEqual((await store.listUnfinishedUploadJobs()).map(j => j.id), ['a']);
+  assert.equal(await store.findUploadJobForUser('a', 'someone else'), undefined);
+});
+
+test('numbers policy versions and keeps exactly one active', async (t) => {
+  const { store } = await openStore(t);
+  const first = await store.createPolicy({ policy: { a: 1 } });
+  const second = await store.createPolicy({ policy: { a: 2 } });
+  assert.deepEqual([first.version, second.version], [1, 2]);
+  assert.equal(second.active, false);
+
+  await store.activatePolicy(1);
+  await store.activatePolicy(2);
+  assert.deepEqual((await store.listPolicies()).map(p => p.active), [false, true]);
+  assert.equal((await store.findActivePolicy()).version, 2);
+  assert.equal(await store.activatePolicy(9), undefined);
+});
+
+test('keeps writing after a failed write', async (t) => {
+  const { store, filePath } = await openStore(t);
+  const rename = fs.promises.rename;
+  fs.promises.rename = async () => {
+    throw new Error('disk full');
+  };
+  try {
+    await assert.rejects(store.createUser({ id: '1', email: 'a@example.com' }), /disk full/);
+  } finally {
+    fs.promises.rename = rename;
+  }
+
+  await store.createUser({ id: '2', email: 'b@example.com' });
+  const saved = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  assert.deepEqual(saved.users.map(u => u.id), ['1', '2']);
+});
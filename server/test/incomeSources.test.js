@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { summarizeIncomeSources } = require('../analysis/incomeSources');
+
+const credit = (date, amount, category, description, counterparty) => ({
+  date,
+  type: 'income',
+  amount,
+  category,
+  description,
+  narration: counterparty ? { counterparty } : null
+});
+const debit = (date, amount) => ({ date, type: 'expense', amount, category: 'shopping', description: 'POS DMART' });
+
+test('tags a borrower paid mostly by an employer as salaried', () => {
+  const summary = summarizeIncomeSources([
+    credit('2024-01-01', 50000, 'salary', 'NEFT/ACME/SALARY', 'ACME'),
+    credit('2024-02-01', 50000, 'salary', 'NEFT/ACME/SALARY', 'ACME'),
+    credit('2024-03-01', 50000, 'salary', 'NEFT/ACME/SALARY', 'ACME'),
+    credit('2024-03-28', 100, 'interest', 'INT.PD')
+  ]);
+  assert.equal(summary.archetype, 'salaried');
+  assert.equal(summary.archetypeLabel, 'Salaried');
+  assert.equal(summary.stability, 100);
+  assert.deepEqual(summary.byClass.map(c => c.incomeClass), ['salary', 'interest']);
+  assert.deepEqual(summary.streams[0], {
+    incomeClass: 'salary',
+    name: 'ACME',
+    total: 150000,
+    share: (150000 / 150100) * 100,
+    count: 3,
+    monthsActive: 3,
+    averageMonthly: 50000,
+    stability: 100
+  });
+  // One interest credit in three months is anything but steady
+  assert.equal(summary.streams[1].stability, 0);
+});
+
+test('counts months a stream paid nothing against its stability', () => {
+  const summary = summarizeIncomeSources([
+    credit('2024-01-01', 50000, 'salary', 'NEFT/ACME/SALARY', 'ACME'),
+    debit('2024-02-10', 2000),
+    credit('2024-03-01', 50000, 'salary', 'NEFT/ACME/SALARY', 'ACME')
+  ]);
+  assert.equal(summary.streams[0].monthsActive, 2);
+  assert.equal(summary.streams[0].averageMonthly, 33333.33);
+  assert.equal(summary.streams[0].stability, 29);
+});
+
+test('gives each gig platform its own stream, but not its refunds', () => {
+  const summary = summarizeIncomeSources([
+    credit('2024-01-07', 6000, 'other_income', 'NEFT-SWIGGY LIMITED-PAYOUT'),
+    credit('2024-01-14', 4000, 'other_income', 'NEFT-ZOMATO LTD-PAYOUT'),
+    credit('2024-01-21', 5000, 'other_income', 'NEFT-SWIGGY LIMITED-PAYOUT'),
+    credit('2024-01-25', 300, 'refund', 'REFUND SWIGGY ORDER 1234')
+  ]);
+  assert.equal(summary.archetype, 'gigWorker');
+  assert.deepEqual(summary.streams.map(s => [s.incomeClass, s.name, s.total]), [
+    ['platform', 'Swiggy', 11000],
+    ['platform', 'Zomato', 4000],
+    ['other', 'Other credits', 300]
+  ]);
+});
+
+test('treats many small payers as customers and the few large ones as family', () => {
+  const customers = Array.from({ length: 9 }, (_, i) =>
+    credit('2024-01-10', 1000, 'upi_p2p', `UPI/CR/${i}/CUSTOMER ${'ABCDEFGHI'[i]}`, `CUSTOMER ${'ABCDEFGHI'[i]}`));
+  const summary = summarizeIncomeSources([
+    ...customers,
+    credit('2024-01-05', 5000, 'upi_p2p', 'UPI/CR/99/RAMESH KUMAR', 'RAMESH KUMAR')
+  ]);
+  assert.equal(summary.archetype, 'selfEmployed');
+  assert.deepEqual(summary.byClass.map(c => [c.incomeClass, c.total]), [['business', 9000], ['family', 5000]]);
+  assert.equal(summary.streams[0].name, 'UPI receipts from customers');
+  assert.equal(summary.streams[0].count, 9);
+});
+
+test('treats a few payers as family, and calls income with no main class mixed', () => {
+  const family = summarizeIncomeSources([
+    credit('2024-01-05', 10000, 'upi_p2p', 'UPI/CR/1/SUNITA DEVI', 'SUNITA DEVI'),
+    credit('2024-01-20', 3000, 'other_income', 'IMPS/POCKET MONEY FROM PAPA')
+  ]);
+  assert.equal(family.archetype, 'familySupported');
+
+  const mixed = summarizeIncomeSources([
+    credit('2024-01-01', 40000, 'salary', 'NEFT/ACME/SALARY', 'ACME'),
+    credit('2024-01-07', 30000, 'other_income', 'NEFT-SWIGGY LIMITED-PAYOUT'),
+    credit('2024-01-05', 30000, 'upi_p2p', 'UPI/CR/1/SUNITA DEVI', 'SUNITA DEVI')
+  ]);
+  assert.equal(mixed.archetype, 'mixed');
+  assert.equal(mixed.archetypeLabel, 'Mixed income');
+});
+
+test('has nothing to say without credits', () => {
+  assert.deepEqual(summarizeIncomeSources([debit('2024-01-10', 500)]), {
+    archetype: null,
+    archetypeLabel: null,
+    stability: null,
+    byClass: [],
+    streams: []
+  });
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createJobQueue } = require('../jobs/jobQueue');
+
+// Helper function to make a task that waits until released
+function deferredTask(log, name) {
+  let release;
+  const done = new Promise(resolve => {
+    release = resolve;
+  });
+  const task = async () => {
+    log.push(`start ${name}`);
+    await done;
+    log.push(`end ${name}`);
+  };
+  return { task, release };
+}
+
+// Helper function to let queued promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+test('runs at most `concurrency` tasks at a time, in arrival order', async () => {
+  const log = [];
+  const queue = createJobQueue({ concurrency: 2 });
+  const tasks = ['a', 'b', 'c'].map(name => deferredTask(log, name));
+  tasks.forEach(({ task }) => queue.push(task));
+  await settle();
+
+  assert.deepEqual(log, ['start a', 'start b']);
+  assert.equal(queue.running, 2);
+  assert.equal(queue.pending, 1);
+
+  tasks[1].release();
+  await settle();
+  assert.deepEqual(log, ['start a', 'start b', 'end b', 'start c']);
+  assert.equal(queue.pending, 0);
+
+  tasks[0].release();
+  tasks[2].release();
+  await settle();
+  assert.equal(queue.running, 0);
+});
+
+test('keeps going after a task throws', async (t) => {
+  t.mock.method(console, 'error', () => {});
+  const log = [];
+  const queue = createJobQueue();
+  queue.push(async () => {
+    throw new Error('parse failed');
+  });
+  queue.push(async () => log.push('next'));
+  await settle();
+
+  assert.deepEqual(log, ['next']);
+  assert.equal(console.error.mock.calls.length, 1);
+  assert.equal(queue.running, 0);
+});
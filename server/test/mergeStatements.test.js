@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { mergeStatements, transactionKey } = require('../analysis/mergeStatements');
+
+const tx = (date, amount, description = 'UPI/DR/1234567/CHAI', type = 'expense') => ({ date, amount, description, type });
+
+test('keys transactions by date, direction, amount and narration', () => {
+  assert.equal(transactionKey(tx('2024-04-01', 20.5, '  UPI  Chai ')), '2024-04-01|expense|2050|upi chai');
+});
+
+test('drops transactions listed by two statements of the same account', () => {
+  const { transactions, duplicatesRemoved, accounts } = mergeStatements([
+    { fileName: 'march.csv', accountId: 'a', accountLabel: 'HDFC ••1234', transactions: [tx('2024-03-30', 100), tx('2024-04-01', 200)] },
+    { fileName: 'april.csv', accountId: 'a', accountLabel: 'HDFC ••1234', transactions: [tx('2024-04-01', 200), tx('2024-04-02', 300)] }
+  ]);
+  assert.equal(duplicatesRemoved, 1);
+  assert.deepEqual(transactions.map(t => t.amount), [100, 200, 300]);
+  assert.deepEqual(accounts, [{
+    accountId: 'a',
+    label: 'HDFC ••1234',
+    files: ['march.csv', 'april.csv'],
+    transactions
+  }]);
+});
+
+test('keeps identical transactions within one file', () => {
+  const { transactions, duplicatesRemoved } = mergeStatements([
+    { fileName: 'march.csv', accountId: 'a', transactions: [tx('2024-04-01', 20), tx('2024-04-01', 20)] },
+    { fileName: 'april.csv', accountId: 'a', transactions: [tx('2024-04-01', 20), tx('2024-04-01', 20), tx('2024-04-01', 20)] }
+  ]);
+  assert.equal(transactions.length, 3);
+  assert.equal(duplicatesRemoved, 2);
+});
+
+test('keeps the same transaction in different accounts', () => {
+  const { transactions, accounts } = mergeStatements([
+    { fileName: 'hdfc.csv', accountId: 'a', transactions: [tx('2024-04-01', 500)] },
+    { fileName: 'sbi.csv', accountId: 'b', transactions: [tx('2024-04-01', 500)] }
+  ]);
+  assert.deepEqual(transactions.map(t => t.accountId), ['a', 'b']);
+  assert.equal(accounts.length, 2);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { migrations, migrate } = require('../storage/migrations');
+
+const LATEST = migrations[migrations.length - 1].version;
+
+test('numbers migrations one after another', () => {
+  assert.deepEqual(migrations.map(m => m.version), migrations.map((_, i) => i + 1));
+});
+
+test('brings an empty document to the latest version', () => {
+  const db = {};
+  assert.equal(migrate(db), LATEST);
+  assert.equal(db.schemaVersion, LATEST);
+  ['users', 'applications', 'uploads', 'policies', 'columnMappings', 'uploadJobs', 'aaConsents'].forEach(name => {
+    assert.deepEqual(db[name], [], name);
+  });
+  // No policy yet: the server seeds one from defaultPolicy.json
+  assert.deepEqual(db.policies, []);
+});
+
+test('runs only the migrations a document has not had', () => {
+  const db = { schemaVersion: LATEST, users: [{ id: '1' }] };
+  assert.equal(migrate(db), 0);
+  assert.deepEqual(db, { schemaVersion: LATEST, users: [{ id: '1' }] });
+});
+
+test('adds new policy settings as a new active version, leaving the stored one alone', () => {
+  const db = {
+    schemaVersion: 4,
+    policies: [
+      { version: 1, active: false, policy: { approval: { minScore: 60 } } },
+      { version: 2, active: true, policy: { approval: { minScore: 70 } } }
+    ]
+  };
+  migrate(db);
+
+  assert.deepEqual(db.policies[1], { version: 2, active: false, policy: { approval: { minScore: 70 } } });
+  assert.deepEqual(db.policies.filter(p => p.active).map(p => p.version), [db.policies.length]);
+  const active = db.policies[db.policies.length - 1].policy;
+  assert.equal(active.approval.minScore, 70);
+  assert.deepEqual(active.reconciliation, { minScore: 90, minCheckedRows: 5 });
+  assert.equal(active.riskEvents.maxPenalty, 25);
+  assert.equal(active.incomeSources.archetypeWeights.salaried, 1);
+  assert.deepEqual(active.anomalies, { excludeFromScoring: false });
+});
+
+test('keeps a setting the active policy already has', () => {
+  const db = {
+    schemaVersion: 4,
+    policies: [{ version: 1, active: true, policy: { reconciliation: { minScore: 50, minCheckedRows: 2 } } }]
+  };
+  migrate(db);
+  const active = db.policies.find(p => p.active).policy;
+  assert.deepEqual(active.reconciliation, { minScore: 50, minCheckedRows: 2 });
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseNarration, counterpartyKey, summarizeCounterparties } = require('../analysis/narration');
+
+test('reads a slash-separated UPI narration', () => {
+  assert.deepEqual(parseNarration('UPI/DR/412345678901/RAMESH K/okaxis/ramesh@okaxis/Rent'), {
+    channel: 'UPI',
+    direction: 'debit',
+    reference: '412345678901',
+    counterparty: 'RAMESH K',
+    vpa: 'ramesh@okaxis',
+    ifsc: null,
+    remarks: 'Rent'
+  });
+});
+
+test('reads a dash-separated UPI narration with an IFSC code', () => {
+  const narration = parseNarration('UPI-RAMESH KUMAR-RAMESH@OKAXIS-SBIN0001234-412345678901-PAYMENT');
+  assert.equal(narration.counterparty, 'RAMESH KUMAR');
+  assert.equal(narration.vpa, 'ramesh@okaxis');
+  assert.equal(narration.ifsc, 'SBIN0001234');
+  assert.equal(narration.reference, '412345678901');
+});
+
+test('reads NEFT, IMPS and NACH narrations', () => {
+  const neft = parseNarration('NEFT/N123456789012/ACME TECHNOLOGIES PVT LTD/SALARY');
+  assert.equal(neft.channel, 'NEFT');
+  assert.equal(neft.reference, 'N123456789012');
+  assert.equal(neft.counterparty, 'ACME TECHNOLOGIES PVT LTD');
+  assert.equal(neft.remarks, 'SALARY');
+
+  const imps = parseNarration('IMPS/P2A/412345678901/SURESH/SBIN0001234');
+  assert.equal(imps.channel, 'IMPS');
+  assert.equal(imps.counterparty, 'SURESH');
+
+  const nach = parseNarration('ACH D- BAJAJ FINANCE-P400PHL1234567');
+  assert.equal(nach.channel, 'NACH');
+  assert.equal(nach.counterparty, 'BAJAJ FINANCE');
+  assert.equal(nach.reference, 'P400PHL1234567');
+});
+
+test('takes the counterparty from what follows the channel in POS narrations', () => {
+  const pos = parseNarration('POS 4111XXXX1234 DMART');
+  assert.equal(pos.channel, 'POS');
+  assert.equal(pos.counterparty, 'DMART');
+});
+
+test('falls back to the VPA when a narration has no name', () => {
+  assert.equal(parseNarration('UPI/DR/412345678901/chaipoint@freecharge').counterparty, 'CHAIPOINT');
+});
+
+test('leaves narrations without a known channel unparsed', () => {
+  assert.deepEqual(parseNarration('Interest credited'), {
+    channel: null, direction: null, reference: null, counterparty: null, vpa: null, ifsc: null, remarks: null
+  });
+});
+
+test('keys a counterparty by VPA, then name, then the narration without numbers', () => {
+  assert.equal(counterpartyKey({ description: 'UPI/DR/1234567/RAMESH K/ramesh@okaxis' }), 'ramesh@okaxis');
+  assert.equal(counterpartyKey({ description: 'NEFT/N123456789012/MR ACME/SALARY' }), 'acme');
+  assert.equal(counterpartyKey({ description: 'Cash deposit 4411 branch' }), 'cash deposit branch');
+});
+
+test('totals transactions per counterparty, in and out', () => {
+  const transactions = [
+    { date: '2024-01-01', description: 'UPI/CR/1234567/ACME/acme@okaxis', amount: 300, type: 'income' },
+    { date: '2024-02-01', description: 'UPI/CR/7654321/ACME/acme@okaxis', amount: 300, type: 'income' },
+    { date: '2024-02-03', description: 'UPI/CR/7654322/BOB/bob@ybl', amount: 400, type: 'income' },
+    { date: '2024-02-05', description: 'UPI/DR/7654323/SHOP/shop@ybl', amount: 50, type: 'expense' }
+  ];
+  const { incomeSources, payees } = summarizeCounterparties(transactions);
+  assert.equal(incomeSources[0].key, 'acme@okaxis');
+  assert.equal(incomeSources[0].total, 600);
+  assert.equal(incomeSources[0].count, 2);
+  assert.equal(incomeSources.length, 2);
+  assert.equal(payees[0].key, 'shop@ybl');
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { templates, detectTemplate, detectAccountNumber, parseWithTemplate } = require('../parsers/pdfTemplates');
+
+const template = id => templates.find(t => t.id === id);
+
+test('detects the bank from the header, not from narrations', () => {
+  assert.equal(detectTemplate(['HDFC BANK LTD', 'Statement of account', '01/04/24 SALARY 40,000.00 50,000.00']).id, 'hdfc');
+  assert.equal(detectTemplate(['Statement of account', '01/04/2024 NEFT FROM HDFC BANK 500.00 1,000.00']), null);
+});
+
+test('keeps only the last four digits of the account number', () => {
+  assert.equal(detectAccountNumber(['Account No : 50100123456789']), '6789');
+  assert.equal(detectAccountNumber(['A/C No. XXXXXXXX1234']), '1234');
+  assert.equal(detectAccountNumber(['Customer ID 1234']), null);
+});
+
+test('reads both flow columns by their position when both survive', () => {
+  const rows = parseWithTemplate([
+    'Date Narration Chq./Ref.No. Value Dt Withdrawal Amt. Deposit Amt. Closing Balance',
+    '01/04/24 NEFT-ACME PVT LTD-SALARY 0000412345678901 01/04/24 0.00 40,000.00 50,000.00',
+    '02/04/24 UPI-LANDLORD-RENT 0000412345678902 02/04/24 15,000.00 0.00 35,000.00'
+  ], template('hdfc'));
+  assert.deepEqual(rows, [
+    { date: '01/04/24', description: 'NEFT-ACME PVT LTD-SALARY', amount: '40000', type: 'credit', balance: '50000', reference: '0000412345678901' },
+    { date: '02/04/24', description: 'UPI-LANDLORD-RENT', amount: '15000', type: 'debit', balance: '35000', reference: '0000412345678902' }
+  ]);
+});
+
+test('settles a lone amount by the running balance', () => {
+  const rows = parseWithTemplate([
+    'Opening Balance 10,000.00',
+    '01/04/2024 UPI TO SHOP 500.00 9,500.00',
+    '02/04/2024 IMPS FROM RAVI 2,000.00 11,500.00'
+  ], template('axis'));
+  assert.deepEqual(rows.map(r => [r.type, r.amount, r.balance]), [
+    ['debit', '500', '9500'],
+    ['credit', '2000', '11500']
+  ]);
+});
+
+test('reads Dr balances as overdrawn', () => {
+  const rows = parseWithTemplate([
+    'Opening Balance 1,000.00 Dr',
+    '01/04/2024 ATM WDL 500.00 1,500.00 Dr',
+    '02/04/2024 CASH DEPOSIT 2,000.00 500.00 Cr'
+  ], template('axis'));
+  assert.deepEqual(rows.map(r => [r.type, r.amount, r.balance]), [
+    ['debit', '500', '-1500'],
+    ['credit', '2000', '500']
+  ]);
+});
+
+test('joins wrapped narrations and skips page furniture', () => {
+  const rows = parseWithTemplate([
+    '1 01/04/2024 01/04/2024 UPI/412345678901/RAMESH 500.00 0.00 9,500.00',
+    'KUMAR/Rent',
+    'Page 1 of 3',
+    '2 02/04/2024 02/04/2024 NEFT SALARY 0.00 40,000.00 49,500.00'
+  ], template('icici'));
+  assert.equal(rows.length, 2);
+  assert.match(rows[0].description, /RAMESH KUMAR\/Rent$/);
+  assert.equal(rows[1].type, 'credit');
+});
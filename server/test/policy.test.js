@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { defaultPolicy, validatePolicy } = require('../scoring/policy');
+
+// Helper function to copy the default policy with some changes
+function policyWith(change) {
+  const policy = structuredClone(defaultPolicy);
+  change(policy);
+  return policy;
+}
+
+test('accepts the default policy', () => {
+  assert.deepEqual(validatePolicy(defaultPolicy), []);
+});
+
+test('requires every setting of the default, as a non-negative number', () => {
+  assert.deepEqual(validatePolicy(policyWith(p => delete p.loan.maxAmount)), ['loan.maxAmount is required']);
+  assert.deepEqual(validatePolicy(policyWith(p => { p.savingsThreshold = '10000'; })), [
+    'savingsThreshold must be a non-negative number'
+  ]);
+  assert.deepEqual(validatePolicy(policyWith(p => { p.riskEvents.penalties.emiBounce = -1; })), [
+    'riskEvents.penalties.emiBounce must be a non-negative number'
+  ]);
+  assert.deepEqual(validatePolicy(null), ['policy must be an object']);
+});
+
+test('rejects settings it does not know', () => {
+  assert.deepEqual(validatePolicy(policyWith(p => { p.factors.luck = { points: 5 }; })), [
+    'factors.luck is not a known policy setting'
+  ]);
+});
+
+test('allows a text description only', () => {
+  assert.deepEqual(validatePolicy(policyWith(p => delete p.description)), []);
+  assert.deepEqual(validatePolicy(policyWith(p => { p.description = 5; })), ['description must be a string']);
+});
+
+test('requires tiers in descending order', () => {
+  assert.deepEqual(validatePolicy(policyWith(p => { p.factors.savingsRate.moderate.min = 20; })), [
+    'factors.savingsRate thresholds must be strictly descending'
+  ]);
+  assert.deepEqual(validatePolicy(policyWith(p => { p.riskLevels.highBelow = 90; })), [
+    'riskLevels thresholds must be strictly descending'
+  ]);
+});
+
+test('caps scores, penalties and archetype weights', () => {
+  assert.deepEqual(validatePolicy(policyWith(p => {
+    p.approval.minScore = 101;
+    p.reconciliation.minScore = 150;
+    p.riskEvents.maxPenalty = 120;
+    p.incomeSources.archetypeWeights.gigWorker = 1.2;
+  })), [
+    'approval.minScore cannot exceed 100',
+    'reconciliation.minScore cannot exceed 100',
+    'riskEvents.maxPenalty cannot exceed 100',
+    'incomeSources.archetypeWeights.gigWorker cannot exceed 1'
+  ]);
+});
+
+test('takes true/false settings as booleans only', () => {
+  assert.equal(defaultPolicy.anomalies.excludeFromScoring, false);
+  assert.deepEqual(validatePolicy(policyWith(p => { p.anomalies.excludeFromScoring = true; })), []);
+  assert.deepEqual(validatePolicy(policyWith(p => { p.anomalies.excludeFromScoring = 1; })), [
+    'anomalies.excludeFromScoring must be true or false'
+  ]);
+  assert.deepEqual(validatePolicy(policyWith(p => { delete p.anomalies.excludeFromScoring; })), [
+    'anomalies.excludeFromScoring is required'
+  ]);
+});
+
+test('keeps the low expense ratio below the high one', () => {
+  assert.deepEqual(validatePolicy(policyWith(p => { p.factors.incomeVsExpenses.lowRatioBelow = 95; })), [
+    'factors.incomeVsExpenses.lowRatioBelow cannot exceed highRatioAbove'
+  ]);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { reconcileBalances, combineReconciliations } = require('../analysis/reconciliation');
+
+const row = (date, type, amount, balance) => ({ date, description: `${type} ${amount}`, type, amount, balance });
+
+test('passes rows whose balances follow from the amounts', () => {
+  const { reconciliation } = reconcileBalances([
+    row('2024-04-01', 'income', 1000, 11000),
+    row('2024-04-02', 'expense', 500, 10500),
+    row('2024-04-03', 'expense', 250.5, 10249.5)
+  ]);
+  assert.equal(reconciliation.hasBalances, true);
+  assert.equal(reconciliation.checked, 2);
+  assert.equal(reconciliation.failed, 0);
+  assert.equal(reconciliation.score, 100);
+});
+
+test('flags a row with a swapped direction and carries on from its printed balance', () => {
+  const { transactions, reconciliation } = reconcileBalances([
+    row('2024-04-01', 'income', 1000, 11000),
+    row('2024-04-02', 'income', 500, 10500),
+    row('2024-04-03', 'expense', 500, 10000)
+  ]);
+  assert.equal(reconciliation.failed, 1);
+  assert.equal(transactions[1].balanceMismatch, true);
+  assert.equal(transactions[1].expectedBalance, 11500);
+  assert.equal(transactions[2].balanceMismatch, undefined);
+  assert.deepEqual(reconciliation.failedRows.map(r => r.row), [2]);
+});
+
+test('checks rows sharing a date and balance together', () => {
+  const { reconciliation } = reconcileBalances([
+    row('2024-04-01', 'income', 1000, 1000),
+    row('2024-04-02', 'income', 300, 1100),
+    row('2024-04-02', 'expense', 200, 1100)
+  ]);
+  assert.equal(reconciliation.failed, 0);
+});
+
+test('walks newest-first statements backwards', () => {
+  const { reconciliation } = reconcileBalances([
+    row('2024-04-03', 'expense', 500, 10500),
+    row('2024-04-02', 'income', 1000, 11000),
+    row('2024-04-01', 'income', 10000, 10000)
+  ]);
+  assert.equal(reconciliation.failed, 0);
+});
+
+test('has no score without a balance column', () => {
+  const { reconciliation } = reconcileBalances([row('2024-04-01', 'income', 1000, undefined)]);
+  assert.equal(reconciliation.hasBalances, false);
+  assert.equal(reconciliation.score, null);
+});
+
+test('combines statements into one score', () => {
+  const combined = combineReconciliations([
+    { fileName: 'a.csv', reconciliation: { hasBalances: true, checked: 8, failed: 2, score: 75, failedRows: [{ row: 3 }] } },
+    { fileName: 'b.csv', reconciliation: { hasBalances: false, checked: 0, failed: 0, score: null, failedRows: [] } }
+  ]);
+  assert.equal(combined.checked, 8);
+  assert.equal(combined.score, 75);
+  assert.deepEqual(combined.failedRows, [{ file: 'a.csv', row: 3 }]);
+});
@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectRecurringSeries, onTimeRatio } = require('../analysis/recurring');
+
+// Helper function to build a payment to one counterparty
+const payment = (date, amount = 12000, extra = {}) => ({
+  date,
+  description: 'NACH/DR/BAJAJ FINANCE/P400PHL1234567',
+  amount,
+  type: 'expense',
+  category: 'emi',
+  ...extra
+});
+
+const END = new Date(Date.UTC(2024, 5, 30));
+
+test('finds a monthly EMI paid on time', () => {
+  const series = detectRecurringSeries(
+    ['2024-01-05', '2024-02-05', '2024-03-06', '2024-04-05', '2024-05-05', '2024-06-05'].map(d => payment(d)),
+    END
+  );
+  assert.equal(series.length, 1);
+  assert.equal(series[0].cadence, 'monthly');
+  assert.equal(series[0].kind, 'emi');
+  assert.equal(series[0].onTime, 6);
+  assert.equal(series[0].missed, 0);
+  assert.equal(series[0].nextDueDate, '2024-07-05');
+});
+
+test('reports a missed month and a late payment', () => {
+  const [series] = detectRecurringSeries(
+    ['2024-01-05', '2024-02-05', '2024-04-15', '2024-05-05', '2024-06-05'].map(d => payment(d)),
+    END
+  );
+  assert.deepEqual(series.missedDates, ['2024-03-05']);
+  assert.deepEqual(series.lateDates, [{ due: '2024-04-05', paid: '2024-04-15', daysLate: 10 }]);
+  assert.equal(series.expectedOccurrences, 6);
+  assert.equal(series.onTime, 4);
+});
+
+test("doesn't count a due date still in its grace period as missed", () => {
+  const payments = ['2024-03-28', '2024-04-28', '2024-05-28'].map(d => payment(d));
+  // 28 June is due, but the statement ends before its grace period does
+  const [pending] = detectRecurringSeries(payments, new Date(Date.UTC(2024, 5, 30)));
+  assert.equal(pending.missed, 0);
+  assert.equal(pending.expectedOccurrences, 3);
+
+  const [overdue] = detectRecurringSeries(payments, new Date(Date.UTC(2024, 6, 10)));
+  assert.deepEqual(overdue.missedDates, ['2024-06-28']);
+  assert.equal(overdue.nextDueDate, '2024-07-28');
+});
+
+test('reads weekly and quarterly cadences', () => {
+  const weekly = detectRecurringSeries(
+    ['2024-06-01', '2024-06-08', '2024-06-15', '2024-06-22'].map(d => payment(d, 500, { category: 'other' })),
+    END
+  );
+  assert.equal(weekly[0].cadence, 'weekly');
+  assert.equal(weekly[0].kind, 'subscription');
+
+  const quarterly = detectRecurringSeries(
+    ['2024-01-10', '2024-04-10'].map(d => payment(d, 5000, { category: 'insurance' })),
+    END
+  );
+  assert.equal(quarterly[0].cadence, 'quarterly');
+  assert.equal(quarterly[0].kind, 'insurance');
+});
+
+test('keeps payments of different sizes apart, except for bills', () => {
+  const dates = ['2024-01-05', '2024-02-05', '2024-03-05'];
+  const mixed = detectRecurringSeries([
+    ...dates.map(d => payment(d, 12000)),
+    ...dates.map(d => payment(d.replace(/05$/, '20'), 3000))
+  ], END);
+  assert.deepEqual(mixed.map(s => s.averageAmount), [12000, 3000]);
+
+  const bills = detectRecurringSeries(
+    [['2024-01-05', 900], ['2024-02-05', 1400], ['2024-03-05', 1100]]
+      .map(([d, amount]) => payment(d, amount, { description: 'BBPS/DR/TATA POWER', category: 'utilities' })),
+    new Date(Date.UTC(2024, 2, 31))
+  );
+  assert.equal(bills.length, 1);
+  assert.equal(bills[0].kind, 'bill');
+});
+
+test('ignores irregular payments and cash withdrawals', () => {
+  assert.deepEqual(detectRecurringSeries(['2024-01-05', '2024-01-19', '2024-04-02'].map(d => payment(d)), END), []);
+  assert.deepEqual(detectRecurringSeries(
+    ['2024-01-05', '2024-02-05', '2024-03-05'].map(d => payment(d, 2000, { category: 'cash_withdrawal' })),
+    END
+  ), []);
+});
+
+test('onTimeRatio covers outgoing series only', () => {
+  assert.equal(onTimeRatio([
+    { type: 'expense', expectedOccurrences: 4, onTime: 3 },
+    { type: 'income', expectedOccurrences: 6, onTime: 0 }
+  ]), 75);
+  assert.equal(onTimeRatio([]), null);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EVENT_TYPES, detectRiskEvent, summarizeRiskEvents } = require('../analysis/riskEvents');
+const { defaultPolicy } = require('../scoring/policy');
+
+const tx = (date, type, amount, description) => ({ date, type, amount, description });
+
+test('recognises each kind of event from the narration', () => {
+  assert.equal(detectRiskEvent('NACH RTN CHG BAJAJ FIN EMI'), 'emiBounce');
+  assert.equal(detectRiskEvent('ACH DEBIT RETURN SIP 0423'), 'nachReturn');
+  assert.equal(detectRiskEvent('I/W CHQ RETURN 004512'), 'chequeReturn');
+  assert.equal(detectRiskEvent('INSUFF BAL CHGS'), 'insufficientFunds');
+  assert.equal(detectRiskEvent('OD INTEREST MAR-24'), 'overdraftInterest');
+  assert.equal(detectRiskEvent('MIN AVG BAL CHARGES Q4'), 'minBalancePenalty');
+  assert.equal(detectRiskEvent('BAJAJ FIN EMI 0423'), null);
+  assert.equal(detectRiskEvent(undefined), null);
+});
+
+test('counts each type once per day and totals what the charges cost', () => {
+  const summary = summarizeRiskEvents([
+    tx('2024-03-05', 'income', 4500, 'NACH RETURN BAJAJ FIN EMI'),
+    tx('2024-03-05', 'expense', 590, 'EMI BOUNCE CHGS'),
+    tx('2024-04-05', 'expense', 590, 'EMI BOUNCE CHGS'),
+    tx('2024-04-20', 'expense', 118, 'INSUFFICIENT FUNDS CHG'),
+    tx('2024-04-21', 'expense', 1200, 'GROCERIES')
+  ]);
+  assert.equal(summary.count, 3);
+  assert.equal(summary.totalCharges, 1298);
+  assert.equal(summary.monthsWithEvents, 2);
+  assert.deepEqual(summary.byType, [
+    { type: 'emiBounce', label: 'EMI bounces', count: 2, months: 2 },
+    { type: 'insufficientFunds', label: 'Insufficient funds charges', count: 1, months: 1 }
+  ]);
+  assert.deepEqual(summary.byMonth.map(m => [m.month, m.count]), [['2024-03', 1], ['2024-04', 2]]);
+  assert.equal(summary.events[0].direction, 'income');
+});
+
+test('reports nothing for a clean statement', () => {
+  assert.deepEqual(summarizeRiskEvents([tx('2024-04-01', 'income', 50000, 'SALARY')]), {
+    count: 0, totalCharges: 0, monthsWithEvents: 0, byType: [], byMonth: [], events: []
+  });
+});
+
+test('has a default penalty for every event type', () => {
+  assert.deepEqual(Object.keys(defaultPolicy.riskEvents.penalties).sort(), EVENT_TYPES.map(e => e.id).sort());
+});
@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { markSelfTransfers, summarizeSelfTransfers } = require('../analysis/selfTransfers');
+
+const tx = (date, type, amount, description, extra = {}) => ({ date, type, amount, description, ...extra });
+
+test('pairs a debit with a credit of the same amount in another account', () => {
+  const transactions = [
+    tx('2024-04-01', 'expense', 20000, 'IMPS/P2A/1234', { accountId: 'hdfc' }),
+    tx('2024-04-02', 'income', 20000, 'IMPS/CR/1234', { accountId: 'sbi' }),
+    // Same amount within one account, or too many days apart, isn't a transfer
+    tx('2024-04-03', 'income', 20000, 'NEFT/CR/CLIENT', { accountId: 'hdfc' }),
+    tx('2024-04-10', 'expense', 5000, 'NEFT/DR/1', { accountId: 'sbi' }),
+    tx('2024-04-20', 'income', 5000, 'NEFT/CR/2', { accountId: 'hdfc' })
+  ];
+  assert.equal(markSelfTransfers(transactions), 2);
+  assert.deepEqual(transactions[0].selfTransfer, { reason: 'own_account', pairedAccountId: 'sbi' });
+  assert.deepEqual(transactions[1].selfTransfer, { reason: 'own_account', pairedAccountId: 'hdfc' });
+  assert.equal(transactions[2].selfTransfer, undefined);
+  assert.equal(transactions[4].selfTransfer, undefined);
+});
+
+test('pairs each transaction once, closest dates first', () => {
+  const transactions = [
+    tx('2024-04-01', 'expense', 1000, 'TRF', { accountId: 'a' }),
+    tx('2024-04-03', 'expense', 1000, 'TRF', { accountId: 'a' }),
+    tx('2024-04-03', 'income', 1000, 'TRF', { accountId: 'b' })
+  ];
+  assert.equal(markSelfTransfers(transactions), 2);
+  assert.equal(transactions[0].selfTransfer, undefined);
+  assert.equal(transactions[1].selfTransfer.reason, 'own_account');
+});
+
+test('recognises the borrower by name, initials included', () => {
+  const ownNames = ['Ramesh Kumar'];
+  const transactions = [
+    tx('2024-04-01', 'income', 3000, 'UPI/CR/1/RAMESH K', { narration: { counterparty: 'RAMESH K' } }),
+    tx('2024-04-01', 'expense', 3000, 'NEFT TO MR RAMESH KUMAR SBI'),
+    // A first name alone is too common
+    tx('2024-04-02', 'expense', 500, 'UPI/DR/2/RAMESH', { narration: { counterparty: 'RAMESH' } }),
+    tx('2024-04-02', 'expense', 500, 'UPI/DR/3/SURESH KUMAR', { narration: { counterparty: 'SURESH KUMAR' } })
+  ];
+  markSelfTransfers(transactions, { ownNames });
+  assert.deepEqual(transactions.map(t => t.selfTransfer && t.selfTransfer.reason), ['own_name', 'own_name', undefined, undefined]);
+});
+
+test('flags wallet loads and deposit sweeps, but not payments to a wallet app handle', () => {
+  const transactions = [
+    tx('2024-04-01', 'expense', 2000, 'PAYTM ADD MONEY'),
+    tx('2024-04-01', 'expense', 120, 'UPI/DR/1/CHAI POINT/chaipoint@freecharge'),
+    tx('2024-04-01', 'expense', 50000, 'AUTO SWEEP TO FD 1234'),
+    tx('2024-04-05', 'income', 50000, 'FD CLOSURE PROCEEDS')
+  ];
+  assert.equal(markSelfTransfers(transactions), 3);
+  assert.deepEqual(transactions.map(t => t.selfTransfer && t.selfTransfer.reason), ['wallet', undefined, 'deposit_sweep', 'deposit_sweep']);
+});
+
+test('summarizes flagged transactions by reason', () => {
+  const transactions = [
+    tx('2024-04-01', 'expense', 2000.5, 'WALLET TOP UP'),
+    tx('2024-04-02', 'expense', 50000, 'SWEEP TO FD'),
+    tx('2024-04-05', 'income', 50000, 'FD CLOSURE'),
+    tx('2024-04-06', 'expense', 700, 'GROCERIES')
+  ];
+  markSelfTransfers(transactions);
+  const summary = summarizeSelfTransfers(transactions);
+  assert.equal(summary.count, 3);
+  assert.equal(summary.totalIn, 50000);
+  assert.equal(summary.totalOut, 52000.5);
+  assert.deepEqual(summary.byReason.map(r => [r.reason, r.count, r.totalIn, r.totalOut]), [
+    ['wallet', 1, 0, 2000.5],
+    ['deposit_sweep', 2, 50000, 50000]
+  ]);
+  assert.equal(summary.examples.length, 3);
+});